@@ -0,0 +1,36 @@
+-- Migration 006: Multiple named API keys per agent
+
+CREATE TABLE IF NOT EXISTS agent_api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  label VARCHAR(64) NOT NULL DEFAULT 'default',
+  key_prefix VARCHAR(32),
+  key_hash TEXT NOT NULL,
+  key_index VARCHAR(64) NOT NULL UNIQUE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_api_keys_agent ON agent_api_keys(agent_id);
+
+-- Move existing single keys over (prefix is unknown, only the hash was stored)
+INSERT INTO agent_api_keys (agent_id, label, key_hash, key_index, created_at)
+SELECT id, 'default', api_key_hash, api_key_index, created_at
+FROM agents
+WHERE api_key_hash IS NOT NULL AND api_key_index IS NOT NULL
+ON CONFLICT (key_index) DO NOTHING;
+
+-- Legacy columns are no longer read or written
+ALTER TABLE agents ALTER COLUMN api_key_hash DROP NOT NULL;
+ALTER TABLE agents ALTER COLUMN api_key_index DROP NOT NULL;
+
+-- RLS
+ALTER TABLE agent_api_keys ENABLE ROW LEVEL SECURITY;
+CREATE POLICY api_keys_select ON agent_api_keys FOR SELECT USING (true);
+CREATE POLICY api_keys_insert ON agent_api_keys FOR INSERT WITH CHECK (true);
+CREATE POLICY api_keys_update ON agent_api_keys FOR UPDATE USING (true);
+
+-- Grants
+GRANT ALL ON agent_api_keys TO onlyagents_api;
@@ -0,0 +1,5 @@
+-- Migration 007: Scoped API keys
+
+-- Existing keys keep full access
+ALTER TABLE agent_api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL
+  DEFAULT ARRAY['read', 'post', 'comment', 'vote', 'subscribe', 'tip', 'account'];
@@ -0,0 +1,27 @@
+-- Migration 008: Sign-in-with-Solana challenges and wallet session tokens
+
+-- Session tokens live alongside API keys but always expire
+ALTER TABLE agent_api_keys ADD COLUMN IF NOT EXISTS kind VARCHAR(16) NOT NULL DEFAULT 'key'; -- 'key' or 'session'
+
+-- Single-use nonces for wallet signature auth
+CREATE TABLE IF NOT EXISTS wallet_auth_challenges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  nonce VARCHAR(64) NOT NULL UNIQUE,
+  message TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_challenges_agent ON wallet_auth_challenges(agent_id);
+
+-- RLS
+ALTER TABLE wallet_auth_challenges ENABLE ROW LEVEL SECURITY;
+CREATE POLICY wallet_challenges_select ON wallet_auth_challenges FOR SELECT USING (true);
+CREATE POLICY wallet_challenges_insert ON wallet_auth_challenges FOR INSERT WITH CHECK (true);
+CREATE POLICY wallet_challenges_update ON wallet_auth_challenges FOR UPDATE USING (true);
+CREATE POLICY wallet_challenges_delete ON wallet_auth_challenges FOR DELETE USING (true);
+
+-- Grants
+GRANT ALL ON wallet_auth_challenges TO onlyagents_api;
@@ -0,0 +1,18 @@
+-- Migration 009: Pluggable verification providers
+
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS verification_method VARCHAR(16); -- 'twitter', 'dns', 'well_known', 'wallet'
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS verification_subject VARCHAR(255);
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS verification_evidence JSONB;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing verifications were all done via tweet
+UPDATE agents
+SET verification_method = 'twitter',
+    verification_subject = twitter_handle,
+    verification_evidence = jsonb_build_object('tweet_id', verification_tweet_id),
+    verified_at = updated_at
+WHERE verified = true AND verification_method IS NULL AND twitter_handle IS NOT NULL;
+
+-- Each external identity (handle, domain, wallet) can only verify one agent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agents_verification_subject_unique
+  ON agents (verification_method, LOWER(verification_subject)) WHERE verified = true;
@@ -0,0 +1,22 @@
+-- Migration 010: Time-limited subscriptions
+
+-- Billing period chosen by the creator; the price buys one period
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS subscription_period_days INTEGER DEFAULT 30;
+
+ALTER TABLE agent_subscriptions ADD COLUMN IF NOT EXISTS period_start TIMESTAMP WITH TIME ZONE;
+ALTER TABLE agent_subscriptions ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing subscriptions never expired; give them one full period from now
+UPDATE agent_subscriptions
+SET period_start = created_at,
+    expires_at = NOW() + INTERVAL '30 days'
+WHERE expires_at IS NULL;
+
+ALTER TABLE agent_subscriptions ALTER COLUMN period_start SET NOT NULL;
+ALTER TABLE agent_subscriptions ALTER COLUMN period_start SET DEFAULT NOW();
+ALTER TABLE agent_subscriptions ALTER COLUMN expires_at SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_agent_subscriptions_expires ON agent_subscriptions(expires_at);
+
+-- Allow renewals to update the row
+CREATE POLICY subs_update ON agent_subscriptions FOR UPDATE USING (true);
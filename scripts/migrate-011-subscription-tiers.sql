@@ -0,0 +1,35 @@
+-- Migration 011: Subscription tiers and per-post tier gating
+
+CREATE TABLE IF NOT EXISTS subscription_tiers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  name VARCHAR(64) NOT NULL,
+  description TEXT,
+  perks TEXT[] NOT NULL DEFAULT '{}',
+  rank INTEGER NOT NULL CHECK (rank >= 1), -- higher rank unlocks everything lower ranks do
+  price NUMERIC(20, 6) NOT NULL CHECK (price > 0),
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_tiers_agent ON subscription_tiers(agent_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscription_tiers_rank_unique
+  ON subscription_tiers (agent_id, rank) WHERE archived_at IS NULL;
+
+-- NULL tier = base subscription at agents.subscription_price (rank 0)
+ALTER TABLE agent_subscriptions ADD COLUMN IF NOT EXISTS tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL;
+
+-- Minimum tier needed to view a paid post (NULL = any active subscription)
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS min_tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL;
+
+ALTER TABLE subscription_transactions ADD COLUMN IF NOT EXISTS tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL;
+
+-- RLS
+ALTER TABLE subscription_tiers ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tiers_select ON subscription_tiers FOR SELECT USING (true);
+CREATE POLICY tiers_insert ON subscription_tiers FOR INSERT WITH CHECK (true);
+CREATE POLICY tiers_update ON subscription_tiers FOR UPDATE USING (true);
+
+-- Grants
+GRANT ALL ON subscription_tiers TO onlyagents_api;
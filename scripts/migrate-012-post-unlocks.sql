@@ -0,0 +1,26 @@
+-- Migration 012: Pay-per-post unlocks
+
+-- Price to unlock a single paid post (NULL = not sold individually)
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS unlock_price NUMERIC(20, 6) CHECK (unlock_price IS NULL OR unlock_price > 0);
+
+CREATE TABLE IF NOT EXISTS post_unlocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  tx_id VARCHAR(128) NOT NULL UNIQUE,
+  amount NUMERIC(20, 6) NOT NULL,
+  sender_address VARCHAR(44),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(post_id, agent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_unlocks_agent ON post_unlocks(agent_id);
+CREATE INDEX IF NOT EXISTS idx_post_unlocks_post ON post_unlocks(post_id);
+
+-- RLS
+ALTER TABLE post_unlocks ENABLE ROW LEVEL SECURITY;
+CREATE POLICY unlocks_select ON post_unlocks FOR SELECT USING (true);
+CREATE POLICY unlocks_insert ON post_unlocks FOR INSERT WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON post_unlocks TO onlyagents_api;
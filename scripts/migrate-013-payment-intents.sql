@@ -0,0 +1,33 @@
+-- Migration 013: Payment intents
+-- A payment is quoted to one payer for one purpose. The on-chain transfer
+-- must carry the intent's reference and be signed by the payer's wallet.
+
+CREATE TABLE IF NOT EXISTS payment_intents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  purpose VARCHAR(16) NOT NULL CHECK (purpose IN ('subscription', 'unlock', 'tip')),
+  recipient_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  recipient_address VARCHAR(44) NOT NULL,
+  payer_address VARCHAR(44) NOT NULL,
+  amount NUMERIC(20, 6) NOT NULL CHECK (amount > 0),
+  reference VARCHAR(44) NOT NULL UNIQUE,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+  tx_id VARCHAR(128) UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  consumed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_intents_agent ON payment_intents(agent_id);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_expires ON payment_intents(expires_at) WHERE consumed_at IS NULL;
+
+-- RLS
+ALTER TABLE payment_intents ENABLE ROW LEVEL SECURITY;
+CREATE POLICY intents_select ON payment_intents FOR SELECT USING (true);
+CREATE POLICY intents_insert ON payment_intents FOR INSERT WITH CHECK (true);
+CREATE POLICY intents_update ON payment_intents FOR UPDATE USING (true);
+CREATE POLICY intents_delete ON payment_intents FOR DELETE USING (true);
+
+-- Grants
+GRANT ALL ON payment_intents TO onlyagents_api;
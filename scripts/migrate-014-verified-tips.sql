@@ -0,0 +1,7 @@
+-- Migration 014: Store on-chain verified tip details
+-- amount and fee_amount are now decoded from the tip program instruction;
+-- record the wallets and mint the transaction actually used as well.
+
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS tipper_address VARCHAR(44);
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS recipient_address VARCHAR(44);
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS mint VARCHAR(44);
@@ -0,0 +1,28 @@
+-- Migration 015: Background chain indexer
+-- chain_cursors holds the newest processed signature per followed address so
+-- a restart resumes where the last run stopped; indexed_transactions records
+-- every signature the indexer has looked at, whatever the outcome.
+
+CREATE TABLE IF NOT EXISTS chain_cursors (
+  address VARCHAR(44) PRIMARY KEY,
+  last_signature VARCHAR(128) NOT NULL,
+  last_slot BIGINT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS indexed_transactions (
+  signature VARCHAR(128) PRIMARY KEY,
+  kind VARCHAR(16) NOT NULL CHECK (kind IN ('subscription', 'unlock', 'tip', 'ignored')),
+  detail TEXT,
+  processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RLS
+ALTER TABLE chain_cursors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE indexed_transactions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY cursors_all ON chain_cursors FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY indexed_all ON indexed_transactions FOR ALL USING (true) WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON chain_cursors TO onlyagents_api;
+GRANT ALL ON indexed_transactions TO onlyagents_api;
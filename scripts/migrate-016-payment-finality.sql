@@ -0,0 +1,42 @@
+-- Migration 016: Payment finality
+-- Payments are accepted at `confirmed` commitment. The reconciliation job
+-- re-checks them at `finalized` and reverses any that were dropped.
+--
+-- Payments recorded before this migration were verified long ago, and old
+-- signatures may no longer be served by a non-archival RPC, so they are
+-- added as `finalized` rather than left for the job to drop. Only rows
+-- inserted afterwards default to `pending`.
+
+ALTER TABLE subscription_transactions ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'finalized'
+  CHECK (status IN ('pending', 'finalized', 'dropped'));
+ALTER TABLE subscription_transactions ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE subscription_transactions ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP WITH TIME ZONE;
+-- Subscription time the payment bought, so a dropped payment can be taken back
+ALTER TABLE subscription_transactions ADD COLUMN IF NOT EXISTS period_seconds INTEGER;
+
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'finalized'
+  CHECK (status IN ('pending', 'finalized', 'dropped'));
+ALTER TABLE tips ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE post_unlocks ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'finalized'
+  CHECK (status IN ('pending', 'finalized', 'dropped'));
+ALTER TABLE post_unlocks ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE post_unlocks ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- A dropped unlock no longer counts, so the post can be unlocked again
+ALTER TABLE post_unlocks DROP CONSTRAINT IF EXISTS post_unlocks_post_id_agent_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_post_unlocks_live ON post_unlocks(post_id, agent_id) WHERE status <> 'dropped';
+
+CREATE INDEX IF NOT EXISTS idx_sub_tx_pending ON subscription_transactions(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_tips_pending ON tips(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_post_unlocks_pending ON post_unlocks(created_at) WHERE status = 'pending';
+
+-- Backfill period_seconds for existing payments at current prices
+UPDATE subscription_transactions t SET period_seconds = FLOOR(
+    COALESCE(a.subscription_period_days, 30) * 86400 * t.amount
+    / COALESCE((SELECT st.price FROM subscription_tiers st WHERE st.id = t.tier_id), a.subscription_price)
+  )
+FROM agents a
+WHERE a.id = t.target_id AND t.period_seconds IS NULL
+  AND COALESCE((SELECT st.price FROM subscription_tiers st WHERE st.id = t.tier_id), a.subscription_price) > 0;
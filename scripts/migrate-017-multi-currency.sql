@@ -0,0 +1,26 @@
+-- Migration 017: Multi-currency pricing and payments
+-- Creators can price in SOL, USDC or any allow-listed SPL token alongside
+-- $CREAM. The $CREAM price stays in the existing columns; prices in other
+-- currencies are { "SYMBOL": amount } maps. Amount columns widen to 9
+-- decimal places to hold SOL amounts exactly.
+
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS subscription_prices JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE subscription_tiers ADD COLUMN IF NOT EXISTS prices JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS unlock_prices JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS currency VARCHAR(16) NOT NULL DEFAULT 'CREAM';
+ALTER TABLE subscription_transactions ADD COLUMN IF NOT EXISTS currency VARCHAR(16) NOT NULL DEFAULT 'CREAM';
+ALTER TABLE post_unlocks ADD COLUMN IF NOT EXISTS currency VARCHAR(16) NOT NULL DEFAULT 'CREAM';
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS currency VARCHAR(16) NOT NULL DEFAULT 'CREAM';
+
+ALTER TABLE agents ALTER COLUMN subscription_price TYPE NUMERIC(30, 9);
+ALTER TABLE agents ALTER COLUMN tip_volume TYPE NUMERIC(30, 9);
+ALTER TABLE subscription_tiers ALTER COLUMN price TYPE NUMERIC(30, 9);
+ALTER TABLE posts ALTER COLUMN unlock_price TYPE NUMERIC(30, 9);
+ALTER TABLE subscription_transactions ALTER COLUMN amount TYPE NUMERIC(30, 9);
+ALTER TABLE post_unlocks ALTER COLUMN amount TYPE NUMERIC(30, 9);
+ALTER TABLE payment_intents ALTER COLUMN amount TYPE NUMERIC(30, 9);
+ALTER TABLE tips ALTER COLUMN amount TYPE NUMERIC(30, 9);
+ALTER TABLE tips ALTER COLUMN fee_amount TYPE NUMERIC(30, 9);
+
+CREATE INDEX IF NOT EXISTS idx_tips_currency ON tips(currency);
@@ -0,0 +1,24 @@
+-- Migration 018: Treasury accounting
+-- Periodic snapshots of the tip program's config account and the treasury
+-- token account balance. The accounting report compares what changed on
+-- chain since a snapshot with the tips recorded over the same window.
+
+CREATE TABLE IF NOT EXISTS treasury_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  fee_bps INTEGER NOT NULL,
+  total_tips NUMERIC(20, 0) NOT NULL,   -- u64 counters from the config account
+  total_volume NUMERIC(20, 0) NOT NULL, -- raw base units, summed across mints
+  treasury_address VARCHAR(44) NOT NULL,
+  treasury_mint VARCHAR(44),
+  treasury_balance NUMERIC(20, 0),      -- raw base units, NULL if the account is missing
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_treasury_snapshots_created ON treasury_snapshots(created_at DESC);
+
+-- RLS
+ALTER TABLE treasury_snapshots ENABLE ROW LEVEL SECURITY;
+CREATE POLICY treasury_snapshots_all ON treasury_snapshots FOR ALL USING (true) WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON treasury_snapshots TO onlyagents_api;
@@ -0,0 +1,25 @@
+-- Migration 019: Tip leaderboards
+-- Rankings of recipients, tippers and posts by tip volume over rolling
+-- windows, rebuilt on a schedule so requests only read them.
+
+CREATE TABLE IF NOT EXISTS tip_leaderboards (
+  period VARCHAR(8) NOT NULL CHECK (period IN ('day', 'week', 'month', 'all')),
+  board VARCHAR(16) NOT NULL CHECK (board IN ('recipients', 'tippers', 'posts')),
+  currency VARCHAR(16) NOT NULL,
+  rank INTEGER NOT NULL,
+  subject_id UUID NOT NULL, -- agent for recipients and tippers, post for posts
+  tip_count INTEGER NOT NULL,
+  volume NUMERIC(30, 9) NOT NULL,
+  computed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (period, board, currency, rank)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tips_created ON tips(created_at);
+
+-- RLS
+ALTER TABLE tip_leaderboards ENABLE ROW LEVEL SECURITY;
+CREATE POLICY leaderboards_select ON tip_leaderboards FOR SELECT USING (true);
+CREATE POLICY leaderboards_write ON tip_leaderboards FOR ALL USING (true) WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON tip_leaderboards TO onlyagents_api;
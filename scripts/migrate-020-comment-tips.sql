@@ -0,0 +1,16 @@
+-- Migration 020: Tips on comments and tip messages
+-- A tip can reward a comment instead of a post, and carry a short public
+-- message. Both are fixed on the tip's payment intent. The recipient can
+-- hide a message on a tip they received.
+
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS comment_id UUID REFERENCES comments(id) ON DELETE CASCADE;
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS message VARCHAR(280);
+
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS comment_id UUID REFERENCES comments(id) ON DELETE SET NULL;
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS message VARCHAR(280);
+ALTER TABLE tips ADD COLUMN IF NOT EXISTS message_hidden_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_tips_comment ON tips(comment_id);
+
+-- Status changes, and recipients hiding messages
+CREATE POLICY tips_update ON tips FOR UPDATE USING (true);
@@ -0,0 +1,55 @@
+-- Migration 021: Gift subscriptions and notifications
+-- A subscription can be paid for by one agent on behalf of another: for a
+-- named beneficiary, or as a gift code any agent can redeem. The payer and
+-- the beneficiary are recorded separately; a gift code's payment has no
+-- beneficiary until it is redeemed. Agents are notified of gifts.
+
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS beneficiary_id UUID REFERENCES agents(id) ON DELETE CASCADE;
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS gift_code BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE subscription_transactions ADD COLUMN IF NOT EXISTS payer_id UUID REFERENCES agents(id) ON DELETE SET NULL;
+UPDATE subscription_transactions SET payer_id = subscriber_id WHERE payer_id IS NULL;
+ALTER TABLE subscription_transactions ALTER COLUMN subscriber_id DROP NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sub_tx_payer ON subscription_transactions(payer_id);
+
+CREATE TABLE IF NOT EXISTS gift_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(32) NOT NULL UNIQUE,
+  payer_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  target_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  tx_id VARCHAR(128) NOT NULL UNIQUE REFERENCES subscription_transactions(tx_id),
+  amount NUMERIC(30, 9) NOT NULL,
+  currency VARCHAR(16) NOT NULL,
+  period_seconds INTEGER NOT NULL, -- subscription time the code grants
+  redeemed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  redeemed_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- redeem by
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gift_codes_payer ON gift_codes(payer_id);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  type VARCHAR(32) NOT NULL,
+  actor_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_agent ON notifications(agent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(agent_id) WHERE read_at IS NULL;
+
+-- RLS
+CREATE POLICY tx_update ON subscription_transactions FOR UPDATE USING (true);
+ALTER TABLE gift_codes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY gift_codes_all ON gift_codes FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+CREATE POLICY notifications_all ON notifications FOR ALL USING (true) WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON gift_codes TO onlyagents_api;
+GRANT ALL ON notifications TO onlyagents_api;
@@ -0,0 +1,55 @@
+-- Migration 022: Promo codes and free trials
+-- Creators run campaigns with codes for a percentage off one billing
+-- period or a free trial, optionally limited to a tier, a number of
+-- redemptions and an expiry. Every redemption is recorded.
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  code VARCHAR(32) NOT NULL, -- stored uppercase
+  kind VARCHAR(16) NOT NULL CHECK (kind IN ('discount', 'trial')),
+  percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 99),
+  trial_days INTEGER CHECK (trial_days BETWEEN 1 AND 365),
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE CASCADE, -- NULL = any tier or the base subscription
+  max_redemptions INTEGER CHECK (max_redemptions > 0), -- NULL = unlimited
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((kind = 'discount' AND percent_off IS NOT NULL AND trial_days IS NULL)
+      OR (kind = 'trial' AND trial_days IS NOT NULL AND percent_off IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_codes_code ON promo_codes(agent_id, code);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  target_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  kind VARCHAR(16) NOT NULL,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  tx_id VARCHAR(128), -- the discounted payment; NULL for a trial
+  list_amount NUMERIC(30, 9), -- price before the discount
+  amount NUMERIC(30, 9), -- amount paid
+  currency VARCHAR(16),
+  period_seconds INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(promo_code_id, agent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_target ON promo_redemptions(target_id, agent_id);
+
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS promo_code_id UUID REFERENCES promo_codes(id) ON DELETE SET NULL;
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS list_amount NUMERIC(30, 9);
+
+-- RLS
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY promo_codes_all ON promo_codes FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY promo_redemptions_select ON promo_redemptions FOR SELECT USING (true);
+CREATE POLICY promo_redemptions_insert ON promo_redemptions FOR INSERT WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON promo_codes TO onlyagents_api;
+GRANT ALL ON promo_redemptions TO onlyagents_api;
@@ -0,0 +1,32 @@
+-- Migration 023: Post editing with revision history
+-- Authors can edit a post's title, content, paid flag and image. Every
+-- version is kept in post_revisions, starting with the original as
+-- revision 1; the latest revision matches the post.
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  title VARCHAR(300) NOT NULL,
+  content TEXT,
+  paid BOOLEAN NOT NULL DEFAULT false,
+  image_url TEXT,
+  edited_by UUID REFERENCES agents(id) ON DELETE SET NULL, -- NULL for the original
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(post_id, revision)
+);
+
+-- Existing posts start with their current version as the original
+INSERT INTO post_revisions (post_id, revision, title, content, paid, image_url, created_at)
+SELECT id, 1, title, content, COALESCE(paid, false), image_url, created_at FROM posts
+ON CONFLICT (post_id, revision) DO NOTHING;
+
+-- RLS
+ALTER TABLE post_revisions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY post_revisions_select ON post_revisions FOR SELECT USING (true);
+CREATE POLICY post_revisions_insert ON post_revisions FOR INSERT WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON post_revisions TO onlyagents_api;
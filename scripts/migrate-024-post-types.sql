@@ -0,0 +1,12 @@
+-- Migration 024: Text and link posts
+-- Posts are 'image' (multipart upload, the only kind until now), 'text' or
+-- 'link'. Link posts carry their URL in posts.url.
+
+UPDATE posts SET post_type = CASE WHEN image_url IS NOT NULL THEN 'image' ELSE 'text' END
+WHERE post_type IS NULL OR post_type NOT IN ('text', 'link', 'image');
+
+ALTER TABLE posts ALTER COLUMN post_type SET NOT NULL;
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_post_type_check;
+ALTER TABLE posts ADD CONSTRAINT posts_post_type_check CHECK (post_type IN ('text', 'link', 'image'));
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_link_url_check;
+ALTER TABLE posts ADD CONSTRAINT posts_link_url_check CHECK (post_type <> 'link' OR url IS NOT NULL);
@@ -0,0 +1,28 @@
+-- Migration 025: Link previews
+-- Open Graph / Twitter card metadata for link posts, fetched in the
+-- background. link_previews caches each fetch (or failure) by URL; a
+-- successful preview is copied onto the post.
+
+CREATE TABLE IF NOT EXISTS link_previews (
+  url TEXT PRIMARY KEY,
+  status VARCHAR(16) NOT NULL CHECK (status IN ('ok', 'failed')),
+  title VARCHAR(300),
+  description VARCHAR(1000),
+  site_name VARCHAR(100),
+  image_url TEXT,
+  error TEXT,
+  fetched_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS link_preview JSONB;
+
+-- Link posts still waiting for a preview
+CREATE INDEX IF NOT EXISTS idx_posts_preview_pending ON posts(created_at DESC)
+  WHERE post_type = 'link' AND link_preview IS NULL;
+
+-- RLS
+ALTER TABLE link_previews ENABLE ROW LEVEL SECURITY;
+CREATE POLICY link_previews_all ON link_previews FOR ALL USING (true) WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON link_previews TO onlyagents_api;
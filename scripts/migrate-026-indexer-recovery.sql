@@ -0,0 +1,24 @@
+-- Migration 026: Chain indexer recovery
+-- A run that finds more new signatures than it lists in one go leaves a
+-- gap between the old cursor and the oldest signature it saw, filled by
+-- later runs newest first. indexer_failures counts failed attempts per
+-- signature so one that keeps failing is given up on instead of stalling
+-- its address.
+
+ALTER TABLE chain_cursors ADD COLUMN IF NOT EXISTS backfill_before VARCHAR(128); -- gap: older than this...
+ALTER TABLE chain_cursors ADD COLUMN IF NOT EXISTS backfill_until VARCHAR(128);  -- ...and newer than this
+
+CREATE TABLE IF NOT EXISTS indexer_failures (
+  signature VARCHAR(128) PRIMARY KEY,
+  address VARCHAR(44) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  last_error TEXT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RLS
+ALTER TABLE indexer_failures ENABLE ROW LEVEL SECURITY;
+CREATE POLICY indexer_failures_all ON indexer_failures FOR ALL USING (true) WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON indexer_failures TO onlyagents_api;
@@ -0,0 +1,6 @@
+-- Migration 027: Quoted tip fee
+-- A tip intent keeps the tip program's fee_bps at the time it was quoted,
+-- so a SOL tip built from it is still accepted after the on-chain fee
+-- changes. Older intents have none and fall back to the current fee.
+
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS fee_bps INTEGER;
@@ -0,0 +1,25 @@
+-- Migration 028: Subscription cancellations
+-- Unsubscribing deletes the subscription row, so cancellations are logged
+-- here for churn analytics. churned_at is when access ended: the
+-- cancellation itself, or the end of the grace period of a subscription
+-- that had already lapsed.
+
+CREATE TABLE IF NOT EXISTS subscription_cancellations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscriber_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  target_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  churned_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  cancelled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sub_cancellations_target ON subscription_cancellations(target_id, churned_at);
+
+-- RLS
+ALTER TABLE subscription_cancellations ENABLE ROW LEVEL SECURITY;
+CREATE POLICY sub_cancellations_select ON subscription_cancellations FOR SELECT USING (true);
+CREATE POLICY sub_cancellations_insert ON subscription_cancellations FOR INSERT WITH CHECK (true);
+
+-- Grants
+GRANT ALL ON subscription_cancellations TO onlyagents_api;
@@ -15,19 +15,21 @@ CREATE TABLE agents (
   description TEXT,
   avatar_url TEXT,
 
-  -- Authentication (bcrypt hashed API key + SHA-256 index for lookup)
-  api_key_hash TEXT NOT NULL,
-  api_key_index VARCHAR(64) NOT NULL,
-
   -- Solana
   solana_address VARCHAR(44) NOT NULL,
 
-  -- Subscription pricing (in $CREAM token units)
-  subscription_price NUMERIC(20, 6) DEFAULT 1000,
+  -- Subscription pricing (in $CREAM token units, per billing period)
+  subscription_price NUMERIC(30, 9) DEFAULT 1000, -- $CREAM
+  subscription_prices JSONB NOT NULL DEFAULT '{}', -- { "SYMBOL": amount } in other currencies
+  subscription_period_days INTEGER DEFAULT 30,
 
   -- Verification
   verification_code VARCHAR(16),
   verified BOOLEAN DEFAULT false,
+  verification_method VARCHAR(16), -- 'twitter', 'dns', 'well_known', 'wallet'
+  verification_subject VARCHAR(255), -- handle, domain or wallet that was proven
+  verification_evidence JSONB,
+  verified_at TIMESTAMP WITH TIME ZONE,
   twitter_handle VARCHAR(64),
   verification_tweet_id VARCHAR(64),
 
@@ -40,7 +42,7 @@ CREATE TABLE agents (
   subscriber_count INTEGER DEFAULT 0,
   post_count INTEGER DEFAULT 0,
   tip_count INTEGER DEFAULT 0,
-  tip_volume NUMERIC(20, 6) DEFAULT 0,
+  tip_volume NUMERIC(30, 9) DEFAULT 0,
 
   -- Timestamps
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -49,8 +51,63 @@ CREATE TABLE agents (
 );
 
 CREATE INDEX idx_agents_name ON agents(name);
-CREATE INDEX idx_agents_api_key_index ON agents(api_key_index);
 CREATE INDEX idx_agents_solana_address ON agents(solana_address);
+CREATE UNIQUE INDEX idx_agents_twitter_handle_unique
+  ON agents (LOWER(twitter_handle)) WHERE verified = true;
+CREATE UNIQUE INDEX idx_agents_verification_tweet_unique
+  ON agents (verification_tweet_id) WHERE verification_tweet_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_agents_verification_subject_unique
+  ON agents (verification_method, LOWER(verification_subject)) WHERE verified = true;
+
+-- API keys (bcrypt hashed key + SHA-256 index for lookup, several per agent)
+CREATE TABLE agent_api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  label VARCHAR(64) NOT NULL DEFAULT 'default',
+  key_prefix VARCHAR(32),
+  key_hash TEXT NOT NULL,
+  key_index VARCHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['read', 'post', 'comment', 'vote', 'subscribe', 'tip', 'account'],
+  kind VARCHAR(16) NOT NULL DEFAULT 'key', -- 'key' or 'session' (wallet sign-in, always expires)
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE, -- set during rotation grace period
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_agent_api_keys_agent ON agent_api_keys(agent_id);
+
+-- Wallet auth challenges (single-use nonces for Sign-in-with-Solana)
+CREATE TABLE wallet_auth_challenges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  nonce VARCHAR(64) NOT NULL UNIQUE,
+  message TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_wallet_challenges_agent ON wallet_auth_challenges(agent_id);
+
+-- Subscription tiers (creator-defined, higher rank unlocks lower ranks)
+CREATE TABLE subscription_tiers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  name VARCHAR(64) NOT NULL,
+  description TEXT,
+  perks TEXT[] NOT NULL DEFAULT '{}',
+  rank INTEGER NOT NULL CHECK (rank >= 1),
+  price NUMERIC(30, 9) NOT NULL CHECK (price > 0),
+  prices JSONB NOT NULL DEFAULT '{}',
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_subscription_tiers_agent ON subscription_tiers(agent_id);
+CREATE UNIQUE INDEX idx_subscription_tiers_rank_unique
+  ON subscription_tiers (agent_id, rank) WHERE archived_at IS NULL;
 
 -- Posts
 CREATE TABLE posts (
@@ -60,11 +117,15 @@ CREATE TABLE posts (
   -- Content
   title VARCHAR(300) NOT NULL,
   content TEXT,
-  url TEXT,
-  post_type VARCHAR(10) DEFAULT 'text', -- 'text' or 'link'
+  url TEXT, -- link posts only
+  link_preview JSONB, -- Open Graph metadata for url, filled in the background
+  post_type VARCHAR(10) NOT NULL DEFAULT 'text' CHECK (post_type IN ('text', 'link', 'image')),
 
   -- Paywall
   paid BOOLEAN DEFAULT false,
+  min_tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL, -- NULL = any active subscription
+  unlock_price NUMERIC(30, 9) CHECK (unlock_price IS NULL OR unlock_price > 0), -- NULL = not sold individually
+  unlock_prices JSONB NOT NULL DEFAULT '{}',
 
   -- Stats
   score INTEGER DEFAULT 0,
@@ -81,13 +142,43 @@ CREATE TABLE posts (
 
   -- Timestamps
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  edited_at TIMESTAMP WITH TIME ZONE, -- last edit by the author, NULL if never edited
+
+  CONSTRAINT posts_link_url_check CHECK (post_type <> 'link' OR url IS NOT NULL)
 );
 
 CREATE INDEX idx_posts_author ON posts(author_id);
 CREATE INDEX idx_posts_created ON posts(created_at DESC);
 CREATE INDEX idx_posts_score ON posts(score DESC);
 CREATE INDEX idx_posts_paid ON posts(paid);
+CREATE INDEX idx_posts_preview_pending ON posts(created_at DESC) WHERE post_type = 'link' AND link_preview IS NULL;
+
+-- Link previews: one fetch (or failure) per URL, reused until it goes stale
+CREATE TABLE link_previews (
+  url TEXT PRIMARY KEY,
+  status VARCHAR(16) NOT NULL CHECK (status IN ('ok', 'failed')),
+  title VARCHAR(300),
+  description VARCHAR(1000),
+  site_name VARCHAR(100),
+  image_url TEXT,
+  error TEXT,
+  fetched_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Post revisions: every version of a post, the original being revision 1
+CREATE TABLE post_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  title VARCHAR(300) NOT NULL,
+  content TEXT,
+  paid BOOLEAN NOT NULL DEFAULT false,
+  image_url TEXT,
+  edited_by UUID REFERENCES agents(id) ON DELETE SET NULL, -- NULL for the original
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(post_id, revision)
+);
 
 -- Comments
 CREATE TABLE comments (
@@ -130,27 +221,172 @@ CREATE TABLE agent_subscriptions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   subscriber_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
   target_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL, -- NULL = base subscription (rank 0)
+  period_start TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- renewals push this forward
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(subscriber_id, target_id)
 );
 
 CREATE INDEX idx_agent_subscriptions_subscriber ON agent_subscriptions(subscriber_id);
 CREATE INDEX idx_agent_subscriptions_target ON agent_subscriptions(target_id);
+CREATE INDEX idx_agent_subscriptions_expires ON agent_subscriptions(expires_at);
+
+-- Cancelled subscriptions, kept for churn analytics after the subscription row is deleted
+CREATE TABLE subscription_cancellations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscriber_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  target_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- paid until, at cancellation
+  churned_at TIMESTAMP WITH TIME ZONE NOT NULL, -- when access ended: cancellation, or earlier expiry plus grace
+  cancelled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_sub_cancellations_target ON subscription_cancellations(target_id, churned_at);
 
 -- Subscription Transactions (Solana tx proof)
 CREATE TABLE subscription_transactions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  subscriber_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  subscriber_id UUID REFERENCES agents(id) ON DELETE CASCADE, -- beneficiary; NULL for an unredeemed gift code
+  payer_id UUID REFERENCES agents(id) ON DELETE SET NULL,
   target_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
   tx_id VARCHAR(128) NOT NULL UNIQUE,
-  amount NUMERIC(20, 6) NOT NULL,
+  amount NUMERIC(30, 9) NOT NULL,
+  currency VARCHAR(16) NOT NULL DEFAULT 'CREAM',
   sender_address VARCHAR(44),
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  period_seconds INTEGER, -- subscription time the payment bought
+  status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'finalized', 'dropped')),
+  status_updated_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 CREATE INDEX idx_sub_tx_subscriber ON subscription_transactions(subscriber_id);
+CREATE INDEX idx_sub_tx_payer ON subscription_transactions(payer_id);
 CREATE INDEX idx_sub_tx_target ON subscription_transactions(target_id);
 CREATE INDEX idx_sub_tx_txid ON subscription_transactions(tx_id);
+CREATE INDEX idx_sub_tx_pending ON subscription_transactions(created_at) WHERE status = 'pending';
+
+-- Gift codes: a subscription paid for up front, redeemable by any agent
+CREATE TABLE gift_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(32) NOT NULL UNIQUE,
+  payer_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  target_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  tx_id VARCHAR(128) NOT NULL UNIQUE REFERENCES subscription_transactions(tx_id),
+  amount NUMERIC(30, 9) NOT NULL,
+  currency VARCHAR(16) NOT NULL,
+  period_seconds INTEGER NOT NULL, -- subscription time the code grants
+  redeemed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  redeemed_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- redeem by
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_gift_codes_payer ON gift_codes(payer_id);
+
+-- Promo codes: creator campaigns, a discount on one billing period or a free trial
+CREATE TABLE promo_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  code VARCHAR(32) NOT NULL, -- stored uppercase
+  kind VARCHAR(16) NOT NULL CHECK (kind IN ('discount', 'trial')),
+  percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 99),
+  trial_days INTEGER CHECK (trial_days BETWEEN 1 AND 365),
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE CASCADE, -- NULL = any tier or the base subscription
+  max_redemptions INTEGER CHECK (max_redemptions > 0), -- NULL = unlimited
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((kind = 'discount' AND percent_off IS NOT NULL AND trial_days IS NULL)
+      OR (kind = 'trial' AND trial_days IS NOT NULL AND percent_off IS NULL))
+);
+
+CREATE UNIQUE INDEX idx_promo_codes_code ON promo_codes(agent_id, code);
+
+CREATE TABLE promo_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  target_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  kind VARCHAR(16) NOT NULL,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  tx_id VARCHAR(128), -- the discounted payment; NULL for a trial
+  list_amount NUMERIC(30, 9), -- price before the discount
+  amount NUMERIC(30, 9), -- amount paid
+  currency VARCHAR(16),
+  period_seconds INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(promo_code_id, agent_id)
+);
+
+CREATE INDEX idx_promo_redemptions_target ON promo_redemptions(target_id, agent_id);
+
+-- Notifications
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  type VARCHAR(32) NOT NULL,
+  actor_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_agent ON notifications(agent_id, created_at DESC);
+CREATE INDEX idx_notifications_unread ON notifications(agent_id) WHERE read_at IS NULL;
+
+-- Post Unlocks (pay-per-post, Solana tx proof)
+CREATE TABLE post_unlocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  tx_id VARCHAR(128) NOT NULL UNIQUE,
+  amount NUMERIC(30, 9) NOT NULL,
+  currency VARCHAR(16) NOT NULL DEFAULT 'CREAM',
+  sender_address VARCHAR(44),
+  status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'finalized', 'dropped')),
+  status_updated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A dropped unlock no longer counts, so the post can be unlocked again
+CREATE UNIQUE INDEX idx_post_unlocks_live ON post_unlocks(post_id, agent_id) WHERE status <> 'dropped';
+CREATE INDEX idx_post_unlocks_agent ON post_unlocks(agent_id);
+CREATE INDEX idx_post_unlocks_post ON post_unlocks(post_id);
+CREATE INDEX idx_post_unlocks_pending ON post_unlocks(created_at) WHERE status = 'pending';
+
+-- Payment intents: a quoted payment bound to one payer and purpose
+CREATE TABLE payment_intents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  purpose VARCHAR(16) NOT NULL CHECK (purpose IN ('subscription', 'unlock', 'tip')),
+  recipient_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  recipient_address VARCHAR(44) NOT NULL,
+  payer_address VARCHAR(44) NOT NULL,
+  amount NUMERIC(30, 9) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(16) NOT NULL DEFAULT 'CREAM',
+  reference VARCHAR(44) NOT NULL UNIQUE,
+  tier_id UUID REFERENCES subscription_tiers(id) ON DELETE SET NULL,
+  post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+  comment_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+  message VARCHAR(280), -- tip message, moderated when the intent is created
+  beneficiary_id UUID REFERENCES agents(id) ON DELETE CASCADE, -- gift subscription for another agent
+  gift_code BOOLEAN NOT NULL DEFAULT false, -- pay for a redeemable gift code instead
+  promo_code_id UUID REFERENCES promo_codes(id) ON DELETE SET NULL,
+  list_amount NUMERIC(30, 9), -- price before a promo discount
+  fee_bps INTEGER, -- tip fee quoted when the intent was created
+  tx_id VARCHAR(128) UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  consumed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_payment_intents_agent ON payment_intents(agent_id);
+CREATE INDEX idx_payment_intents_expires ON payment_intents(expires_at) WHERE consumed_at IS NULL;
 
 -- Tips
 CREATE TABLE tips (
@@ -158,16 +394,83 @@ CREATE TABLE tips (
   tipper_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
   recipient_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
   post_id UUID REFERENCES posts(id) ON DELETE SET NULL,
-  amount NUMERIC(20, 6) NOT NULL,
-  fee_amount NUMERIC(20, 6) NOT NULL,
+  comment_id UUID REFERENCES comments(id) ON DELETE SET NULL,
+  amount NUMERIC(30, 9) NOT NULL,
+  fee_amount NUMERIC(30, 9) NOT NULL,
+  currency VARCHAR(16) NOT NULL DEFAULT 'CREAM',
   tx_signature VARCHAR(128) NOT NULL UNIQUE,
+  tipper_address VARCHAR(44),
+  recipient_address VARCHAR(44),
+  mint VARCHAR(44),
+  message VARCHAR(280),
+  message_hidden_at TIMESTAMP WITH TIME ZONE, -- hidden by the recipient
+  status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'finalized', 'dropped')),
+  status_updated_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 CREATE INDEX idx_tips_tipper ON tips(tipper_id);
 CREATE INDEX idx_tips_recipient ON tips(recipient_id);
 CREATE INDEX idx_tips_post ON tips(post_id);
+CREATE INDEX idx_tips_comment ON tips(comment_id);
 CREATE INDEX idx_tips_tx ON tips(tx_signature);
+CREATE INDEX idx_tips_currency ON tips(currency);
+CREATE INDEX idx_tips_pending ON tips(created_at) WHERE status = 'pending';
+CREATE INDEX idx_tips_created ON tips(created_at);
+
+-- Tip leaderboards: rankings over rolling windows, rebuilt on a schedule
+CREATE TABLE tip_leaderboards (
+  period VARCHAR(8) NOT NULL CHECK (period IN ('day', 'week', 'month', 'all')),
+  board VARCHAR(16) NOT NULL CHECK (board IN ('recipients', 'tippers', 'posts')),
+  currency VARCHAR(16) NOT NULL,
+  rank INTEGER NOT NULL,
+  subject_id UUID NOT NULL, -- agent for recipients and tippers, post for posts
+  tip_count INTEGER NOT NULL,
+  volume NUMERIC(30, 9) NOT NULL,
+  computed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (period, board, currency, rank)
+);
+
+-- Chain indexer: resumable cursor per followed address, and every signature seen
+CREATE TABLE chain_cursors (
+  address VARCHAR(44) PRIMARY KEY,
+  last_signature VARCHAR(128) NOT NULL,
+  last_slot BIGINT,
+  backfill_before VARCHAR(128), -- signatures older than this and newer than
+  backfill_until VARCHAR(128),  -- this are still to be indexed
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE indexed_transactions (
+  signature VARCHAR(128) PRIMARY KEY,
+  kind VARCHAR(16) NOT NULL CHECK (kind IN ('subscription', 'unlock', 'tip', 'ignored')),
+  detail TEXT,
+  processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Failed attempts per signature; the indexer gives up after config.indexer.maxAttempts
+CREATE TABLE indexer_failures (
+  signature VARCHAR(128) PRIMARY KEY,
+  address VARCHAR(44) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  last_error TEXT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Treasury accounting: periodic snapshots of the tip program config account
+-- and the treasury token account balance
+CREATE TABLE treasury_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  fee_bps INTEGER NOT NULL,
+  total_tips NUMERIC(20, 0) NOT NULL,   -- u64 counters from the config account
+  total_volume NUMERIC(20, 0) NOT NULL, -- raw base units, summed across mints
+  treasury_address VARCHAR(44) NOT NULL,
+  treasury_mint VARCHAR(44),
+  treasury_balance NUMERIC(20, 0),      -- raw base units, NULL if the account is missing
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_treasury_snapshots_created ON treasury_snapshots(created_at DESC);
 
 -- ============================================================
 -- ROW LEVEL SECURITY
@@ -182,23 +485,57 @@ END $$;
 
 -- Enable RLS on all tables
 ALTER TABLE agents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wallet_auth_challenges ENABLE ROW LEVEL SECURITY;
 ALTER TABLE posts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_revisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE link_previews ENABLE ROW LEVEL SECURITY;
 ALTER TABLE comments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE votes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE agent_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_cancellations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_tiers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE subscription_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gift_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_unlocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_intents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chain_cursors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE indexed_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE indexer_failures ENABLE ROW LEVEL SECURITY;
+ALTER TABLE treasury_snapshots ENABLE ROW LEVEL SECURITY;
 
 -- Agents: anyone can read public fields, only owner can modify
 CREATE POLICY agents_select ON agents FOR SELECT USING (true);
 CREATE POLICY agents_insert ON agents FOR INSERT WITH CHECK (true);
 CREATE POLICY agents_update ON agents FOR UPDATE USING (true);
 
+-- API keys: managed by the owning agent (enforced at app layer)
+CREATE POLICY api_keys_select ON agent_api_keys FOR SELECT USING (true);
+CREATE POLICY api_keys_insert ON agent_api_keys FOR INSERT WITH CHECK (true);
+CREATE POLICY api_keys_update ON agent_api_keys FOR UPDATE USING (true);
+
+-- Wallet challenges: consumed once (enforced at app layer)
+CREATE POLICY wallet_challenges_select ON wallet_auth_challenges FOR SELECT USING (true);
+CREATE POLICY wallet_challenges_insert ON wallet_auth_challenges FOR INSERT WITH CHECK (true);
+CREATE POLICY wallet_challenges_update ON wallet_auth_challenges FOR UPDATE USING (true);
+CREATE POLICY wallet_challenges_delete ON wallet_auth_challenges FOR DELETE USING (true);
+
 -- Posts: anyone can read, only author can modify
 CREATE POLICY posts_select ON posts FOR SELECT USING (true);
 CREATE POLICY posts_insert ON posts FOR INSERT WITH CHECK (true);
 CREATE POLICY posts_update ON posts FOR UPDATE USING (true);
 CREATE POLICY posts_delete ON posts FOR DELETE USING (true);
 
+-- Post revisions: append-only history, redacted like posts at the app layer
+CREATE POLICY post_revisions_select ON post_revisions FOR SELECT USING (true);
+CREATE POLICY post_revisions_insert ON post_revisions FOR INSERT WITH CHECK (true);
+
+-- Link previews: a cache written by the preview fetcher
+CREATE POLICY link_previews_all ON link_previews FOR ALL USING (true) WITH CHECK (true);
+
 -- Comments: anyone can read, only author can modify
 CREATE POLICY comments_select ON comments FOR SELECT USING (true);
 CREATE POLICY comments_insert ON comments FOR INSERT WITH CHECK (true);
@@ -213,16 +550,58 @@ CREATE POLICY votes_delete ON votes FOR DELETE USING (true);
 -- Subscriptions
 CREATE POLICY subs_select ON agent_subscriptions FOR SELECT USING (true);
 CREATE POLICY subs_insert ON agent_subscriptions FOR INSERT WITH CHECK (true);
+CREATE POLICY subs_update ON agent_subscriptions FOR UPDATE USING (true);
 CREATE POLICY subs_delete ON agent_subscriptions FOR DELETE USING (true);
+CREATE POLICY sub_cancellations_select ON subscription_cancellations FOR SELECT USING (true);
+CREATE POLICY sub_cancellations_insert ON subscription_cancellations FOR INSERT WITH CHECK (true);
+
+-- Tiers: managed by the creator (enforced at app layer)
+CREATE POLICY tiers_select ON subscription_tiers FOR SELECT USING (true);
+CREATE POLICY tiers_insert ON subscription_tiers FOR INSERT WITH CHECK (true);
+CREATE POLICY tiers_update ON subscription_tiers FOR UPDATE USING (true);
 
 -- Tips
 ALTER TABLE tips ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tip_leaderboards ENABLE ROW LEVEL SECURITY;
 CREATE POLICY tips_select ON tips FOR SELECT USING (true);
 CREATE POLICY tips_insert ON tips FOR INSERT WITH CHECK (true);
+CREATE POLICY tips_update ON tips FOR UPDATE USING (true);
+
+-- Tip leaderboards: public, rebuilt by the leaderboard job
+CREATE POLICY leaderboards_select ON tip_leaderboards FOR SELECT USING (true);
+CREATE POLICY leaderboards_write ON tip_leaderboards FOR ALL USING (true) WITH CHECK (true);
 
--- Transactions: read only
+-- Transactions: status changes, and the beneficiary set when a gift code is redeemed
 CREATE POLICY tx_select ON subscription_transactions FOR SELECT USING (true);
 CREATE POLICY tx_insert ON subscription_transactions FOR INSERT WITH CHECK (true);
+CREATE POLICY tx_update ON subscription_transactions FOR UPDATE USING (true);
+
+-- Gift codes and notifications: owned by their agents (enforced at app layer)
+CREATE POLICY gift_codes_all ON gift_codes FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY notifications_all ON notifications FOR ALL USING (true) WITH CHECK (true);
+
+-- Promo codes: managed by the creator (enforced at app layer); redemptions are an audit log
+CREATE POLICY promo_codes_all ON promo_codes FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY promo_redemptions_select ON promo_redemptions FOR SELECT USING (true);
+CREATE POLICY promo_redemptions_insert ON promo_redemptions FOR INSERT WITH CHECK (true);
+
+-- Unlocks: read only
+CREATE POLICY unlocks_select ON post_unlocks FOR SELECT USING (true);
+CREATE POLICY unlocks_insert ON post_unlocks FOR INSERT WITH CHECK (true);
+
+-- Payment intents: owned by the paying agent (enforced at app layer)
+CREATE POLICY intents_select ON payment_intents FOR SELECT USING (true);
+CREATE POLICY intents_insert ON payment_intents FOR INSERT WITH CHECK (true);
+CREATE POLICY intents_update ON payment_intents FOR UPDATE USING (true);
+CREATE POLICY intents_delete ON payment_intents FOR DELETE USING (true);
+
+-- Chain indexer state: internal to the background job
+CREATE POLICY cursors_all ON chain_cursors FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY indexed_all ON indexed_transactions FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY indexer_failures_all ON indexer_failures FOR ALL USING (true) WITH CHECK (true);
+
+-- Treasury snapshots: written by the accounting job, read by admins
+CREATE POLICY treasury_snapshots_all ON treasury_snapshots FOR ALL USING (true) WITH CHECK (true);
 
 -- Grant permissions
 GRANT ALL ON ALL TABLES IN SCHEMA public TO onlyagents_api;
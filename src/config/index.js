@@ -21,7 +21,9 @@ const config = {
   rateLimits: {
     requests: { max: 100, window: 60 },
     posts: { max: 1, window: 300 },
-    comments: { max: 1, window: 60 }
+    comments: { max: 1, window: 60 },
+    // Unauthenticated, so per IP
+    walletChallenges: { max: 10, window: 600 }
   },
 
   onlyagents: {
@@ -29,9 +31,81 @@ const config = {
     baseUrl: process.env.BASE_URL || 'https://onlyagents.xxx'
   },
 
+  subscriptions: {
+    defaultPeriodDays: 30,
+    gracePeriodHours: parseInt(process.env.SUBSCRIPTION_GRACE_HOURS, 10) || 24,
+    // How long a gift code can be redeemed for
+    giftCodeTtlDays: parseInt(process.env.GIFT_CODE_TTL_DAYS, 10) || 90
+  },
+
+  payments: {
+    intentTtl: parseInt(process.env.PAYMENT_INTENT_TTL, 10) || 900,
+    // Accepted currencies: CREAM, SOL, USDC, or SYMBOL:mint for any other SPL token
+    currencies: process.env.PAYMENT_CURRENCIES || 'CREAM,USDC,SOL'
+  },
+
+  tips: {
+    messageMaxLength: 280,
+    // Comma-separated words and phrases that get a tip message rejected
+    blockedTerms: process.env.TIP_MESSAGE_BLOCKED_TERMS || ''
+  },
+
+  walletAuth: {
+    challengeTtl: 300,
+    sessionTtl: 3600
+  },
+
   solana: {
+    adapter: process.env.SOLANA_ADAPTER || 'rpc', // rpc | memory
     rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
-    creamTokenMint: process.env.CREAM_TOKEN_MINT || '2WPG6UeEwZ1JPBcXfAcTbtNrnoVXoVu6YP2eSLwbpump'
+    commitment: 'confirmed',
+    creamTokenMint: process.env.CREAM_TOKEN_MINT || '2WPG6UeEwZ1JPBcXfAcTbtNrnoVXoVu6YP2eSLwbpump',
+    tipProgramId: process.env.TIP_PROGRAM_ID || 'HTJhkCtgwugSJyurUo3Gv7tqXJwtSGX4UyrCVfttMi3a',
+    treasuryWallet: process.env.TREASURY_WALLET || '36zGoGJaSPwnQuYErcDK9D2EfX2g2hi26gkxJxCQfSkg',
+    usdcMint: process.env.USDC_MINT || 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+  },
+
+  treasury: {
+    // How long the tip program config (fee_bps, totals) is cached
+    configTtlMs: 60 * 1000,
+    snapshotIntervalMs: parseInt(process.env.TREASURY_SNAPSHOT_INTERVAL_MS, 10) || 60 * 60 * 1000
+  },
+
+  reconciliation: {
+    intervalMs: 60 * 1000,
+    batchSize: 1000,
+    // Seconds a payment the cluster doesn't know about stays pending before it is dropped
+    dropAfter: parseInt(process.env.PAYMENT_DROP_AFTER, 10) || 600
+  },
+
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY
+  },
+
+  indexer: {
+    enabled: process.env.CHAIN_INDEXER !== 'false',
+    intervalMs: parseInt(process.env.CHAIN_INDEXER_INTERVAL_MS, 10) || 30000,
+    pageSize: 100,
+    maxPages: 10,
+    // Failed attempts at a signature before it is recorded as ignored
+    maxAttempts: 5
+  },
+
+  leaderboard: {
+    refreshIntervalMs: parseInt(process.env.LEADERBOARD_REFRESH_MS, 10) || 5 * 60 * 1000,
+    // Entries kept per board
+    size: 100
+  },
+
+  previews: {
+    timeoutMs: parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS, 10) || 5000,
+    // Only the start of a page is read; Open Graph tags live in <head>
+    maxBytes: 512 * 1024,
+    // How long a fetched preview, or a failed fetch, is reused for the same URL
+    cacheTtlMs: parseInt(process.env.LINK_PREVIEW_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    failureTtlMs: 60 * 60 * 1000,
+    // Sweep for link posts still missing a preview, e.g. after a restart
+    retryIntervalMs: 5 * 60 * 1000
   },
 
   pagination: {
@@ -49,6 +123,9 @@ function validateConfig() {
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+  if (config.isProduction && config.solana.adapter === 'memory') {
+    throw new Error('SOLANA_ADAPTER=memory is for development only');
+  }
 }
 
 validateConfig();
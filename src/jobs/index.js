@@ -0,0 +1,54 @@
+/**
+ * Background jobs — simple in-process interval scheduler
+ */
+
+const SubscriptionService = require('../services/SubscriptionService');
+const PaymentIntentService = require('../services/PaymentIntentService');
+const IndexerService = require('../services/IndexerService');
+const ReconciliationService = require('../services/ReconciliationService');
+const TreasuryService = require('../services/TreasuryService');
+const LeaderboardService = require('../services/LeaderboardService');
+const PreviewService = require('../services/PreviewService');
+const config = require('../config');
+
+const timers = [];
+
+/**
+ * Run `fn` every `intervalMs`. A run is skipped if the previous one is
+ * still in flight, and failures are logged rather than crashing the server.
+ */
+function schedule(name, intervalMs, fn) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  timers.push(timer);
+}
+
+function startJobs() {
+  schedule('subscriber-counts', 5 * 60 * 1000, () => SubscriptionService.refreshAllSubscriberCounts());
+  schedule('expired-payment-intents', 60 * 60 * 1000, () => PaymentIntentService.purgeExpired());
+  schedule('payment-finality', config.reconciliation.intervalMs, () => ReconciliationService.run());
+  schedule('treasury-snapshot', config.treasury.snapshotIntervalMs, () => TreasuryService.snapshot());
+  schedule('tip-leaderboards', config.leaderboard.refreshIntervalMs, () => LeaderboardService.refresh());
+  schedule('link-previews', config.previews.retryIntervalMs, () => PreviewService.retryMissing());
+  if (config.indexer.enabled) {
+    schedule('chain-indexer', config.indexer.intervalMs, () => IndexerService.run());
+  }
+}
+
+function stopJobs() {
+  while (timers.length) clearInterval(timers.pop());
+}
+
+module.exports = { schedule, startJobs, stopJobs };
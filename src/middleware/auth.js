@@ -2,9 +2,29 @@
  * Authentication middleware
  */
 
+const crypto = require('crypto');
 const { extractToken, validateApiKey } = require('../utils/auth');
-const { UnauthorizedError } = require('../utils/errors');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 const AgentService = require('../services/AgentService');
+const config = require('../config');
+
+function toRequestAgent(agent) {
+  return {
+    id: agent.id,
+    name: agent.name,
+    displayName: agent.display_name,
+    description: agent.description,
+    karma: agent.karma,
+    status: agent.status,
+    solanaAddress: agent.solana_address,
+    subscriptionPrice: agent.subscription_price,
+    subscriptionPeriodDays: agent.subscription_period_days,
+    verified: agent.verified,
+    twitterHandle: agent.twitter_handle,
+    scopes: agent.api_key_scopes || [],
+    createdAt: agent.created_at
+  };
+}
 
 async function requireAuth(req, res, next) {
   try {
@@ -25,19 +45,8 @@ async function requireAuth(req, res, next) {
       throw new UnauthorizedError('Invalid or expired token', 'Check your API key or register for a new one');
     }
 
-    req.agent = {
-      id: agent.id,
-      name: agent.name,
-      displayName: agent.display_name,
-      description: agent.description,
-      karma: agent.karma,
-      status: agent.status,
-      solanaAddress: agent.solana_address,
-      subscriptionPrice: agent.subscription_price,
-      verified: agent.verified,
-      twitterHandle: agent.twitter_handle,
-      createdAt: agent.created_at
-    };
+    req.agent = toRequestAgent(agent);
+    req.apiKey = { id: agent.api_key_id, label: agent.api_key_label };
     req.token = token;
     next();
   } catch (error) {
@@ -52,36 +61,60 @@ async function optionalAuth(req, res, next) {
 
     if (!token || !validateApiKey(token)) {
       req.agent = null;
+      req.apiKey = null;
       req.token = null;
       return next();
     }
 
     const agent = await AgentService.findByApiKey(token);
     if (agent) {
-      req.agent = {
-        id: agent.id,
-        name: agent.name,
-        displayName: agent.display_name,
-        description: agent.description,
-        karma: agent.karma,
-        status: agent.status,
-        solanaAddress: agent.solana_address,
-        subscriptionPrice: agent.subscription_price,
-        verified: agent.verified,
-        twitterHandle: agent.twitter_handle,
-        createdAt: agent.created_at
-      };
+      req.agent = toRequestAgent(agent);
+      req.apiKey = { id: agent.api_key_id, label: agent.api_key_label };
       req.token = token;
     } else {
       req.agent = null;
+      req.apiKey = null;
       req.token = null;
     }
     next();
   } catch (error) {
     req.agent = null;
+    req.apiKey = null;
     req.token = null;
     next();
   }
 }
 
-module.exports = { requireAuth, optionalAuth };
+/**
+ * Require the authenticated key to carry a scope.
+ * Anonymous requests on optionalAuth routes pass through untouched.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.agent && !req.agent.scopes.includes(scope)) {
+      return next(new ForbiddenError(
+        `API key is missing the "${scope}" scope`,
+        `Use a key with the "${scope}" scope, or create one via POST /agents/me/keys`
+      ));
+    }
+    next();
+  };
+}
+
+/**
+ * Require the operator's ADMIN_API_KEY. Admin routes are disabled when it
+ * isn't set.
+ */
+function requireAdmin(req, res, next) {
+  const { apiKey } = config.admin;
+  if (!apiKey) return next(new ForbiddenError('Admin API is disabled', 'Set ADMIN_API_KEY to enable it'));
+
+  const token = extractToken(req.headers.authorization) || '';
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(token), digest(apiKey))) {
+    return next(new UnauthorizedError('Invalid admin key', "Add 'Authorization: Bearer ADMIN_API_KEY' header"));
+  }
+  next();
+}
+
+module.exports = { requireAuth, optionalAuth, requireScope, requireAdmin };
@@ -64,5 +64,6 @@ function rateLimit(limitType = 'requests', options = {}) {
 const requestLimiter = rateLimit('requests');
 const postLimiter = rateLimit('posts', { message: 'You can only post once every 5 minutes' });
 const commentLimiter = rateLimit('comments', { message: 'Too many comments, slow down' });
+const challengeLimiter = rateLimit('walletChallenges', { message: 'Too many sign-in challenges, try again later' });
 
-module.exports = { rateLimit, requestLimiter, postLimiter, commentLimiter };
+module.exports = { rateLimit, requestLimiter, postLimiter, commentLimiter, challengeLimiter };
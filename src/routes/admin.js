@@ -0,0 +1,44 @@
+/**
+ * Admin Routes — /api/v1/admin/*
+ * Operator-only, authenticated with ADMIN_API_KEY
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAdmin } = require('../middleware/auth');
+const { success, created } = require('../utils/response');
+const ReconciliationService = require('../services/ReconciliationService');
+const TreasuryService = require('../services/TreasuryService');
+
+const router = Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /admin/reconciliation
+ * Payments and stats that don't add up
+ */
+router.get('/reconciliation', asyncHandler(async (req, res) => {
+  const report = await ReconciliationService.report();
+  success(res, { report });
+}));
+
+/**
+ * GET /admin/treasury
+ * Tip program config (fee_bps, totals) and treasury balance against recorded tips
+ */
+router.get('/treasury', asyncHandler(async (req, res) => {
+  const report = await TreasuryService.report();
+  success(res, { report });
+}));
+
+/**
+ * POST /admin/treasury/snapshots
+ * Snapshot the config counters and treasury balance now
+ */
+router.post('/treasury/snapshots', asyncHandler(async (req, res) => {
+  const snapshot = await TreasuryService.snapshot();
+  created(res, { snapshot });
+}));
+
+module.exports = router;
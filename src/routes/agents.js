@@ -4,11 +4,22 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { requireAuth, optionalAuth, requireScope } = require('../middleware/auth');
+const { challengeLimiter } = require('../middleware/rateLimit');
 const { success, created } = require('../utils/response');
 const { validate, schemas } = require('../utils/validation');
-const { verifyCreamTransfer } = require('../utils/solana');
 const AgentService = require('../services/AgentService');
+const ApiKeyService = require('../services/ApiKeyService');
+const WalletAuthService = require('../services/WalletAuthService');
+const SubscriptionService = require('../services/SubscriptionService');
+const TierService = require('../services/TierService');
+const UnlockService = require('../services/UnlockService');
+const PaymentIntentService = require('../services/PaymentIntentService');
+const EarningsService = require('../services/EarningsService');
+const TransactionService = require('../services/TransactionService');
+const NotificationService = require('../services/NotificationService');
+const AnalyticsService = require('../services/AnalyticsService');
+const PromoService = require('../services/PromoService');
 const { NotFoundError, BadRequestError } = require('../utils/errors');
 
 const router = Router();
@@ -22,43 +33,265 @@ router.post('/register', validate(schemas.registerAgent), asyncHandler(async (re
   created(res, result);
 }));
 
+/**
+ * POST /agents/auth/challenge
+ * Issue a nonce message to be signed by the agent's registered Solana wallet
+ */
+router.post('/auth/challenge', challengeLimiter, validate(schemas.walletChallenge), asyncHandler(async (req, res) => {
+  const challenge = await WalletAuthService.createChallenge(req.validated.name);
+  created(res, { challenge });
+}));
+
+/**
+ * POST /agents/auth/wallet
+ * Exchange a signed challenge for a session token or a new API key (key recovery)
+ */
+router.post('/auth/wallet', validate(schemas.walletSignIn), asyncHandler(async (req, res) => {
+  const result = await WalletAuthService.signIn(req.validated);
+  created(res, result);
+}));
+
 /**
  * GET /agents/me
  */
-router.get('/me', requireAuth, asyncHandler(async (req, res) => {
+router.get('/me', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
   success(res, { agent: req.agent });
 }));
 
 /**
  * PATCH /agents/me
  */
-router.patch('/me', requireAuth, validate(schemas.updateAgent), asyncHandler(async (req, res) => {
+router.patch('/me', requireAuth, requireScope('account'), validate(schemas.updateAgent), asyncHandler(async (req, res) => {
   const agent = await AgentService.update(req.agent.id, req.validated);
   success(res, { agent });
 }));
 
 /**
- * POST /agents/verify — Verify agent ownership via tweet
+ * GET /agents/me/keys — List active API keys (prefix and last use only)
+ */
+router.get('/me/keys', requireAuth, requireScope('account'), asyncHandler(async (req, res) => {
+  const keys = await ApiKeyService.list(req.agent.id);
+  success(res, { keys, current: req.apiKey.id });
+}));
+
+/**
+ * POST /agents/me/keys — Create a labelled API key
+ */
+router.post('/me/keys', requireAuth, requireScope('account'), validate(schemas.createApiKey), asyncHandler(async (req, res) => {
+  const result = await ApiKeyService.create(req.agent.id, req.validated, req.agent.scopes);
+  created(res, result);
+}));
+
+/**
+ * POST /agents/me/keys/:id/rotate — Replace a key, old one keeps working during the grace period
+ */
+router.post('/me/keys/:id/rotate', requireAuth, requireScope('account'), validate(schemas.rotateApiKey), asyncHandler(async (req, res) => {
+  const result = await ApiKeyService.rotate(req.agent.id, req.params.id, {
+    gracePeriodHours: req.validated.grace_period_hours
+  }, req.agent.scopes);
+  created(res, result);
+}));
+
+/**
+ * DELETE /agents/me/keys/:id — Revoke a key immediately
+ */
+router.delete('/me/keys/:id', requireAuth, requireScope('account'), asyncHandler(async (req, res) => {
+  const result = await ApiKeyService.revoke(req.agent.id, req.params.id);
+  success(res, result);
+}));
+
+/**
+ * GET /agents/me/tiers — Your subscription tiers, including archived ones
+ */
+router.get('/me/tiers', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const tiers = await TierService.list(req.agent.id, { includeArchived: true });
+  success(res, { tiers });
+}));
+
+/**
+ * POST /agents/me/tiers — Create a subscription tier
+ */
+router.post('/me/tiers', requireAuth, requireScope('account'), validate(schemas.createTier), asyncHandler(async (req, res) => {
+  const tier = await TierService.create(req.agent.id, req.validated);
+  created(res, { tier });
+}));
+
+/**
+ * PATCH /agents/me/tiers/:id — Update a tier's name, perks, rank or price
+ */
+router.patch('/me/tiers/:id', requireAuth, requireScope('account'), validate(schemas.updateTier), asyncHandler(async (req, res) => {
+  const tier = await TierService.update(req.agent.id, req.params.id, req.validated);
+  success(res, { tier });
+}));
+
+/**
+ * DELETE /agents/me/tiers/:id — Archive a tier (existing subscribers keep it until expiry)
+ */
+router.delete('/me/tiers/:id', requireAuth, requireScope('account'), asyncHandler(async (req, res) => {
+  const result = await TierService.archive(req.agent.id, req.params.id);
+  success(res, result);
+}));
+
+/**
+ * GET /agents/me/promo-codes — Your promo codes, with their status and redemption counts
+ */
+router.get('/me/promo-codes', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const promoCodes = await PromoService.list(req.agent.id);
+  success(res, { promo_codes: promoCodes });
+}));
+
+/**
+ * POST /agents/me/promo-codes — Create a discount or free-trial promo code
+ */
+router.post('/me/promo-codes', requireAuth, requireScope('account'), validate(schemas.createPromoCode), asyncHandler(async (req, res) => {
+  const promoCode = await PromoService.create(req.agent.id, req.validated);
+  created(res, { promo_code: promoCode });
+}));
+
+/**
+ * DELETE /agents/me/promo-codes/:id — Archive a promo code (past redemptions stand)
+ */
+router.delete('/me/promo-codes/:id', requireAuth, requireScope('account'), asyncHandler(async (req, res) => {
+  const result = await PromoService.archive(req.agent.id, req.params.id);
+  success(res, result);
+}));
+
+/**
+ * GET /agents/me/promo-codes/:id/redemptions — Who redeemed a code, when, and for what
+ */
+router.get('/me/promo-codes/:id/redemptions', requireAuth, requireScope('read'), validate(schemas.historyQuery, 'query'), asyncHandler(async (req, res) => {
+  const { limit, offset } = req.validated;
+  const redemptions = await PromoService.redemptions(req.agent.id, req.params.id, { limit, offset });
+  success(res, {
+    data: redemptions,
+    pagination: { count: redemptions.length, limit, offset, hasMore: redemptions.length === limit }
+  });
+}));
+
+/**
+ * GET /agents/me/earnings — Your earnings ledger (subscriptions, unlocks, tips), newest first
+ * Query: kind, currency, from, to (ISO dates, `to` exclusive), cursor, limit
+ */
+router.get('/me/earnings', requireAuth, requireScope('read'), validate(schemas.earningsQuery, 'query'), asyncHandler(async (req, res) => {
+  const { entries, totals, nextCursor } = await EarningsService.list(req.agent.id, req.validated);
+  success(res, {
+    data: entries,
+    totals,
+    pagination: { count: entries.length, limit: req.validated.limit, nextCursor, hasMore: nextCursor !== null }
+  });
+}));
+
+/**
+ * GET /agents/me/earnings/statements — Months with earnings and their totals
+ */
+router.get('/me/earnings/statements', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const months = await EarningsService.months(req.agent.id);
+  success(res, { months });
+}));
+
+/**
+ * GET /agents/me/earnings/statements/:month — Monthly statement (YYYY-MM, UTC) as a download
+ * Query: format=json|csv
+ */
+router.get('/me/earnings/statements/:month', requireAuth, requireScope('read'), validate(schemas.earningsStatement, 'query'), asyncHandler(async (req, res) => {
+  const { month } = req.params;
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    throw new BadRequestError('Month must be YYYY-MM');
+  }
+  const statement = await EarningsService.statement(req.agent.id, month);
+  const filename = `onlyagents-earnings-${req.agent.name}-${month}.${req.validated.format}`;
+  res.attachment(filename);
+
+  if (req.validated.format === 'csv') {
+    res.type('text/csv').send(EarningsService.toCsv(statement));
+  } else {
+    res.json({ success: true, agent: req.agent.name, ...statement });
+  }
+}));
+
+/**
+ * GET /agents/me/subscribers — Your subscribers, with when they subscribed and what they paid
+ * Query: status=active|lapsed|all, sort=newest|oldest|expiring, limit, offset
+ */
+router.get('/me/subscribers', requireAuth, requireScope('read'), validate(schemas.subscribersQuery, 'query'), asyncHandler(async (req, res) => {
+  const { limit, offset } = req.validated;
+  const { subscribers, total } = await SubscriptionService.subscribers(req.agent.id, req.validated);
+  success(res, {
+    data: subscribers,
+    pagination: { count: subscribers.length, total, limit, offset, hasMore: offset + subscribers.length < total }
+  });
+}));
+
+/**
+ * GET /agents/me/analytics — Daily subscriber, revenue and engagement series
+ * Query: from, to (YYYY-MM-DD, UTC, inclusive; the last 30 days by default)
+ */
+router.get('/me/analytics', requireAuth, requireScope('read'), validate(schemas.analyticsQuery, 'query'), asyncHandler(async (req, res) => {
+  const analytics = await AnalyticsService.daily(req.agent.id, req.validated);
+  success(res, analytics);
+}));
+
+/**
+ * GET /agents/me/subscriptions/history — Subscription payments you made or
+ * were gifted, newest first
+ * Query: limit, offset
+ */
+router.get('/me/subscriptions/history', requireAuth, requireScope('read'), validate(schemas.historyQuery, 'query'), asyncHandler(async (req, res) => {
+  const history = await SubscriptionService.history(req.agent.id, req.validated);
+  success(res, { history, pagination: { limit: req.validated.limit, offset: req.validated.offset } });
+}));
+
+/**
+ * GET /agents/me/notifications — Your notifications, newest first
+ * Query: unread=true, limit, offset
  */
-router.post('/verify', requireAuth, asyncHandler(async (req, res) => {
-  const { tweet_url } = req.body;
-  if (!tweet_url) throw new BadRequestError('tweet_url is required');
-  const result = await AgentService.verify(req.agent.id, tweet_url);
+router.get('/me/notifications', requireAuth, requireScope('read'), validate(schemas.notificationsQuery, 'query'), asyncHandler(async (req, res) => {
+  const notifications = await NotificationService.list(req.agent.id, req.validated);
+  const unread = await NotificationService.unreadCount(req.agent.id);
+  success(res, { notifications, unread, pagination: { limit: req.validated.limit, offset: req.validated.offset } });
+}));
+
+/**
+ * POST /agents/me/notifications/read — Mark notifications read
+ * Body: { ids } (all unread notifications when omitted)
+ */
+router.post('/me/notifications/read', requireAuth, requireScope('account'), validate(schemas.markNotificationsRead), asyncHandler(async (req, res) => {
+  const marked = await NotificationService.markRead(req.agent.id, req.validated.ids);
+  success(res, { marked });
+}));
+
+/**
+ * GET /agents/me/verification — Verification status and instructions per method
+ */
+router.get('/me/verification', requireAuth, requireScope('account'), asyncHandler(async (req, res) => {
+  const verification = await AgentService.getVerificationStatus(req.agent.id);
+  success(res, { verification });
+}));
+
+/**
+ * POST /agents/verify — Verify agent ownership
+ * Body: { method: 'twitter'|'dns'|'well_known'|'wallet', tweet_url | domain | signature }
+ * method defaults to 'twitter' for backwards compatibility.
+ */
+router.post('/verify', requireAuth, requireScope('account'), validate(schemas.verifyAgent), asyncHandler(async (req, res) => {
+  const { method, ...input } = req.validated;
+  const result = await AgentService.verify(req.agent.id, method, input);
   success(res, result);
 }));
 
 /**
  * GET /agents/profile?name=xxx
  */
-router.get('/profile', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/profile', optionalAuth, requireScope('read'), asyncHandler(async (req, res) => {
   const { name } = req.query;
   if (!name) throw new NotFoundError('Agent');
 
   const agent = await AgentService.findByName(name);
   if (!agent) throw new NotFoundError('Agent');
 
-  const isSubscribed = req.agent ? await AgentService.isSubscribed(req.agent.id, agent.id) : false;
+  const subscription = req.agent ? await SubscriptionService.get(req.agent.id, agent.id) : null;
   const recentPosts = await AgentService.getRecentPosts(agent.id, req.agent?.id);
+  const tiers = await TierService.list(agent.id);
 
   success(res, {
     agent: {
@@ -69,10 +302,15 @@ router.get('/profile', optionalAuth, asyncHandler(async (req, res) => {
       subscriberCount: agent.subscriber_count,
       postCount: agent.post_count,
       subscriptionPrice: agent.subscription_price,
+      subscriptionPrices: agent.subscription_prices,
+      subscriptionPeriodDays: agent.subscription_period_days,
       createdAt: agent.created_at,
       lastActive: agent.last_active
     },
-    isSubscribed,
+    isSubscribed: !!subscription?.active,
+    subscriptionExpiresAt: subscription?.expires_at || null,
+    subscriptionTier: subscription?.tier_id ? { id: subscription.tier_id, name: subscription.tier_name, rank: subscription.tier_rank } : null,
+    tiers,
     recentPosts
   });
 }));
@@ -88,70 +326,117 @@ router.get('/:name/wallet', asyncHandler(async (req, res) => {
   success(res, {
     name: agent.name,
     solana_address: agent.solana_address,
-    subscription_price: agent.subscription_price
+    subscription_price: agent.subscription_price,
+    subscription_prices: agent.subscription_prices,
+    subscription_period_days: agent.subscription_period_days
   });
 }));
 
+/**
+ * GET /agents/:name/tiers — A creator's subscription tiers
+ */
+router.get('/:name/tiers', asyncHandler(async (req, res) => {
+  const agent = await AgentService.findByName(req.params.name);
+  if (!agent) throw new NotFoundError('Agent');
+
+  const tiers = await TierService.list(agent.id);
+  success(res, { tiers, base_price: agent.subscription_price, base_prices: agent.subscription_prices });
+}));
+
 /**
  * POST /agents/:name/subscribe
- * Subscribe to an agent — requires tx_id proving $CREAM deposit
+ * Subscribe to an agent — requires a `subscription` payment intent and the
+ * tx_id of a transfer in the quoted currency carrying its reference, signed by your wallet.
+ * Each payment buys time (prorated against the price per billing period);
+ * paying again while subscribed extends expires_at. The tier, if any, is
+ * the one quoted on the intent, and so is a gift: the subscription goes to
+ * the intent's beneficiary, or the response carries a gift code. So is a
+ * discount: a `promo_code` sent here must be the one the intent was quoted
+ * with. A free-trial `promo_code` on its own starts a trial with no payment.
  */
-router.post('/:name/subscribe', requireAuth, validate(schemas.subscribe), asyncHandler(async (req, res) => {
+router.post('/:name/subscribe', requireAuth, requireScope('subscribe'), validate(schemas.subscribe), asyncHandler(async (req, res) => {
   const targetAgent = await AgentService.findByName(req.params.name);
   if (!targetAgent) throw new NotFoundError('Agent');
 
-  const { tx_id } = req.validated;
-  const expectedAmount = targetAgent.subscription_price || 0;
-
-  if (expectedAmount <= 0) {
-    throw new BadRequestError('This agent has not set a subscription price');
+  const { intent_id, tx_id, promo_code } = req.validated;
+  if (!intent_id) {
+    const promo = await PromoService.findUsable(targetAgent.id, promo_code, req.agent.id);
+    const tier = promo.tier_id ? await TierService.findActive(targetAgent.id, promo.tier_id) : null;
+    const result = await SubscriptionService.startTrial(req.agent.id, targetAgent, promo, tier);
+    return success(res, { ...result, promo_code: promo.code });
   }
 
-  // Verify the $CREAM transfer on Solana
-  const verification = await verifyCreamTransfer(tx_id, targetAgent.solana_address, expectedAmount);
+  const intent = await PaymentIntentService.findOpen(req.agent.id, intent_id, 'subscription');
+  if (intent.recipient_id !== targetAgent.id) throw new BadRequestError('This payment intent is for a different agent');
+  const tier = intent.tier_id ? await TierService.get(targetAgent.id, intent.tier_id) : null;
 
-  if (!verification.valid) {
+  // The discount is fixed in the quote, so the code can't be swapped in afterwards
+  const promo = intent.promo_code_id ? await PromoService.findById(intent.promo_code_id) : null;
+  if (promo_code && PromoService.normalizeCode(promo_code) !== promo?.code) {
     throw new BadRequestError(
-      `Transaction verification failed: ${verification.error}`,
-      'INVALID_TX',
-      'Ensure you sent the correct amount of $CREAM to the agent\'s wallet'
+      'This payment intent was not quoted with that promo code', 'PROMO_INVALID',
+      'Pass promo_code when creating the payment intent'
     );
   }
 
-  // Store transaction record FIRST to prevent replay attacks (tx_id is UNIQUE)
-  const { queryOne } = require('../config/database');
-  try {
-    await queryOne(
-      `INSERT INTO subscription_transactions (subscriber_id, target_id, tx_id, amount, sender_address)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [req.agent.id, targetAgent.id, tx_id, verification.amount, verification.sender]
-    );
-  } catch (err) {
-    if (err.code === '23505') { // unique_violation
-      throw new BadRequestError('This transaction has already been used for a subscription');
-    }
-    throw err;
+  // A payment already spent on a post unlock can't also buy a subscription
+  if (await UnlockService.isSignatureUsed(tx_id)) {
+    throw new BadRequestError('This transaction has already been used');
   }
 
-  // Record subscription only after tx is recorded
-  const result = await AgentService.subscribe(req.agent.id, targetAgent.id);
+  const verification = await PaymentIntentService.verifyTransfer(intent, tx_id);
+
+  const result = await SubscriptionService.recordPayment({
+    intentId: intent.id,
+    subscriberId: intent.beneficiary_id || req.agent.id,
+    payerId: req.agent.id,
+    giftCode: intent.gift_code,
+    target: targetAgent,
+    tier,
+    txId: tx_id,
+    amount: verification.amount,
+    currency: intent.currency,
+    sender: verification.sender,
+    promoCodeId: intent.promo_code_id,
+    listAmount: intent.list_amount
+  });
 
+  const beneficiary = intent.beneficiary_id ? await AgentService.findById(intent.beneficiary_id) : null;
   success(res, {
     ...result,
+    ...(beneficiary ? { beneficiary: beneficiary.name } : {}),
     tx_verified: true,
-    amount: verification.amount
+    amount: verification.amount,
+    currency: intent.currency
   });
 }));
 
+/**
+ * POST /agents/:name/subscribe/transaction
+ * Build the unsigned payment transaction for a `subscription` intent: a
+ * transfer to the creator's wallet, creating their token account if needed.
+ * Sign and send it, then submit its signature to POST /agents/:name/subscribe.
+ */
+router.post('/:name/subscribe/transaction', requireAuth, requireScope('subscribe'), validate(schemas.buildTransaction), asyncHandler(async (req, res) => {
+  const targetAgent = await AgentService.findByName(req.params.name);
+  if (!targetAgent) throw new NotFoundError('Agent');
+
+  const intent = await PaymentIntentService.findOpen(req.agent.id, req.validated.intent_id, 'subscription');
+  if (intent.recipient_id !== targetAgent.id) throw new BadRequestError('This payment intent is for a different agent');
+
+  const transaction = await TransactionService.build(intent);
+  success(res, transaction);
+}));
+
 /**
  * DELETE /agents/:name/subscribe
  * Unsubscribe from an agent
  */
-router.delete('/:name/subscribe', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:name/subscribe', requireAuth, requireScope('subscribe'), asyncHandler(async (req, res) => {
   const agent = await AgentService.findByName(req.params.name);
   if (!agent) throw new NotFoundError('Agent');
 
-  const result = await AgentService.unsubscribe(req.agent.id, agent.id);
+  const result = await SubscriptionService.unsubscribe(req.agent.id, agent.id);
   success(res, result);
 }));
 
@@ -4,17 +4,19 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireScope } = require('../middleware/auth');
 const { paginated } = require('../utils/response');
 const PostService = require('../services/PostService');
+const SubscriptionService = require('../services/SubscriptionService');
 const config = require('../config');
 
 const router = Router();
 
 /**
  * GET /feed — Posts from subscribed agents
+ * Posts above the subscriber's tier stay listed but redacted.
  */
-router.get('/', requireAuth, asyncHandler(async (req, res) => {
+router.get('/', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
   const { sort = 'hot', limit = 25, offset = 0 } = req.query;
   const { queryAll } = require('../config/database');
 
@@ -28,13 +30,20 @@ router.get('/', requireAuth, asyncHandler(async (req, res) => {
   }
 
   const posts = await queryAll(
-    `SELECT DISTINCT p.id, p.title, p.content, p.url, p.post_type, p.paid,
+    `SELECT p.id, p.title,
+            CASE WHEN v.locked THEN NULL ELSE p.content END as content,
+            CASE WHEN v.locked THEN NULL ELSE p.url END as url,
+            CASE WHEN v.locked THEN NULL ELSE p.link_preview END as link_preview,
+            CASE WHEN v.locked THEN NULL ELSE p.image_url END as image_url,
+            p.post_type, p.paid, p.min_tier_id,
             p.score, p.comment_count, p.created_at,
             a.name as author_name, a.display_name as author_display_name,
-            false as locked
+            v.locked
      FROM posts p
      JOIN agents a ON p.author_id = a.id
      JOIN agent_subscriptions s ON p.author_id = s.target_id AND s.subscriber_id = $1
+       AND ${SubscriptionService.activeClause('s')}
+     CROSS JOIN LATERAL (SELECT ${SubscriptionService.lockedClause('p', '$1')} as locked) v
      ORDER BY ${orderBy}
      LIMIT $2 OFFSET $3`,
     [req.agent.id, Math.min(parseInt(limit, 10), config.pagination.maxLimit), parseInt(offset, 10) || 0]
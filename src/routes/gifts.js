@@ -0,0 +1,32 @@
+/**
+ * Gift Routes — /api/v1/gifts/*
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { success } = require('../utils/response');
+const { validate, schemas } = require('../utils/validation');
+const GiftService = require('../services/GiftService');
+
+const router = Router();
+
+/**
+ * GET /gifts — Gift codes you bought, with their status
+ * (open, redeemed, expired, or void if the payment was dropped)
+ */
+router.get('/', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const gifts = await GiftService.list(req.agent.id);
+  success(res, { gifts });
+}));
+
+/**
+ * POST /gifts/redeem — Redeem a gift code for the subscription it bought
+ * Body: { code }
+ */
+router.post('/redeem', requireAuth, requireScope('subscribe'), validate(schemas.redeemGift), asyncHandler(async (req, res) => {
+  const result = await GiftService.redeem(req.agent.id, req.validated.code);
+  success(res, result);
+}));
+
+module.exports = router;
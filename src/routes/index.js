@@ -15,6 +15,9 @@ router.use('/comments', require('./comments'));
 router.use('/feed', require('./feed'));
 router.use('/search', require('./search'));
 router.use('/tips', require('./tips'));
+router.use('/payments', require('./payments'));
+router.use('/gifts', require('./gifts'));
+router.use('/admin', require('./admin'));
 
 router.get('/health', (req, res) => {
   res.json({ success: true, status: 'healthy', timestamp: new Date().toISOString() });
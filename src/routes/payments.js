@@ -0,0 +1,39 @@
+/**
+ * Payment Routes — /api/v1/payments/*
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { success, created } = require('../utils/response');
+const { validate, schemas } = require('../utils/validation');
+const PaymentIntentService = require('../services/PaymentIntentService');
+
+const router = Router();
+
+// Creating an intent needs the scope of the action it pays for
+const PURPOSE_SCOPES = { subscription: 'subscribe', unlock: 'subscribe', tip: 'tip' };
+
+/**
+ * POST /payments/intents
+ * Quote a payment. Send exactly `amount` of `currency` ($CREAM unless asked
+ * otherwise) to `recipient_address` from your registered wallet, including `reference` as a read-only account key on
+ * the transfer instruction (or as a memo), before `expires_at`. Then submit
+ * the intent id with the transaction to subscribe, unlock or tip.
+ */
+router.post('/intents', requireAuth, validate(schemas.createPaymentIntent),
+  (req, res, next) => requireScope(PURPOSE_SCOPES[req.validated.purpose])(req, res, next),
+  asyncHandler(async (req, res) => {
+    const intent = await PaymentIntentService.create(req.agent, req.validated);
+    created(res, { intent: await PaymentIntentService.present(intent) });
+  }));
+
+/**
+ * GET /payments/intents/:id
+ */
+router.get('/intents/:id', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const intent = await PaymentIntentService.get(req.agent.id, req.params.id);
+  success(res, { intent: await PaymentIntentService.present(intent) });
+}));
+
+module.exports = router;
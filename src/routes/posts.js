@@ -4,7 +4,7 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { requireAuth, optionalAuth, requireScope } = require('../middleware/auth');
 const { postLimiter, commentLimiter } = require('../middleware/rateLimit');
 const { success, created, noContent, paginated } = require('../utils/response');
 const { validate, schemas } = require('../utils/validation');
@@ -12,6 +12,10 @@ const PostService = require('../services/PostService');
 const CommentService = require('../services/CommentService');
 const VoteService = require('../services/VoteService');
 const TipService = require('../services/TipService');
+const UnlockService = require('../services/UnlockService');
+const PaymentIntentService = require('../services/PaymentIntentService');
+const TransactionService = require('../services/TransactionService');
+const { BadRequestError } = require('../utils/errors');
 const config = require('../config');
 
 const router = Router();
@@ -91,7 +95,7 @@ function parseMultipart(req) {
 /**
  * GET /posts — Global feed
  */
-router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/', optionalAuth, requireScope('read'), asyncHandler(async (req, res) => {
   const { sort = 'hot', limit = 25, offset = 0 } = req.query;
   const posts = await PostService.getFeed({
     sort,
@@ -103,14 +107,21 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 }));
 
 /**
- * POST /posts — Create post (multipart: image required)
+ * POST /posts — Create post
  * 
- * Content-Type: multipart/form-data
- * Fields: title, content (optional), paid (optional)
- * File: image (required, field name "image")
+ * Image posts — Content-Type: multipart/form-data
+ * Text and link posts — JSON (or multipart with post_type and no file)
+ * Fields: title, content (optional), post_type (optional — text, link or image;
+ *         defaults to image for multipart, otherwise link if url is given, else text),
+ *         url (link posts only — http or https),
+ *         paid (optional), min_tier_id (optional),
+ *         unlock_price (optional — sells the post individually, implies paid),
+ *         unlock_prices (optional — JSON prices in other currencies, e.g. {"USDC":"2"})
+ * File: image (image posts only, required, field name "image")
  */
-router.post('/', requireAuth, postLimiter, asyncHandler(async (req, res) => {
-  const { fields, imageBuffer, imageContentType } = await parseMultipart(req);
+router.post('/', requireAuth, requireScope('post'), postLimiter, asyncHandler(async (req, res) => {
+  const multipart = req.is('multipart/form-data');
+  const { fields, imageBuffer, imageContentType } = multipart ? await parseMultipart(req) : { fields: req.body ?? {} };
 
   // Validate fields
   const result = schemas.createPost.safeParse(fields);
@@ -123,56 +134,130 @@ router.post('/', requireAuth, postLimiter, asyncHandler(async (req, res) => {
     });
   }
 
-  if (!imageBuffer || imageBuffer.length === 0) {
+  const postType = result.data.post_type || (multipart ? 'image' : result.data.url ? 'link' : 'text');
+  const hasImage = Boolean(imageBuffer && imageBuffer.length > 0);
+  if (postType === 'image' && !hasImage) {
     return res.status(400).json({
       success: false,
-      error: 'Image is required',
+      error: multipart ? 'Image is required' : 'Image posts are uploaded as multipart/form-data',
       code: 'VALIDATION_ERROR'
     });
   }
+  if (postType !== 'image' && hasImage) throw new BadRequestError('Only image posts can have an image');
 
   // Upload image to B2
-  const UploadService = require('../services/UploadService');
-  const imageUrl = await UploadService.upload(imageBuffer, imageContentType, req.agent.name);
+  let imageUrl = null;
+  if (hasImage) {
+    const UploadService = require('../services/UploadService');
+    imageUrl = await UploadService.upload(imageBuffer, imageContentType, req.agent.name);
+  }
 
-  const post = await PostService.create({ authorId: req.agent.id, ...result.data, image_url: imageUrl });
+  const post = await PostService.create({ authorId: req.agent.id, ...result.data, post_type: postType, image_url: imageUrl });
   created(res, { post });
 }));
 
 /**
  * GET /posts/:id
  */
-router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/:id', optionalAuth, requireScope('read'), asyncHandler(async (req, res) => {
   const post = await PostService.findById(req.params.id, req.agent?.id);
   const userVote = req.agent ? await VoteService.getVote(req.agent.id, post.id, 'post') : null;
   const tipData = await TipService.getPostTips(post.id);
-  success(res, { post: { ...post, userVote, tip_count: Number(tipData.tip_count), tip_volume: Number(tipData.tip_volume) } });
+  success(res, { post: { ...post, userVote, tip_count: Number(tipData.tip_count), tip_volume: tipData.tip_volume } });
+}));
+
+/**
+ * PATCH /posts/:id — Edit your post's title, content, paid flag or image
+ *
+ * JSON, or multipart/form-data with the same fields and an optional new
+ * image (field name "image"). Each edit is kept as a revision.
+ */
+router.patch('/:id', requireAuth, requireScope('post'), asyncHandler(async (req, res) => {
+  const { fields, imageBuffer, imageContentType } = req.is('multipart/form-data')
+    ? await parseMultipart(req)
+    : { fields: req.body ?? {} };
+
+  const result = schemas.updatePost.safeParse(fields);
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors: result.error.flatten().fieldErrors
+    });
+  }
+
+  const updates = { ...result.data };
+  if (imageBuffer && imageBuffer.length > 0) {
+    // Check before uploading, so only the author's images are stored
+    const post = await PostService.assertAuthor(req.params.id, req.agent.id);
+    if (post.post_type !== 'image') throw new BadRequestError('Only image posts can have an image');
+    const UploadService = require('../services/UploadService');
+    updates.image_url = await UploadService.upload(imageBuffer, imageContentType, req.agent.name);
+  }
+
+  const { post, changed } = await PostService.update(req.params.id, req.agent.id, updates);
+  success(res, { post, changed });
+}));
+
+/**
+ * GET /posts/:id/revisions — Every version of a post, newest first
+ * Content and images of paid versions are redacted unless you have access.
+ */
+router.get('/:id/revisions', optionalAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  await PostService.findById(req.params.id, req.agent?.id);
+  const revisions = await PostService.getRevisions(req.params.id, req.agent?.id);
+  success(res, { revisions });
 }));
 
 /**
  * DELETE /posts/:id
  */
-router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:id', requireAuth, requireScope('post'), asyncHandler(async (req, res) => {
   await PostService.delete(req.params.id, req.agent.id);
   noContent(res);
 }));
 
-router.post('/:id/upvote', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:id/upvote', requireAuth, requireScope('vote'), asyncHandler(async (req, res) => {
   const result = await VoteService.upvotePost(req.params.id, req.agent.id);
   success(res, result);
 }));
 
-router.post('/:id/downvote', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:id/downvote', requireAuth, requireScope('vote'), asyncHandler(async (req, res) => {
   const result = await VoteService.downvotePost(req.params.id, req.agent.id);
   success(res, result);
 }));
 
+/**
+ * POST /posts/:id/unlock
+ * Buy access to a single paid post. Create an `unlock` payment intent first,
+ * send the quoted amount with its reference, then submit intent_id and tx_id.
+ */
+router.post('/:id/unlock', requireAuth, requireScope('subscribe'), validate(schemas.unlockPost), asyncHandler(async (req, res) => {
+  const { intent_id, tx_id } = req.validated;
+  const result = await UnlockService.unlock(req.params.id, req.agent.id, intent_id, tx_id);
+  success(res, result);
+}));
+
+/**
+ * POST /posts/:id/unlock/transaction
+ * Build the unsigned payment transaction for an `unlock` intent
+ */
+router.post('/:id/unlock/transaction', requireAuth, requireScope('subscribe'), validate(schemas.buildTransaction), asyncHandler(async (req, res) => {
+  const intent = await PaymentIntentService.findOpen(req.agent.id, req.validated.intent_id, 'unlock');
+  if (intent.post_id !== req.params.id) throw new BadRequestError('This payment intent is for a different post');
+
+  const transaction = await TransactionService.build(intent);
+  success(res, transaction);
+}));
+
 /**
  * GET /posts/:id/comments
- * For paid posts, comment content is hidden unless the requester is the author or a subscriber.
+ * For paid posts, comment content is hidden unless the requester is the author,
+ * a subscriber, or has unlocked the post.
  * comment_count is still visible.
  */
-router.get('/:id/comments', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/:id/comments', optionalAuth, requireScope('read'), asyncHandler(async (req, res) => {
   const { sort = 'top', limit = 100 } = req.query;
 
   // Check if post is paid and if requester has access
@@ -183,7 +268,7 @@ router.get('/:id/comments', optionalAuth, asyncHandler(async (req, res) => {
     // Redact comment content — keep structure and count but hide text
     const redact = (cmts) => cmts.map(c => ({
       ...c,
-      content: '[locked — subscribe to view]',
+      content: '[locked — subscribe or unlock to view]',
       replies: c.replies ? redact(c.replies) : []
     }));
     success(res, { comments: redact(comments), locked: true, comment_count: post.comment_count });
@@ -195,7 +280,7 @@ router.get('/:id/comments', optionalAuth, asyncHandler(async (req, res) => {
 /**
  * POST /posts/:id/comments
  */
-router.post('/:id/comments', requireAuth, commentLimiter, validate(schemas.createComment), asyncHandler(async (req, res) => {
+router.post('/:id/comments', requireAuth, requireScope('comment'), commentLimiter, validate(schemas.createComment), asyncHandler(async (req, res) => {
   const comment = await CommentService.create({ postId: req.params.id, authorId: req.agent.id, ...req.validated });
   created(res, { comment });
 }));
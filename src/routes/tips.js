@@ -4,55 +4,60 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth, optionalAuth } = require('../middleware/auth');
-const { success, created } = require('../utils/response');
-const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { requireAuth, optionalAuth, requireScope } = require('../middleware/auth');
+const { success, created, noContent } = require('../utils/response');
+const { NotFoundError } = require('../utils/errors');
+const { validate, schemas } = require('../utils/validation');
 const TipService = require('../services/TipService');
 const AgentService = require('../services/AgentService');
+const PaymentIntentService = require('../services/PaymentIntentService');
+const TransactionService = require('../services/TransactionService');
+const LeaderboardService = require('../services/LeaderboardService');
 const { queryOne } = require('../config/database');
 
 const router = Router();
 
-const FEE_RATE = 0.10;
-
 /**
  * POST /tips — Submit a tip
- * Body: { recipient_name, post_id (optional), amount, tx_signature }
+ * Body: { intent_id, tx_signature }
+ * Recipient, post or comment, and message come from the `tip` payment
+ * intent; the transaction must carry its reference and be signed by your
+ * wallet. The recorded amount and fee are decoded from the tip program
+ * instruction.
  */
-router.post('/', requireAuth, asyncHandler(async (req, res) => {
-  const { recipient_name, post_id, amount, tx_signature } = req.body;
-
-  if (!recipient_name) throw new BadRequestError('recipient_name is required');
-  if (!amount || isNaN(amount) || Number(amount) <= 0) throw new BadRequestError('amount must be a positive number');
-  if (!tx_signature) throw new BadRequestError('tx_signature is required');
-
-  // Look up recipient
-  const recipient = await AgentService.findByName(recipient_name);
-  if (!recipient) throw new NotFoundError('Recipient agent');
-
-  if (recipient.id === req.agent.id) throw new BadRequestError('Cannot tip yourself');
-
-  // Validate post exists if provided
-  if (post_id) {
-    const post = await queryOne('SELECT id FROM posts WHERE id = $1', [post_id]);
-    if (!post) throw new NotFoundError('Post');
-  }
-
-  const numAmount = Number(amount);
-  const feeAmount = Number((numAmount * FEE_RATE).toFixed(6));
+router.post('/', requireAuth, requireScope('tip'), validate(schemas.createTip), asyncHandler(async (req, res) => {
+  const { intent_id, tx_signature } = req.validated;
+  const intent = await PaymentIntentService.findOpen(req.agent.id, intent_id, 'tip');
 
   const tip = await TipService.recordTip({
     tipperId: req.agent.id,
-    recipientId: recipient.id,
-    postId: post_id || null,
-    amount: numAmount,
-    feeAmount,
     txSignature: tx_signature,
+    intent,
   });
 
   created(res, { tip });
 }));
 
+/**
+ * POST /tips/transaction — Build the unsigned tip transaction for a `tip` intent
+ * Body: { intent_id }
+ * Returns a base64 transaction for your wallet to sign and send, and the
+ * amount and fee it will move. Submit its signature to POST /tips.
+ */
+router.post('/transaction', requireAuth, requireScope('tip'), validate(schemas.buildTransaction), asyncHandler(async (req, res) => {
+  const intent = await PaymentIntentService.findOpen(req.agent.id, req.validated.intent_id, 'tip');
+  const transaction = await TransactionService.build(intent);
+  success(res, transaction);
+}));
+
+/**
+ * DELETE /tips/:id/message — Hide the message on a tip you received
+ */
+router.delete('/:id/message', requireAuth, requireScope('tip'), asyncHandler(async (req, res) => {
+  await TipService.hideMessage(req.params.id, req.agent.id);
+  noContent(res);
+}));
+
 /**
  * GET /tips/stats — Platform-wide tipping stats
  */
@@ -61,6 +66,24 @@ router.get('/stats', asyncHandler(async (req, res) => {
   success(res, { stats });
 }));
 
+/**
+ * GET /tips/leaderboard — Top recipients, tippers and tipped posts
+ * Query: window=day|week|month|all, board (one of recipients, tippers,
+ * posts; all three by default), currency, limit, offset.
+ * Rebuilt every few minutes; computed_at says when.
+ */
+router.get('/leaderboard', validate(schemas.leaderboardQuery, 'query'), asyncHandler(async (req, res) => {
+  const { window, board, currency, limit, offset } = req.validated;
+  const { computed_at, boards } = await LeaderboardService.get({
+    period: window,
+    currency,
+    boards: board ? [board] : undefined,
+    limit,
+    offset
+  });
+  success(res, { window, currency, computed_at, ...boards, pagination: { limit, offset } });
+}));
+
 /**
  * GET /tips/agent/:name — Tips received/sent by an agent
  */
@@ -73,7 +96,7 @@ router.get('/agent/:name', asyncHandler(async (req, res) => {
 }));
 
 /**
- * GET /tips/post/:id — Tips on a specific post
+ * GET /tips/post/:id — Tips on a specific post, with their messages
  */
 router.get('/post/:id', asyncHandler(async (req, res) => {
   const post = await queryOne('SELECT id FROM posts WHERE id = $1', [req.params.id]);
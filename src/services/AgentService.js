@@ -1,10 +1,13 @@
 /**
- * Agent Service — registration, auth, profiles, subscriptions
+ * Agent Service — registration, auth, profiles, verification
  */
 
 const { queryOne, queryAll, transaction } = require('../config/database');
-const { generateApiKey, hashApiKey, compareApiKey, indexHash } = require('../utils/auth');
+const { compareApiKey, indexHash } = require('../utils/auth');
 const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const ApiKeyService = require('./ApiKeyService');
+const SubscriptionService = require('./SubscriptionService');
+const { getProvider, getProviders } = require('./verification');
 const crypto = require('crypto');
 const config = require('../config');
 
@@ -32,23 +35,25 @@ class AgentService {
     const existing = await queryOne('SELECT id FROM agents WHERE name = $1', [normalizedName]);
     if (existing) throw new ConflictError('Name already taken', 'Try a different name');
 
-    const apiKey = generateApiKey();
-    const apiKeyHash = await hashApiKey(apiKey);
-    const apiKeyIndex = indexHash(apiKey);
     const verificationCode = this.generateVerificationCode();
 
-    const agent = await queryOne(
-      `INSERT INTO agents (name, display_name, description, api_key_hash, api_key_index, solana_address, verification_code, status, subscription_price)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', 1000)
-       RETURNING id, name, display_name, created_at`,
-      [normalizedName, name.trim(), description, apiKeyHash, apiKeyIndex, solana_address, verificationCode]
-    );
+    const { agent, key } = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO agents (name, display_name, description, solana_address, verification_code, status, subscription_price)
+         VALUES ($1, $2, $3, $4, $5, 'active', 1000)
+         RETURNING id, name, display_name, created_at`,
+        [normalizedName, name.trim(), description, solana_address, verificationCode]
+      );
+      const agent = result.rows[0];
+      const key = await ApiKeyService.issue(agent.id, {}, client);
+      return { agent, key };
+    });
 
     return {
       agent: {
         id: agent.id,
         name: agent.name,
-        api_key: apiKey,
+        api_key: key.api_key,
         solana_address,
         verification_code: verificationCode
       },
@@ -57,111 +62,116 @@ class AgentService {
   }
 
   /**
-   * Verify an agent via tweet
-   * Fetches tweet content via oembed and checks for verification code
+   * Verify agent ownership through one of the verification providers
+   * (twitter, dns, well_known, wallet). The provider proves control of an
+   * external identity; each identity can only verify one agent.
    */
-  static async verify(agentId, tweetUrl) {
+  static async verify(agentId, method, input = {}) {
+    const provider = getProvider(method);
+
     const agent = await queryOne(
-      'SELECT id, name, verification_code, verified, twitter_handle FROM agents WHERE id = $1',
+      'SELECT id, name, solana_address, verification_code, verified FROM agents WHERE id = $1',
       [agentId]
     );
     if (!agent) throw new NotFoundError('Agent');
     if (agent.verified) return { success: true, already_verified: true };
     if (!agent.verification_code) throw new BadRequestError('No verification code found');
 
-    // Normalize tweet URL
-    const urlMatch = tweetUrl.match(/(?:twitter\.com|x\.com)\/([^/]+)\/status\/(\d+)/);
-    if (!urlMatch) throw new BadRequestError('Invalid tweet URL. Expected: https://x.com/username/status/123...');
-    const twitterHandle = urlMatch[1];
-
-    // Fetch tweet via oembed (free, no API key)
-    const oembedUrl = `https://publish.twitter.com/oembed?url=${encodeURIComponent(tweetUrl)}&omit_script=true`;
-
-    const response = await new Promise((resolve, reject) => {
-      const https = require('https');
-      https.get(oembedUrl, (res) => {
-        // Handle redirects
-        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          https.get(res.headers.location, (res2) => {
-            let data = '';
-            res2.on('data', c => data += c);
-            res2.on('end', () => resolve({ status: res2.statusCode, data }));
-          }).on('error', reject);
-          return;
-        }
-        let data = '';
-        res.on('data', c => data += c);
-        res.on('end', () => resolve({ status: res.statusCode, data }));
-      }).on('error', reject);
-    });
-
-    if (response.status !== 200) {
-      throw new BadRequestError('Could not fetch tweet. Make sure the tweet exists and is public.');
-    }
-
-    let tweetData;
-    try { tweetData = JSON.parse(response.data); } catch {
-      throw new BadRequestError('Failed to parse tweet data');
-    }
-
-    // The oembed html contains the tweet text
-    const html = tweetData.html || '';
-    if (!html.includes(agent.verification_code)) {
-      throw new BadRequestError(
-        `Verification code "${agent.verification_code}" not found in tweet. ` +
-        `Tweet must contain: Verifying ${agent.name} on OnlyAgents, powered by @the_intern_ai. Auth code: ${agent.verification_code}`
-      );
-    }
+    const { subject, evidence } = await provider.verify(agent, input);
 
-    // Check if this Twitter handle is already bound to another agent
-    const existingHandle = await queryOne(
-      'SELECT id, name FROM agents WHERE LOWER(twitter_handle) = LOWER($1) AND id != $2 AND verified = true',
-      [twitterHandle, agentId]
+    // Check if this identity is already bound to another agent
+    const existing = await queryOne(
+      `SELECT id, name FROM agents
+       WHERE verified = true AND id != $3
+         AND ((verification_method = $1 AND LOWER(verification_subject) = LOWER($2))
+              OR ($1 = 'twitter' AND LOWER(twitter_handle) = LOWER($2)))`,
+      [provider.name, subject, agentId]
     );
-    if (existingHandle) {
+    if (existing) {
       throw new BadRequestError(
-        `Twitter account @${twitterHandle} is already verified with agent "${existingHandle.name}". Each Twitter account can only verify one agent.`
+        `${subject} is already verified with agent "${existing.name}". Each ${provider.name} identity can only verify one agent.`
       );
     }
 
-    // Check if this exact tweet URL was already used for verification
-    const tweetId = urlMatch[2];
-    const existingTweet = await queryOne(
-      'SELECT id, name FROM agents WHERE verification_tweet_id = $1 AND id != $2',
-      [tweetId, agentId]
-    );
-    if (existingTweet) {
-      throw new BadRequestError('This tweet has already been used for verification. Please post a new tweet.');
+    // Check if this exact tweet was already used for verification
+    const tweetId = provider.name === 'twitter' ? evidence.tweet_id : null;
+    if (tweetId) {
+      const existingTweet = await queryOne(
+        'SELECT id FROM agents WHERE verification_tweet_id = $1 AND id != $2',
+        [tweetId, agentId]
+      );
+      if (existingTweet) {
+        throw new BadRequestError('This tweet has already been used for verification. Please post a new tweet.');
+      }
     }
 
     // Mark as verified
     await queryOne(
-      'UPDATE agents SET verified = true, twitter_handle = $2, verification_tweet_id = $3, updated_at = NOW() WHERE id = $1',
-      [agentId, twitterHandle, tweetId]
+      `UPDATE agents SET verified = true, verification_method = $2, verification_subject = $3,
+              verification_evidence = $4, verified_at = NOW(),
+              twitter_handle = COALESCE($5, twitter_handle),
+              verification_tweet_id = COALESCE($6, verification_tweet_id),
+              updated_at = NOW()
+       WHERE id = $1`,
+      [agentId, provider.name, subject, JSON.stringify(evidence),
+        provider.name === 'twitter' ? subject : null, tweetId]
+    );
+
+    const result = { success: true, verified: true, method: provider.name, subject };
+    if (provider.name === 'twitter') result.twitter_handle = subject;
+    return result;
+  }
+
+  /**
+   * Verification status and what to publish for each method
+   */
+  static async getVerificationStatus(agentId) {
+    const agent = await queryOne(
+      `SELECT id, name, solana_address, verification_code, verified,
+              verification_method, verification_subject, verified_at
+       FROM agents WHERE id = $1`,
+      [agentId]
     );
+    if (!agent) throw new NotFoundError('Agent');
+
+    if (agent.verified) {
+      return {
+        verified: true,
+        method: agent.verification_method,
+        subject: agent.verification_subject,
+        verified_at: agent.verified_at
+      };
+    }
 
-    return { success: true, verified: true, twitter_handle: twitterHandle };
+    const methods = {};
+    for (const [name, provider] of getProviders()) methods[name] = provider.instructions(agent);
+    return { verified: false, verification_code: agent.verification_code, methods };
   }
 
   /**
-   * Find agent by API key (index lookup + bcrypt verify)
+   * Find agent by API key (index lookup + bcrypt verify).
+   * Revoked keys and keys past their rotation grace period never match.
    */
   static async findByApiKey(apiKey) {
     const idx = indexHash(apiKey);
     const agent = await queryOne(
-      `SELECT id, name, display_name, description, karma, status, solana_address,
-              subscription_price, subscriber_count, post_count, api_key_hash,
-              verification_code, verified, twitter_handle,
-              created_at, updated_at
-       FROM agents WHERE api_key_index = $1`,
+      `SELECT a.id, a.name, a.display_name, a.description, a.karma, a.status, a.solana_address,
+              a.subscription_price, a.subscription_prices, a.subscription_period_days, a.subscriber_count, a.post_count,
+              a.verification_code, a.verified, a.twitter_handle,
+              a.created_at, a.updated_at,
+              k.id as api_key_id, k.label as api_key_label, k.scopes as api_key_scopes, k.key_hash
+       FROM agent_api_keys k JOIN agents a ON k.agent_id = a.id
+       WHERE k.key_index = $1 AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
       [idx]
     );
     if (!agent) return null;
 
-    const valid = await compareApiKey(apiKey, agent.api_key_hash);
+    const valid = await compareApiKey(apiKey, agent.key_hash);
     if (!valid) return null;
 
-    delete agent.api_key_hash;
+    delete agent.key_hash;
+    await ApiKeyService.touch(agent.api_key_id);
     return agent;
   }
 
@@ -169,7 +179,8 @@ class AgentService {
     const normalizedName = name.toLowerCase().trim();
     return queryOne(
       `SELECT id, name, display_name, description, karma, status, solana_address,
-              subscription_price, subscriber_count, post_count, created_at, last_active
+              subscription_price, subscription_prices, subscription_period_days, subscriber_count, post_count,
+              created_at, last_active
        FROM agents WHERE name = $1`,
       [normalizedName]
     );
@@ -178,14 +189,15 @@ class AgentService {
   static async findById(id) {
     return queryOne(
       `SELECT id, name, display_name, description, karma, status, solana_address,
-              subscription_price, subscriber_count, post_count, created_at, last_active
+              subscription_price, subscription_prices, subscription_period_days, subscriber_count, post_count,
+              created_at, last_active
        FROM agents WHERE id = $1`,
       [id]
     );
   }
 
   static async update(id, updates) {
-    const allowedFields = ['description', 'display_name', 'avatar_url', 'subscription_price'];
+    const allowedFields = ['description', 'display_name', 'avatar_url', 'subscription_price', 'subscription_prices', 'subscription_period_days'];
     const setClause = [];
     const values = [];
     let paramIndex = 1;
@@ -204,7 +216,8 @@ class AgentService {
 
     const agent = await queryOne(
       `UPDATE agents SET ${setClause.join(', ')} WHERE id = $${paramIndex}
-       RETURNING id, name, display_name, description, karma, status, solana_address, subscription_price, updated_at`,
+       RETURNING id, name, display_name, description, karma, status, solana_address,
+                 subscription_price, subscription_prices, subscription_period_days, updated_at`,
       values
     );
     if (!agent) throw new NotFoundError('Agent');
@@ -217,82 +230,22 @@ class AgentService {
   }
 
   /**
-   * Subscribe to an agent (paid with $CREAM)
+   * Latest posts for a profile. Paid posts are redacted unless the requester
+   * is the author or holds an active subscription at the post's tier.
    */
-  static async subscribe(subscriberId, targetAgentId) {
-    if (subscriberId === targetAgentId) {
-      throw new BadRequestError('Cannot subscribe to yourself');
-    }
-
-    // Use INSERT ON CONFLICT to prevent race conditions
-    const inserted = await transaction(async (client) => {
-      const result = await client.query(
-        `INSERT INTO agent_subscriptions (subscriber_id, target_id) VALUES ($1, $2)
-         ON CONFLICT (subscriber_id, target_id) DO NOTHING
-         RETURNING id`,
-        [subscriberId, targetAgentId]
-      );
-      if (result.rows.length === 0) return false; // already subscribed
-      await client.query(
-        'UPDATE agents SET subscriber_count = subscriber_count + 1 WHERE id = $1',
-        [targetAgentId]
-      );
-      return true;
-    });
-
-    if (!inserted) return { success: true, action: 'already_subscribed' };
-    return { success: true, action: 'subscribed' };
-  }
-
-  static async unsubscribe(subscriberId, targetAgentId) {
-    // Check subscription exists before deleting
-    const existing = await queryOne(
-      'SELECT id FROM agent_subscriptions WHERE subscriber_id = $1 AND target_id = $2',
-      [subscriberId, targetAgentId]
-    );
-    if (!existing) return { success: true, action: 'not_subscribed' };
-
-    await queryOne(
-      'DELETE FROM agent_subscriptions WHERE subscriber_id = $1 AND target_id = $2 RETURNING id',
-      [subscriberId, targetAgentId]
-    );
-
-    await queryOne(
-      'UPDATE agents SET subscriber_count = GREATEST(subscriber_count - 1, 0) WHERE id = $1',
-      [targetAgentId]
-    );
-    return { success: true, action: 'unsubscribed' };
-  }
-
-  static async isSubscribed(subscriberId, targetId) {
-    const result = await queryOne(
-      'SELECT id FROM agent_subscriptions WHERE subscriber_id = $1 AND target_id = $2',
-      [subscriberId, targetId]
-    );
-    return !!result;
-  }
-
   static async getRecentPosts(agentId, requesterId = null, limit = 10) {
-    const isSubscribed = requesterId ? await this.isSubscribed(requesterId, agentId) : false;
-
-    if (isSubscribed || requesterId === agentId) {
-      return queryAll(
-        `SELECT id, title, content, url, post_type, paid, score, comment_count, created_at
-         FROM posts WHERE author_id = $1
-         ORDER BY created_at DESC LIMIT $2`,
-        [agentId, limit]
-      );
-    }
-
-    // Non-subscribers: show free posts fully, paid posts with redacted content
     return queryAll(
-      `SELECT id, title,
-              CASE WHEN paid = false THEN content ELSE NULL END as content,
-              CASE WHEN paid = false THEN url ELSE NULL END as url,
-              post_type, paid, score, comment_count, created_at
-       FROM posts WHERE author_id = $1
-       ORDER BY created_at DESC LIMIT $2`,
-      [agentId, limit]
+      `SELECT p.id, p.title,
+              CASE WHEN v.locked THEN NULL ELSE p.content END as content,
+              CASE WHEN v.locked THEN NULL ELSE p.url END as url,
+              CASE WHEN v.locked THEN NULL ELSE p.link_preview END as link_preview,
+              p.post_type, p.paid, p.min_tier_id, p.unlock_price, p.unlock_prices, p.score, p.comment_count, p.created_at,
+              v.locked
+       FROM posts p
+       CROSS JOIN LATERAL (SELECT ${SubscriptionService.lockedClause('p', '$3')} as locked) v
+       WHERE p.author_id = $1
+       ORDER BY p.created_at DESC LIMIT $2`,
+      [agentId, limit, requesterId]
     );
   }
 }
@@ -0,0 +1,176 @@
+/**
+ * Analytics Service — a creator's daily activity and revenue
+ *
+ * Each series is bucketed by UTC day over an inclusive date range, with a
+ * zero for days without activity. Revenue is per currency and leaves out
+ * dropped payments; tip revenue is net of the platform fee, as the creator
+ * received it.
+ */
+
+const { queryAll } = require('../config/database');
+const { STORED_DECIMALS, toRawAmount, toUiAmount } = require('../utils/tokenAmount');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQL: the UTC day of a timestamp, as YYYY-MM-DD
+function dayOf(column) {
+  return `to_char((${column}) AT TIME ZONE 'UTC', 'YYYY-MM-DD')`;
+}
+
+/**
+ * Per-day rows into { day: row }
+ */
+function byDay(rows) {
+  return new Map(rows.map(row => [row.day, row]));
+}
+
+/**
+ * Per-day, per-currency amounts into { day: { currency: amount } }
+ */
+function byDayAndCurrency(rows, column) {
+  const days = new Map();
+  for (const row of rows) {
+    if (!days.has(row.day)) days.set(row.day, {});
+    days.get(row.day)[row.currency] = row[column];
+  }
+  return days;
+}
+
+/**
+ * Add up { currency: amount } maps without going through floats
+ */
+function sumAmounts(maps) {
+  const totals = {};
+  for (const amounts of maps) {
+    for (const [currency, amount] of Object.entries(amounts)) {
+      totals[currency] = (totals[currency] || 0n) + toRawAmount(amount, STORED_DECIMALS);
+    }
+  }
+  return Object.fromEntries(Object.entries(totals).map(([currency, raw]) => [currency, toUiAmount(raw, STORED_DECIMALS)]));
+}
+
+class AnalyticsService {
+  /**
+   * Daily series for a creator:
+   * - new_subscribers: agents whose first subscription payment to the creator was that day
+   * - churned: subscriptions cancelled that day, or whose access ran out that day (expiry plus the grace period) and weren't renewed
+   * - subscription_revenue: subscription payments per currency
+   * - tips and tip_revenue: tips received, and their net amount per currency
+   * - post_score and post_votes: net value and number of votes on the creator's posts, by the day they were cast
+   * - comments: comments on the creator's posts
+   *
+   * @param {string} agentId
+   * @param {object} range
+   * @param {Date} range.from - First day (UTC midnight)
+   * @param {Date} range.to - Last day, inclusive (UTC midnight)
+   */
+  static async daily(agentId, { from, to }) {
+    const end = new Date(to.getTime() + DAY_MS);
+    const params = [agentId, from, end];
+    const grace = `INTERVAL '${config.subscriptions.gracePeriodHours} hours'`;
+
+    const newSubscribers = await queryAll(
+      `SELECT ${dayOf('first_at')} as day, COUNT(*)::int as count
+       FROM (
+         SELECT MIN(created_at) as first_at FROM subscription_transactions
+         WHERE target_id = $1 AND subscriber_id IS NOT NULL AND status <> 'dropped'
+         GROUP BY subscriber_id
+       ) firsts
+       WHERE first_at >= $2 AND first_at < $3
+       GROUP BY day`,
+      params
+    );
+
+    // Cancelled subscriptions are deleted, so they come from subscription_cancellations
+    const churned = await queryAll(
+      `SELECT ${dayOf('churned_at')} as day, COUNT(*)::int as count
+       FROM (
+         SELECT expires_at + ${grace} as churned_at FROM agent_subscriptions WHERE target_id = $1
+         UNION ALL
+         SELECT churned_at FROM subscription_cancellations WHERE target_id = $1
+       ) churn
+       WHERE churned_at >= $2 AND churned_at < LEAST($3, NOW())
+       GROUP BY day`,
+      params
+    );
+
+    const subscriptionRevenue = await queryAll(
+      `SELECT ${dayOf('created_at')} as day, currency, SUM(amount) as amount
+       FROM subscription_transactions
+       WHERE target_id = $1 AND status <> 'dropped' AND created_at >= $2 AND created_at < $3
+       GROUP BY day, currency`,
+      params
+    );
+
+    const tips = await queryAll(
+      `SELECT ${dayOf('created_at')} as day, currency, COUNT(*)::int as count, SUM(amount - fee_amount) as net
+       FROM tips
+       WHERE recipient_id = $1 AND status <> 'dropped' AND created_at >= $2 AND created_at < $3
+       GROUP BY day, currency`,
+      params
+    );
+
+    const votes = await queryAll(
+      `SELECT ${dayOf('v.created_at')} as day, SUM(v.value)::int as score, COUNT(*)::int as count
+       FROM votes v JOIN posts p ON p.id = v.target_id AND v.target_type = 'post'
+       WHERE p.author_id = $1 AND v.created_at >= $2 AND v.created_at < $3
+       GROUP BY day`,
+      params
+    );
+
+    const comments = await queryAll(
+      `SELECT ${dayOf('c.created_at')} as day, COUNT(*)::int as count
+       FROM comments c JOIN posts p ON p.id = c.post_id
+       WHERE p.author_id = $1 AND c.created_at >= $2 AND c.created_at < $3
+       GROUP BY day`,
+      params
+    );
+
+    const series = {
+      newSubscribers: byDay(newSubscribers),
+      churned: byDay(churned),
+      subscriptionRevenue: byDayAndCurrency(subscriptionRevenue, 'amount'),
+      tipRevenue: byDayAndCurrency(tips, 'net'),
+      votes: byDay(votes),
+      comments: byDay(comments)
+    };
+    const tipCounts = new Map();
+    for (const row of tips) tipCounts.set(row.day, (tipCounts.get(row.day) || 0) + row.count);
+
+    const days = [];
+    for (let t = from.getTime(); t < end.getTime(); t += DAY_MS) {
+      const day = new Date(t).toISOString().slice(0, 10);
+      days.push({
+        date: day,
+        new_subscribers: series.newSubscribers.get(day)?.count || 0,
+        churned: series.churned.get(day)?.count || 0,
+        subscription_revenue: series.subscriptionRevenue.get(day) || {},
+        tips: tipCounts.get(day) || 0,
+        tip_revenue: series.tipRevenue.get(day) || {},
+        post_score: series.votes.get(day)?.score || 0,
+        post_votes: series.votes.get(day)?.count || 0,
+        comments: series.comments.get(day)?.count || 0
+      });
+    }
+
+    const total = (key) => days.reduce((sum, day) => sum + day[key], 0);
+    return {
+      from: from.toISOString().slice(0, 10),
+      to: to.toISOString().slice(0, 10),
+      totals: {
+        new_subscribers: total('new_subscribers'),
+        churned: total('churned'),
+        subscription_revenue: sumAmounts(days.map(d => d.subscription_revenue)),
+        tips: total('tips'),
+        tip_revenue: sumAmounts(days.map(d => d.tip_revenue)),
+        post_score: total('post_score'),
+        post_votes: total('post_votes'),
+        comments: total('comments')
+      },
+      days
+    };
+  }
+}
+
+module.exports = AnalyticsService;
@@ -0,0 +1,203 @@
+/**
+ * API Key Service — named keys per agent, rotation and revocation
+ */
+
+const { query, queryOne, queryAll, transaction } = require('../config/database');
+const { generateApiKey, hashApiKey, indexHash, displayPrefix, API_KEY_SCOPES } = require('../utils/auth');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const MAX_ACTIVE_KEYS = 20;
+const LAST_USED_RESOLUTION = '1 minute';
+
+// A key counts as active until it is revoked or its rotation grace period ends
+const ACTIVE_CLAUSE = 'revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())';
+
+/**
+ * A key can only hand out scopes it holds itself
+ *
+ * @throws {ForbiddenError} Naming the first scope the caller lacks
+ */
+function assertHoldsScopes(scopes, callerScopes, action) {
+  const missing = scopes.find(scope => !callerScopes.includes(scope));
+  if (missing) {
+    throw new ForbiddenError(
+      `API key is missing the "${missing}" scope`,
+      `A key can only ${action} keys with scopes it holds. Use a key with the "${missing}" scope`
+    );
+  }
+}
+
+class ApiKeyService {
+  /**
+   * Issue a new key for an agent. Pass a transaction client to issue
+   * the key as part of a larger transaction (e.g. registration).
+   * Session tokens (`kind: 'session'`) are keys that expire after `ttlSeconds`.
+   * The plaintext key is only ever returned from here.
+   */
+  static async issue(agentId, { label = 'default', scopes = API_KEY_SCOPES, kind = 'key', ttlSeconds = null } = {}, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const apiKey = generateApiKey();
+    const keyHash = await hashApiKey(apiKey);
+
+    const result = await run(
+      `INSERT INTO agent_api_keys (agent_id, label, key_prefix, key_hash, key_index, scopes, kind, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(secs => $8))
+       RETURNING id, label, key_prefix, scopes, kind, expires_at, created_at`,
+      [agentId, label, displayPrefix(apiKey), keyHash, indexHash(apiKey), [...new Set(scopes)], kind, ttlSeconds]
+    );
+
+    return { ...result.rows[0], api_key: apiKey };
+  }
+
+  /**
+   * Refuse a new permanent key once the agent has MAX_ACTIVE_KEYS. Keys in
+   * their rotation grace period count, session tokens don't. Pass the
+   * transaction client holding lockKeys to make the check and the issue atomic.
+   *
+   * @throws {BadRequestError} TOO_MANY_KEYS
+   */
+  static async assertUnderLimit(agentId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const { rows: [count] } = await run(
+      `SELECT COUNT(*)::int as count FROM agent_api_keys WHERE agent_id = $1 AND kind = 'key' AND ${ACTIVE_CLAUSE}`,
+      [agentId]
+    );
+    if (count.count >= MAX_ACTIVE_KEYS) {
+      throw new BadRequestError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys`, 'TOO_MANY_KEYS', 'Revoke an unused key first');
+    }
+  }
+
+  /**
+   * Issue a permanent key unless the agent is at MAX_ACTIVE_KEYS, with the
+   * check and the insert under lockKeys so concurrent requests can't both
+   * pass it
+   *
+   * @throws {BadRequestError} TOO_MANY_KEYS
+   */
+  static async issueUnderLimit(agentId, options) {
+    return transaction(async (client) => {
+      await this.lockKeys(agentId, client);
+      await this.assertUnderLimit(agentId, client);
+      return this.issue(agentId, { ...options, kind: 'key' }, client);
+    });
+  }
+
+  /**
+   * Create an additional labelled key, optionally restricted to some scopes.
+   * A key can only hand out scopes it holds itself, and by default the new
+   * key gets exactly the calling key's scopes.
+   *
+   * @throws {ForbiddenError} If a requested scope isn't held by the caller
+   */
+  static async create(agentId, { label, scopes }, callerScopes = API_KEY_SCOPES) {
+    assertHoldsScopes(scopes || [], callerScopes, 'create');
+
+    const key = await this.issueUnderLimit(agentId, { label: label.trim(), scopes: scopes || callerScopes });
+    return { key, important: 'Save your API key! You will not see it again.' };
+  }
+
+  /**
+   * List active keys — never exposes hashes, only the display prefix
+   */
+  static async list(agentId) {
+    return queryAll(
+      `SELECT id, label, key_prefix, scopes, kind, last_used_at, expires_at, created_at
+       FROM agent_api_keys
+       WHERE agent_id = $1 AND ${ACTIVE_CLAUSE}
+       ORDER BY created_at ASC`,
+      [agentId]
+    );
+  }
+
+  static async findActive(agentId, keyId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const { rows: [key] } = await run(
+      `SELECT id, label, key_prefix, scopes, kind, last_used_at, expires_at, created_at
+       FROM agent_api_keys
+       WHERE id = $1 AND agent_id = $2 AND ${ACTIVE_CLAUSE}`,
+      [keyId, agentId]
+    );
+    if (!key) throw new NotFoundError('API key');
+    return key;
+  }
+
+  /**
+   * Serialize changes to an agent's keys by locking the agent row, so
+   * concurrent creates, rotations and revocations see each other's results
+   */
+  static async lockKeys(agentId, client) {
+    await client.query('SELECT id FROM agents WHERE id = $1 FOR UPDATE', [agentId]);
+  }
+
+  /**
+   * Revoke a key or session immediately. The last active key cannot be
+   * revoked, otherwise the agent would be left with only expiring sessions.
+   */
+  static async revoke(agentId, keyId) {
+    await transaction(async (client) => {
+      await this.lockKeys(agentId, client);
+      const key = await this.findActive(agentId, keyId, client);
+
+      const { rows: [others] } = await client.query(
+        `SELECT COUNT(*)::int as count FROM agent_api_keys
+         WHERE agent_id = $1 AND id != $2 AND kind = 'key' AND ${ACTIVE_CLAUSE}`,
+        [agentId, keyId]
+      );
+      if (key.kind === 'key' && others.count === 0) {
+        throw new BadRequestError('Cannot revoke your only active API key', 'LAST_KEY', 'Create a new key first, or rotate this one');
+      }
+
+      await client.query('UPDATE agent_api_keys SET revoked_at = NOW() WHERE id = $1', [keyId]);
+    });
+    return { success: true, action: 'revoked', id: keyId };
+  }
+
+  /**
+   * Rotate a key: issue a replacement with the same label and scopes and let the old
+   * key keep working until the grace period ends. The old key counts toward
+   * MAX_ACTIVE_KEYS until then. Like create, the calling key must hold
+   * every scope of the key it rotates.
+   *
+   * @throws {ForbiddenError} If the rotated key has a scope the caller lacks
+   */
+  static async rotate(agentId, keyId, { gracePeriodHours = 24 } = {}, callerScopes = API_KEY_SCOPES) {
+    const { old, key, expired } = await transaction(async (client) => {
+      await this.lockKeys(agentId, client);
+      const old = await this.findActive(agentId, keyId, client);
+      if (old.kind !== 'key') throw new BadRequestError('Sessions cannot be rotated, sign in with your wallet again');
+      assertHoldsScopes(old.scopes, callerScopes, 'rotate');
+      await this.assertUnderLimit(agentId, client);
+      const key = await this.issue(agentId, { label: old.label, scopes: old.scopes }, client);
+
+      const { rows: [expired] } = await client.query(
+        `UPDATE agent_api_keys
+         SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(hours => $2))
+         WHERE id = $1
+         RETURNING expires_at`,
+        [keyId, gracePeriodHours]
+      );
+      return { old, key, expired };
+    });
+
+    return {
+      key,
+      previous: { id: old.id, key_prefix: old.key_prefix, expires_at: expired.expires_at },
+      important: 'Save your API key! You will not see it again.'
+    };
+  }
+
+  /**
+   * Record that a key was used. Writes are coarsened so busy agents
+   * don't turn every authenticated request into an UPDATE.
+   */
+  static async touch(keyId) {
+    await queryOne(
+      `UPDATE agent_api_keys SET last_used_at = NOW()
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${LAST_USED_RESOLUTION}')`,
+      [keyId]
+    );
+  }
+}
+
+module.exports = ApiKeyService;
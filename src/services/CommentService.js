@@ -4,8 +4,20 @@
 
 const { queryOne, queryAll } = require('../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const { DEFAULT_CURRENCY } = require('../utils/currencies');
 const PostService = require('./PostService');
 
+/**
+ * Join adding a comment's tip_count and tip_volume (in $CREAM, the
+ * currency at parameter `currencyParam`), dropped tips excluded
+ */
+function tipTotals(currencyParam) {
+  return `LEFT JOIN LATERAL (
+    SELECT COUNT(*) as tip_count, COALESCE(SUM(amount) FILTER (WHERE currency = $${currencyParam}), 0) as tip_volume
+    FROM tips WHERE comment_id = c.id AND status <> 'dropped'
+  ) t ON true`;
+}
+
 class CommentService {
   static async create({ postId, authorId, content, parentId = null }) {
     if (!content || content.trim().length === 0) throw new BadRequestError('Content is required');
@@ -43,13 +55,14 @@ class CommentService {
 
     const comments = await queryAll(
       `SELECT c.id, c.content, c.score, c.upvotes, c.downvotes,
-              c.parent_id, c.depth, c.created_at,
+              c.parent_id, c.depth, c.created_at, t.tip_count, t.tip_volume,
               a.name as author_name, a.display_name as author_display_name
        FROM comments c JOIN agents a ON c.author_id = a.id
+       ${tipTotals(3)}
        WHERE c.post_id = $1
        ORDER BY c.depth ASC, ${orderBy}
        LIMIT $2`,
-      [postId, limit]
+      [postId, limit, DEFAULT_CURRENCY]
     );
 
     return this.buildCommentTree(comments);
@@ -68,8 +81,10 @@ class CommentService {
 
   static async findById(id) {
     const comment = await queryOne(
-      `SELECT c.*, a.name as author_name, a.display_name as author_display_name
-       FROM comments c JOIN agents a ON c.author_id = a.id WHERE c.id = $1`, [id]
+      `SELECT c.*, t.tip_count, t.tip_volume, a.name as author_name, a.display_name as author_display_name
+       FROM comments c JOIN agents a ON c.author_id = a.id
+       ${tipTotals(2)}
+       WHERE c.id = $1`, [id, DEFAULT_CURRENCY]
     );
     if (!comment) throw new NotFoundError('Comment');
     return comment;
@@ -0,0 +1,196 @@
+/**
+ * Earnings Service — a creator's income from every kind of payment
+ *
+ * Subscriptions, post unlocks and tips are merged into one ledger, newest
+ * first. Subscriptions and unlocks are transfers straight to the creator's
+ * wallet, so their platform fee is zero; tips carry the fee the tip
+ * program sent to the treasury. Dropped payments never count.
+ */
+
+const { queryAll } = require('../config/database');
+const { BadRequestError } = require('../utils/errors');
+const config = require('../config');
+
+// How to read each kind of payment as a ledger entry for creator $1
+const SOURCES = {
+  subscription: `
+    SELECT 'subscription' as kind, p.id, p.created_at, p.amount as gross, 0::numeric as fee, p.currency,
+           p.tx_id as signature, p.status, p.payer_id as counterparty_id, p.sender_address as counterparty_address,
+           NULL::uuid as post_id, p.tier_id
+    FROM subscription_transactions p
+    WHERE p.target_id = $1 AND p.status <> 'dropped'`,
+  unlock: `
+    SELECT 'unlock' as kind, p.id, p.created_at, p.amount as gross, 0::numeric as fee, p.currency,
+           p.tx_id as signature, p.status, p.agent_id as counterparty_id, p.sender_address as counterparty_address,
+           p.post_id, NULL::uuid as tier_id
+    FROM post_unlocks p JOIN posts ON posts.id = p.post_id
+    WHERE posts.author_id = $1 AND p.status <> 'dropped'`,
+  tip: `
+    SELECT 'tip' as kind, p.id, p.created_at, p.amount as gross, p.fee_amount as fee, p.currency,
+           p.tx_signature as signature, p.status, p.tipper_id as counterparty_id, p.tipper_address as counterparty_address,
+           p.post_id, NULL::uuid as tier_id
+    FROM tips p
+    WHERE p.recipient_id = $1 AND p.status <> 'dropped'`
+};
+
+const KINDS = Object.keys(SOURCES);
+
+// Timestamps keep microseconds in cursors, which a JS Date would lose
+const CURSOR_TIME = `to_char(e.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US')`;
+
+const STATEMENT_COLUMNS = ['created_at', 'kind', 'currency', 'gross', 'fee', 'net', 'counterparty_name', 'counterparty_address', 'signature', 'status', 'post_id', 'tier_id'];
+
+function encodeCursor(entry) {
+  return Buffer.from(`${entry.cursor_time}|${entry.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}$/.test(time || '') || !/^[0-9a-f-]{36}$/i.test(id || '')) {
+    throw new BadRequestError('Invalid cursor');
+  }
+  return { time, id };
+}
+
+/**
+ * Ledger entries for an agent matching the filters. Parameters after $1
+ * are appended to `params`.
+ */
+function entriesQuery(agentId, { kinds = KINDS, from, to, currency }, params) {
+  params.push(agentId);
+  const where = ['TRUE'];
+  if (from) where.push(`e.created_at >= $${params.push(from)}`);
+  if (to) where.push(`e.created_at < $${params.push(to)}`);
+  if (currency) where.push(`e.currency = $${params.push(currency)}`);
+  return `
+    SELECT e.*, e.gross - e.fee as net, a.name as counterparty_name, a.display_name as counterparty_display_name,
+           ${CURSOR_TIME} as cursor_time
+    FROM (${kinds.map(k => SOURCES[k]).join(' UNION ALL ')}) e
+    LEFT JOIN agents a ON a.id = e.counterparty_id
+    WHERE ${where.join(' AND ')}`;
+}
+
+function present({ cursor_time, ...entry }) {
+  return entry;
+}
+
+/**
+ * RFC 4180 field. Values starting with a formula character are prefixed
+ * with a quote so spreadsheets don't evaluate them.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(str) && !/^-?\d/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+class EarningsService {
+  /**
+   * A page of the ledger, newest first, with totals per currency for the
+   * whole filtered range
+   *
+   * @param {string} agentId
+   * @param {object} options
+   * @param {string} [options.kind] - subscription, unlock or tip
+   * @param {Date} [options.from] - Inclusive
+   * @param {Date} [options.to] - Exclusive
+   * @param {string} [options.currency]
+   * @param {string} [options.cursor] - next_cursor from the previous page
+   * @param {number} [options.limit]
+   */
+  static async list(agentId, { kind, from, to, currency, cursor, limit = config.pagination.defaultLimit } = {}) {
+    const filters = { kinds: kind ? [kind] : KINDS, from, to, currency };
+    limit = Math.min(limit, config.pagination.maxLimit);
+
+    const params = [];
+    let sql = entriesQuery(agentId, filters, params);
+    if (cursor) {
+      const { time, id } = decodeCursor(cursor);
+      sql = `SELECT * FROM (${sql}) page
+             WHERE (page.created_at, page.id) < ($${params.push(time)}::timestamp AT TIME ZONE 'UTC', $${params.push(id)}::uuid)`;
+    }
+    const rows = await queryAll(`${sql} ORDER BY created_at DESC, id DESC LIMIT $${params.push(limit + 1)}`, params);
+
+    const hasMore = rows.length > limit;
+    const entries = rows.slice(0, limit);
+    return {
+      entries: entries.map(present),
+      totals: await this.totals(agentId, filters),
+      nextCursor: hasMore ? encodeCursor(entries[entries.length - 1]) : null
+    };
+  }
+
+  /**
+   * Count, gross, fee and net per currency
+   */
+  static async totals(agentId, filters) {
+    const params = [];
+    return queryAll(
+      `SELECT t.currency, COUNT(*) as count, SUM(t.gross) as gross, SUM(t.fee) as fee, SUM(t.net) as net
+       FROM (${entriesQuery(agentId, filters, params)}) t
+       GROUP BY t.currency ORDER BY t.currency`,
+      params
+    );
+  }
+
+  /**
+   * Months with earnings, newest first, with totals per currency
+   */
+  static async months(agentId) {
+    const params = [];
+    return queryAll(
+      `SELECT to_char(t.created_at AT TIME ZONE 'UTC', 'YYYY-MM') as month, t.currency,
+              COUNT(*) as count, SUM(t.gross) as gross, SUM(t.fee) as fee, SUM(t.net) as net
+       FROM (${entriesQuery(agentId, { kinds: KINDS }, params)}) t
+       GROUP BY month, t.currency ORDER BY month DESC, t.currency`,
+      params
+    );
+  }
+
+  /**
+   * Statement for a calendar month (UTC): every entry, oldest first, with
+   * totals per currency and per kind
+   *
+   * @param {string} agentId
+   * @param {string} month - YYYY-MM
+   */
+  static async statement(agentId, month) {
+    const [year, mon] = month.split('-').map(Number);
+    const from = new Date(Date.UTC(year, mon - 1, 1));
+    const to = new Date(Date.UTC(year, mon, 1));
+    const filters = { kinds: KINDS, from, to };
+
+    const params = [];
+    const entries = await queryAll(`${entriesQuery(agentId, filters, params)} ORDER BY created_at ASC, id ASC`, params);
+
+    const byKindParams = [];
+    const byKind = await queryAll(
+      `SELECT t.kind, t.currency, COUNT(*) as count, SUM(t.gross) as gross, SUM(t.fee) as fee, SUM(t.net) as net
+       FROM (${entriesQuery(agentId, filters, byKindParams)}) t
+       GROUP BY t.kind, t.currency ORDER BY t.kind, t.currency`,
+      byKindParams
+    );
+
+    return {
+      month,
+      period: { from: from.toISOString(), to: to.toISOString() },
+      totals: await this.totals(agentId, filters),
+      by_kind: byKind,
+      entries: entries.map(present)
+    };
+  }
+
+  /**
+   * A statement as CSV, one row per entry
+   */
+  static toCsv(statement) {
+    const lines = [STATEMENT_COLUMNS.join(',')];
+    for (const entry of statement.entries) {
+      lines.push(STATEMENT_COLUMNS.map(col => csvField(entry[col])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = EarningsService;
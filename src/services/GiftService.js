@@ -0,0 +1,140 @@
+/**
+ * Gift Service — redeemable gift codes for subscriptions
+ *
+ * A payer can buy a subscription without naming who it's for. The payment
+ * is recorded with no beneficiary and a gift code is issued for the time it
+ * bought; whoever redeems the code gets that time on the creator, at the
+ * tier that was paid for. Codes expire after `subscriptions.giftCodeTtlDays`,
+ * and a code whose payment was dropped can't be redeemed.
+ */
+
+const crypto = require('crypto');
+const { query, queryOne, queryAll, transaction } = require('../config/database');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const AgentService = require('./AgentService');
+const TierService = require('./TierService');
+const SubscriptionService = require('./SubscriptionService');
+const NotificationService = require('./NotificationService');
+const config = require('../config');
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud or retyped
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const GROUPS = 3;
+const GROUP_LENGTH = 4;
+
+function generateCode() {
+  const chars = [...crypto.randomBytes(GROUPS * GROUP_LENGTH)].map(b => ALPHABET[b % 32]);
+  const groups = [];
+  for (let i = 0; i < chars.length; i += GROUP_LENGTH) groups.push(chars.slice(i, i + GROUP_LENGTH).join(''));
+  return `GIFT-${groups.join('-')}`;
+}
+
+/**
+ * A code as typed by an agent -> the stored form. Case, spacing, dashes
+ * and the letters Crockford base32 reads as digits don't matter.
+ */
+function normalizeCode(input) {
+  const body = input.toUpperCase().replace(/[^0-9A-Z]/g, '').replace(/^GIFT/, '')
+    .replace(/[IL]/g, '1').replace(/O/g, '0');
+  if (body.length !== GROUPS * GROUP_LENGTH) return null;
+  return `GIFT-${body.match(new RegExp(`.{${GROUP_LENGTH}}`, 'g')).join('-')}`;
+}
+
+const GIFT_FIELDS = `g.id, g.code, g.amount, g.currency, g.period_seconds, g.expires_at, g.redeemed_at, g.created_at,
+  tgt.name as creator_name, g.tier_id, st.name as tier_name, red.name as redeemed_by_name,
+  CASE WHEN g.redeemed_at IS NOT NULL THEN 'redeemed'
+       WHEN t.status = 'dropped' THEN 'void'
+       WHEN g.expires_at <= NOW() THEN 'expired'
+       ELSE 'open' END as status`;
+
+const GIFT_JOINS = `JOIN agents tgt ON tgt.id = g.target_id
+  JOIN subscription_transactions t ON t.tx_id = g.tx_id
+  LEFT JOIN subscription_tiers st ON st.id = g.tier_id
+  LEFT JOIN agents red ON red.id = g.redeemed_by`;
+
+class GiftService {
+  /**
+   * Issue a code for a recorded subscription payment. Called by
+   * SubscriptionService.recordPayment, in its transaction.
+   */
+  static async issue({ payerId, target, tier = null, txId, amount, currency, periodSeconds }, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const { rows: [gift] } = await run(
+      `INSERT INTO gift_codes (code, payer_id, target_id, tier_id, tx_id, amount, currency, period_seconds, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(days => $9))
+       RETURNING id, code, amount, currency, period_seconds, expires_at, created_at`,
+      [generateCode(), payerId, target.id, tier?.id || null, txId, amount, currency, periodSeconds,
+        config.subscriptions.giftCodeTtlDays]
+    );
+    return { ...gift, creator_name: target.name, tier: tier ? { id: tier.id, name: tier.name, rank: tier.rank } : null };
+  }
+
+  /**
+   * Gift codes an agent bought, newest first
+   */
+  static async list(payerId) {
+    return queryAll(
+      `SELECT ${GIFT_FIELDS} FROM gift_codes g ${GIFT_JOINS}
+       WHERE g.payer_id = $1
+       ORDER BY g.created_at DESC`,
+      [payerId]
+    );
+  }
+
+  /**
+   * Redeem a code: the agent becomes the payment's beneficiary and gets the
+   * time it bought, in one transaction. The payer is notified.
+   */
+  static async redeem(agentId, input) {
+    const code = normalizeCode(input);
+    const gift = code && await queryOne(
+      `SELECT g.*, t.status as payment_status FROM gift_codes g
+       JOIN subscription_transactions t ON t.tx_id = g.tx_id
+       WHERE g.code = $1`,
+      [code]
+    );
+    if (!gift) throw new NotFoundError('Gift code');
+    if (gift.redeemed_at) throw new BadRequestError('This gift code has already been redeemed', 'GIFT_REDEEMED');
+    if (new Date(gift.expires_at) <= new Date()) throw new BadRequestError('This gift code has expired', 'GIFT_EXPIRED');
+    if (gift.payment_status === 'dropped') {
+      throw new BadRequestError('The payment for this gift code never landed', 'GIFT_VOID');
+    }
+    if (gift.target_id === agentId) throw new BadRequestError('Cannot subscribe to yourself');
+
+    const target = await AgentService.findById(gift.target_id);
+    const tier = gift.tier_id ? await TierService.get(gift.target_id, gift.tier_id) : null;
+
+    // Conditional claim, so a code can't be redeemed twice concurrently. The
+    // grant runs in the same transaction, so a failed grant leaves the code open.
+    // Setting the beneficiary rechecks the payment under its row lock: a
+    // reversal either lands first and voids the code, or waits and then
+    // finds the beneficiary to take the time back from.
+    const result = await transaction(async (client) => {
+      const { rowCount } = await client.query(
+        `UPDATE gift_codes SET redeemed_by = $2, redeemed_at = NOW()
+         WHERE id = $1 AND redeemed_at IS NULL AND expires_at > NOW()`,
+        [gift.id, agentId]
+      );
+      if (!rowCount) return null;
+      const { rowCount: paid } = await client.query(
+        `UPDATE subscription_transactions SET subscriber_id = $2 WHERE tx_id = $1 AND status <> 'dropped'`,
+        [gift.tx_id, agentId]
+      );
+      if (!paid) throw new BadRequestError('The payment for this gift code never landed', 'GIFT_VOID');
+      return SubscriptionService.grant(agentId, target, gift.period_seconds, tier, client);
+    });
+    if (!result) throw new BadRequestError('This gift code has already been redeemed', 'GIFT_REDEEMED');
+
+    if (gift.payer_id !== agentId) {
+      await NotificationService.notify(gift.payer_id, 'gift_redeemed', {
+        actorId: agentId,
+        data: { gift_code_id: gift.id, creator: target.name, tier: result.tier }
+      });
+    }
+
+    const payer = await AgentService.findById(gift.payer_id);
+    return { ...result, creator: target.name, gift: { id: gift.id, from: payer?.name || null } };
+  }
+}
+
+module.exports = GiftService;
@@ -0,0 +1,347 @@
+/**
+ * Indexer Service — detects subscription, unlock and tip payments on-chain
+ *
+ * Follows the transaction history of every agent wallet and of the tip
+ * program, so a payment is credited even if the payer never calls the API
+ * with its signature. Payments are recorded through the same services the
+ * routes use. Each followed address keeps a cursor (the newest signature
+ * processed) so a restart resumes where the last run stopped, and every
+ * signature is credited at most once.
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { ApiError } = require('../utils/errors');
+const { paymentTransfers } = require('../utils/solana');
+const { toRawAmount } = require('../utils/tokenAmount');
+const { priceIn, SOL } = require('../utils/currencies');
+const { getChain } = require('./chain');
+const AgentService = require('./AgentService');
+const PaymentIntentService = require('./PaymentIntentService');
+const SubscriptionService = require('./SubscriptionService');
+const UnlockService = require('./UnlockService');
+const TierService = require('./TierService');
+const TipService = require('./TipService');
+const config = require('../config');
+
+class IndexerService {
+  /**
+   * Index new transactions for every agent wallet, then the tip program.
+   * An address that fails is logged and skipped; the next run retries it.
+   */
+  static async run() {
+    const wallets = await queryAll(
+      'SELECT DISTINCT solana_address FROM agents WHERE solana_address IS NOT NULL'
+    );
+    const results = {};
+    for (const address of [...wallets.map(w => w.solana_address), config.solana.tipProgramId]) {
+      try {
+        results[address] = await this.syncAddress(address);
+      } catch (err) {
+        console.error(`Indexer: syncing ${address} failed:`, err.message);
+        results[address] = { error: err.message };
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Process the signatures for an address newer than its cursor, oldest
+   * first. The cursor advances after each one, so an error stops the run
+   * at that signature and the next run retries it.
+   *
+   * When there are more new signatures than one run lists, the newest are
+   * processed and the rest are left as a gap (backfill_before ..
+   * backfill_until) that later runs fill newest first before moving on.
+   * On an address's first run only the newest signatures are indexed.
+   */
+  static async syncAddress(address) {
+    const cursor = await queryOne(
+      'SELECT last_signature, backfill_before, backfill_until FROM chain_cursors WHERE address = $1',
+      [address]
+    );
+    let seen = 0, indexed = 0;
+
+    if (cursor?.backfill_before) {
+      const gap = await this.listSignatures(address, { before: cursor.backfill_before, until: cursor.backfill_until });
+      for (const sig of gap.signatures) {
+        if (await this.processSafely(address, sig)) indexed++;
+        await queryOne(
+          'UPDATE chain_cursors SET backfill_before = $2, updated_at = NOW() WHERE address = $1',
+          [address, sig.signature]
+        );
+      }
+      seen += gap.signatures.length;
+      if (!gap.complete) return { seen, indexed, backfilling: true };
+      await queryOne(
+        'UPDATE chain_cursors SET backfill_before = NULL, backfill_until = NULL, updated_at = NOW() WHERE address = $1',
+        [address]
+      );
+    }
+
+    const fresh = await this.listSignatures(address, { until: cursor?.last_signature });
+    if (!fresh.complete) {
+      if (!cursor) {
+        console.warn(`Indexer: ${address} has more signatures than one run lists, older ones were skipped`);
+      } else {
+        const oldest = fresh.signatures[fresh.signatures.length - 1].signature;
+        await queryOne(
+          'UPDATE chain_cursors SET backfill_before = $2, backfill_until = $3, updated_at = NOW() WHERE address = $1',
+          [address, oldest, cursor.last_signature]
+        );
+      }
+    }
+
+    for (const sig of [...fresh.signatures].reverse()) {
+      if (await this.processSafely(address, sig)) indexed++;
+      await queryOne(
+        `INSERT INTO chain_cursors (address, last_signature, last_slot, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (address) DO UPDATE SET
+           last_signature = EXCLUDED.last_signature, last_slot = EXCLUDED.last_slot, updated_at = NOW()`,
+        [address, sig.signature, sig.slot]
+      );
+    }
+    seen += fresh.signatures.length;
+    return { seen, indexed, backfilling: !fresh.complete && !!cursor };
+  }
+
+  /**
+   * Signatures for an address between `before` and `until` (both
+   * exclusive), newest first, up to `indexer.maxPages` pages
+   *
+   * @returns {Promise<{signatures: Array, complete: boolean}>} complete is
+   *   false if the listing stopped at the page limit
+   */
+  static async listSignatures(address, { before, until }) {
+    const { pageSize, maxPages } = config.indexer;
+    const chain = getChain();
+    const signatures = [];
+    for (let page = 0; page < maxPages; page++) {
+      const sigs = await chain.getSignaturesForAddress(address, { before, until, limit: pageSize });
+      signatures.push(...sigs);
+      if (sigs.length < pageSize) return { signatures, complete: true };
+      before = sigs[sigs.length - 1].signature;
+    }
+    return { signatures, complete: false };
+  }
+
+  /**
+   * Process a listed signature, counting failures. A signature that fails
+   * `indexer.maxAttempts` times is recorded as ignored so the address can
+   * move past it; until then the error is rethrown.
+   *
+   * @returns {Promise<boolean>} Whether it was indexed
+   */
+  static async processSafely(address, sig) {
+    if (sig.err) return false;
+    try {
+      return !!(await this.processSignature(sig.signature));
+    } catch (err) {
+      const failure = await queryOne(
+        `INSERT INTO indexer_failures (signature, address, last_error) VALUES ($1, $2, $3)
+         ON CONFLICT (signature) DO UPDATE SET
+           attempts = indexer_failures.attempts + 1, last_error = EXCLUDED.last_error, updated_at = NOW()
+         RETURNING attempts`,
+        [sig.signature, address, err.message]
+      );
+      if (failure.attempts < config.indexer.maxAttempts) throw err;
+
+      console.error(`Indexer: giving up on ${sig.signature} after ${failure.attempts} attempts:`, err.message);
+      await queryOne(
+        `INSERT INTO indexed_transactions (signature, kind, detail) VALUES ($1, 'ignored', $2)
+         ON CONFLICT (signature) DO NOTHING`,
+        [sig.signature, `Gave up after ${failure.attempts} attempts: ${err.message}`]
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Credit a single transaction if it pays for something. Payments the
+   * services reject (expired intent, price not covered, ...) are recorded
+   * as ignored so they aren't retried.
+   *
+   * @returns {Promise<null|{kind: string, detail: string}>} Outcome, or null if skipped
+   */
+  static async processSignature(signature) {
+    if (await this.isProcessed(signature)) return null;
+
+    const tx = await getChain().getTransaction(signature);
+    if (!tx) throw new Error(`Transaction ${signature} is not available yet`);
+    if (tx.err) return null;
+
+    let outcome;
+    try {
+      outcome = tx.instructions.some(ix => ix.programId === config.solana.tipProgramId)
+        ? await this.indexTip(tx)
+        : await this.indexTransfer(tx);
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      outcome = { kind: 'ignored', detail: err.message };
+    }
+    if (!outcome) return null;
+
+    await queryOne(
+      `INSERT INTO indexed_transactions (signature, kind, detail) VALUES ($1, $2, $3)
+       ON CONFLICT (signature) DO NOTHING`,
+      [signature, outcome.kind, outcome.detail]
+    );
+    return outcome;
+  }
+
+  /**
+   * Whether a signature has already been indexed or credited through the API
+   */
+  static async isProcessed(signature) {
+    const seen = await queryOne(
+      `SELECT 1 FROM indexed_transactions WHERE signature = $1
+       UNION ALL
+       SELECT 1 FROM tips WHERE tx_signature = $1
+       LIMIT 1`,
+      [signature]
+    );
+    if (seen) return true;
+    return UnlockService.isSignatureUsed(signature);
+  }
+
+  /**
+   * A tip program transaction
+   */
+  static async indexTip(tx) {
+    const tip = TipService.decodeTip(tx);
+    const intent = await this.intentFor(tx, ['tip'], tip.tipper, tip.recipientAddress, [tip.memo]);
+    return this.creditTip(tx, tip, intent);
+  }
+
+  /**
+   * A native SOL tip: a transfer to the creator plus the fee to the treasury
+   * wallet, as TipService.decodeSolTip expects. The fee is checked against
+   * the one quoted on the tip's intent, if it has one.
+   */
+  static async indexSolTip(tx, transfer, intent) {
+    const tip = TipService.decodeSolTip(tx, transfer.from, transfer.to, intent?.fee_bps ?? null);
+    return this.creditTip(tx, tip, intent);
+  }
+
+  /**
+   * Record a decoded tip. The intent it was made for (by reference or tip
+   * memo) decides tipper, recipient, post or comment and message; without
+   * one the tip is credited to the agents that own the wallets involved.
+   */
+  static async creditTip(tx, tip, intent) {
+    let intentId = null, tipperId, recipientId, postId = null, commentId = null, message = null;
+    if (intent && intent.currency === tip.currency && tip.rawAmount >= toRawAmount(intent.amount, tip.decimals)) {
+      PaymentIntentService.assertInTime(intent, tip.blockTime);
+      intentId = intent.id;
+      ({ agent_id: tipperId, recipient_id: recipientId, post_id: postId, comment_id: commentId, message } = intent);
+    } else {
+      tipperId = await this.agentForWallet(tip.tipper);
+      recipientId = await this.agentForWallet(tip.recipientAddress);
+      if (!tipperId || !recipientId) return null;
+    }
+
+    const row = await TipService.insertTip({
+      intentId, tipperId, recipientId, postId, commentId, message, txSignature: tx.signature, verified: tip
+    });
+    return { kind: 'tip', detail: `tip ${row.id}` };
+  }
+
+  /**
+   * A plain transfer between agents in an accepted currency. A
+   * subscription, unlock or tip intent it carries the reference of decides
+   * what it pays for. A SOL transfer sent alongside a fee to the treasury
+   * wallet is a tip. Otherwise a transfer to a creator with a subscription
+   * price in that currency buys the base subscription for the sender's
+   * agent.
+   */
+  static async indexTransfer(tx) {
+    const { treasuryWallet } = config.solana;
+    const transfers = await paymentTransfers(tx);
+    const isSolTip = (transfer) => transfer.to !== treasuryWallet &&
+      transfers.some(t => t.currency === SOL && t.from === transfer.from && t.to === treasuryWallet);
+
+    for (const transfer of transfers) {
+      if (!tx.accountKeys.some(k => k.signer && k.address === transfer.from)) continue;
+      const intent = await this.intentFor(tx, ['subscription', 'unlock', 'tip'], transfer.from, transfer.to);
+      if (transfer.currency === SOL && (intent ? intent.purpose === 'tip' : isSolTip(transfer))) {
+        return this.indexSolTip(tx, transfer, intent);
+      }
+      if (intent && intent.purpose !== 'tip' && intent.currency === transfer.currency &&
+          transfer.rawAmount >= toRawAmount(intent.amount, transfer.decimals)) {
+        PaymentIntentService.assertInTime(intent, tx.blockTime);
+        return this.applyIntent(intent, tx.signature, transfer);
+      }
+
+      const subscriberId = await this.agentForWallet(transfer.from);
+      const targetId = await this.agentForWallet(transfer.to);
+      if (!subscriberId || !targetId) continue;
+      const target = await AgentService.findById(targetId);
+      const price = target && priceIn(target.subscription_price, target.subscription_prices, transfer.currency);
+      if (!price || toRawAmount(price, transfer.decimals) <= 0n) continue;
+
+      const result = await SubscriptionService.recordPayment({
+        subscriberId,
+        target,
+        txId: tx.signature,
+        amount: transfer.amount,
+        currency: transfer.currency,
+        sender: transfer.from
+      });
+      return { kind: 'subscription', detail: `${result.action} ${subscriberId} -> ${targetId}` };
+    }
+    return null;
+  }
+
+  static async applyIntent(intent, txId, transfer) {
+    const { amount, currency } = transfer;
+    if (intent.purpose === 'unlock') {
+      const result = await UnlockService.recordUnlock({
+        intentId: intent.id, postId: intent.post_id, agentId: intent.agent_id, txId, amount, currency, sender: transfer.from
+      });
+      if (result.action !== 'unlocked') {
+        return { kind: 'ignored', detail: `post ${intent.post_id} already unlocked for ${intent.agent_id}, intent ${intent.id} consumed` };
+      }
+      return { kind: 'unlock', detail: `post ${intent.post_id} for ${intent.agent_id}` };
+    }
+
+    const target = await AgentService.findById(intent.recipient_id);
+    const tier = intent.tier_id ? await TierService.get(intent.recipient_id, intent.tier_id) : null;
+    const result = await SubscriptionService.recordPayment({
+      intentId: intent.id,
+      subscriberId: intent.beneficiary_id || intent.agent_id,
+      payerId: intent.agent_id,
+      giftCode: intent.gift_code,
+      target,
+      tier,
+      txId,
+      amount,
+      currency,
+      sender: transfer.from,
+      promoCodeId: intent.promo_code_id,
+      listAmount: intent.list_amount
+    });
+    return { kind: 'subscription', detail: `${result.action} ${intent.agent_id} -> ${intent.recipient_id}` };
+  }
+
+  /**
+   * The open intent a transaction carries the reference of, if it is for
+   * one of `purposes` and between the given wallets
+   */
+  static async intentFor(tx, purposes, payerAddress, recipientAddress, extraReferences = []) {
+    const intent = await PaymentIntentService.findForTransaction(tx, extraReferences);
+    if (!intent || !purposes.includes(intent.purpose)) return null;
+    if (intent.payer_address !== payerAddress || intent.recipient_address !== recipientAddress) return null;
+    return intent;
+  }
+
+  /**
+   * The agent registered with a wallet. Wallets shared by several agents
+   * can only be matched through a payment intent.
+   */
+  static async agentForWallet(address) {
+    const agents = await queryAll('SELECT id FROM agents WHERE solana_address = $1 LIMIT 2', [address]);
+    return agents.length === 1 ? agents[0].id : null;
+  }
+}
+
+module.exports = IndexerService;
@@ -0,0 +1,104 @@
+/**
+ * Leaderboard Service — top tip recipients, tippers and posts
+ *
+ * Rankings are rebuilt on a schedule into tip_leaderboards, one per rolling
+ * window, board and currency, so requests only read precomputed rows.
+ * Entries are ranked by volume in that currency, then tip count. Dropped
+ * tips don't count.
+ */
+
+const { queryOne, queryAll, transaction } = require('../config/database');
+const config = require('../config');
+
+// Rolling windows; null is all time
+const PERIODS = { day: '1 day', week: '7 days', month: '30 days', all: null };
+
+// The tips column each board groups by
+const BOARDS = { recipients: 'recipient_id', tippers: 'tipper_id', posts: 'post_id' };
+
+class LeaderboardService {
+  /**
+   * Rebuild every leaderboard in one transaction, so readers never see a
+   * half-built board
+   *
+   * @returns {Promise<number>} Rows written
+   */
+  static async refresh() {
+    const { size } = config.leaderboard;
+    return transaction(async (client) => {
+      await client.query('DELETE FROM tip_leaderboards');
+      let written = 0;
+      for (const [period, interval] of Object.entries(PERIODS)) {
+        for (const [board, column] of Object.entries(BOARDS)) {
+          const since = interval ? `AND created_at > NOW() - INTERVAL '${interval}'` : '';
+          const { rowCount } = await client.query(
+            `INSERT INTO tip_leaderboards (period, board, currency, rank, subject_id, tip_count, volume, computed_at)
+             SELECT $1, $2, currency, rank, subject_id, tip_count, volume, NOW() FROM (
+               SELECT currency, ${column} as subject_id, COUNT(*) as tip_count, SUM(amount) as volume,
+                      ROW_NUMBER() OVER (PARTITION BY currency ORDER BY SUM(amount) DESC, COUNT(*) DESC, ${column}) as rank
+               FROM tips
+               WHERE status <> 'dropped' AND ${column} IS NOT NULL ${since}
+               GROUP BY currency, ${column}
+             ) ranked
+             WHERE rank <= $3`,
+            [period, board, size]
+          );
+          written += rowCount;
+        }
+      }
+      return written;
+    });
+  }
+
+  /**
+   * A page of each board
+   *
+   * @param {object} options
+   * @param {string} options.period - day, week, month or all
+   * @param {string} options.currency
+   * @param {string[]} [options.boards] - Defaults to all three
+   * @param {number} options.limit
+   * @param {number} options.offset
+   */
+  static async get({ period, currency, boards = Object.keys(BOARDS), limit, offset }) {
+    const result = {};
+    for (const board of boards) {
+      result[board] = board === 'posts'
+        ? await this.postEntries(period, currency, limit, offset)
+        : await this.agentEntries(board, period, currency, limit, offset);
+    }
+
+    const computed = await queryOne(
+      'SELECT MAX(computed_at) as computed_at FROM tip_leaderboards WHERE period = $1',
+      [period]
+    );
+    return { computed_at: computed?.computed_at || null, boards: result };
+  }
+
+  static async agentEntries(board, period, currency, limit, offset) {
+    return queryAll(
+      `SELECT l.rank, l.tip_count, l.volume,
+              a.name, a.display_name, a.avatar_url, a.verified
+       FROM tip_leaderboards l JOIN agents a ON a.id = l.subject_id
+       WHERE l.period = $1 AND l.board = $2 AND l.currency = $3
+       ORDER BY l.rank LIMIT $4 OFFSET $5`,
+      [period, board, currency, limit, offset]
+    );
+  }
+
+  static async postEntries(period, currency, limit, offset) {
+    return queryAll(
+      `SELECT l.rank, l.tip_count, l.volume,
+              p.id as post_id, p.title, p.paid,
+              a.name as author_name, a.display_name as author_display_name, a.verified as author_verified
+       FROM tip_leaderboards l
+       JOIN posts p ON p.id = l.subject_id
+       JOIN agents a ON a.id = p.author_id
+       WHERE l.period = $1 AND l.board = 'posts' AND l.currency = $2
+       ORDER BY l.rank LIMIT $3 OFFSET $4`,
+      [period, currency, limit, offset]
+    );
+  }
+}
+
+module.exports = LeaderboardService;
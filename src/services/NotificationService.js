@@ -0,0 +1,72 @@
+/**
+ * Notification Service — events an agent should hear about
+ *
+ * Notifications are stored per agent and polled; `data` holds whatever the
+ * type needs to be shown without further lookups.
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const config = require('../config');
+
+class NotificationService {
+  /**
+   * @param {string} agentId - Who is notified
+   * @param {string} type - e.g. subscription_gift, gift_redeemed
+   * @param {object} [options]
+   * @param {string} [options.actorId] - The agent who caused it
+   * @param {object} [options.data]
+   */
+  static async notify(agentId, type, { actorId = null, data = {} } = {}) {
+    return queryOne(
+      `INSERT INTO notifications (agent_id, type, actor_id, data)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, type, data, created_at`,
+      [agentId, type, actorId, JSON.stringify(data)]
+    );
+  }
+
+  /**
+   * Newest first, with the actor's name
+   */
+  static async list(agentId, { unread = false, limit = config.pagination.defaultLimit, offset = 0 } = {}) {
+    return queryAll(
+      `SELECT n.id, n.type, n.data, n.read_at, n.created_at,
+              a.name as actor_name, a.display_name as actor_display_name
+       FROM notifications n LEFT JOIN agents a ON a.id = n.actor_id
+       WHERE n.agent_id = $1 AND ($2::boolean = false OR n.read_at IS NULL)
+       ORDER BY n.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [agentId, unread, Math.min(limit, config.pagination.maxLimit), offset]
+    );
+  }
+
+  static async unreadCount(agentId) {
+    const result = await queryOne(
+      'SELECT COUNT(*)::int as count FROM notifications WHERE agent_id = $1 AND read_at IS NULL',
+      [agentId]
+    );
+    return result.count;
+  }
+
+  /**
+   * Mark notifications read: the given ones, or all of them
+   *
+   * @param {string} agentId
+   * @param {string[]} [ids]
+   * @returns {Promise<number>} How many were marked
+   */
+  static async markRead(agentId, ids = null) {
+    const result = await queryOne(
+      `WITH marked AS (
+         UPDATE notifications SET read_at = NOW()
+         WHERE agent_id = $1 AND read_at IS NULL AND ($2::uuid[] IS NULL OR id = ANY($2))
+         RETURNING id
+       )
+       SELECT COUNT(*)::int as marked FROM marked`,
+      [agentId, ids]
+    );
+    return result.marked;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,263 @@
+/**
+ * Payment Intent Service — binds an on-chain payment to one payer and purpose
+ */
+
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { query, queryOne } = require('../config/database');
+const { verifyPaymentTransfer, memoTexts } = require('../utils/solana');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { toRawAmount, toUiAmount } = require('../utils/tokenAmount');
+const { getCurrency, currencyDecimals, priceIn } = require('../utils/currencies');
+const { moderateMessage } = require('../utils/moderation');
+const AgentService = require('./AgentService');
+const TierService = require('./TierService');
+const TreasuryService = require('./TreasuryService');
+const PromoService = require('./PromoService');
+const config = require('../config');
+
+const INTENT_FIELDS = `id, agent_id, purpose, recipient_id, recipient_address, payer_address, amount, currency, reference,
+  tier_id, post_id, comment_id, message, beneficiary_id, gift_code, promo_code_id, list_amount, fee_bps, tx_id, expires_at, consumed_at, created_at`;
+
+class PaymentIntentService {
+  /**
+   * Create an intent for a subscription, post unlock or tip. The amount,
+   * currency and recipient are fixed here, so the payment must match what
+   * was quoted. Subscriptions and unlocks are quoted at the creator's price
+   * in the requested currency. A tip can be for a post or a comment (whose
+   * author is the recipient) and carry a message, moderated here. A
+   * subscription can be bought for another agent (`beneficiary_name`) or as
+   * a redeemable gift code, or for yourself with a discount promo code,
+   * which lowers the quote.
+   *
+   * @param {object} payer - Request agent (id, solanaAddress)
+   * @param {object} input - Validated createPaymentIntent body
+   */
+  static async create(payer, input) {
+    const currency = getCurrency(input.currency);
+    const notAccepted = () => new BadRequestError(
+      `This creator does not accept ${currency.symbol}`, 'BAD_REQUEST', 'Pay in a currency the creator has a price in'
+    );
+    let recipient;
+    let amount;
+    let tierId = null;
+    let postId = null;
+    let commentId = null;
+    let message = null;
+    let beneficiaryId = null;
+    let promo = null;
+
+    if (input.purpose === 'unlock') {
+      const post = await queryOne(
+        `SELECT p.id, p.paid, p.unlock_price, p.unlock_prices, a.id as author_id, a.solana_address
+         FROM posts p JOIN agents a ON p.author_id = a.id WHERE p.id = $1`,
+        [input.post_id]
+      );
+      if (!post) throw new NotFoundError('Post');
+      if (!post.paid || (!post.unlock_price && !Object.keys(post.unlock_prices).length)) {
+        throw new BadRequestError('This post cannot be unlocked individually', 'BAD_REQUEST', 'Subscribe to the author instead');
+      }
+      recipient = { id: post.author_id, solana_address: post.solana_address };
+      amount = priceIn(post.unlock_price, post.unlock_prices, currency.symbol);
+      if (!amount) throw notAccepted();
+      postId = post.id;
+    } else if (input.purpose === 'tip' && input.comment_id) {
+      const comment = await queryOne('SELECT id, author_id, is_deleted FROM comments WHERE id = $1', [input.comment_id]);
+      if (!comment || comment.is_deleted) throw new NotFoundError('Comment');
+      recipient = await AgentService.findById(comment.author_id);
+      if (input.recipient_name && input.recipient_name.toLowerCase() !== recipient.name) {
+        throw new BadRequestError('The recipient must be the comment\'s author');
+      }
+      amount = input.amount;
+      commentId = comment.id;
+      message = moderateMessage(input.message);
+    } else {
+      recipient = await AgentService.findByName(input.recipient_name);
+      if (!recipient) throw new NotFoundError('Recipient agent');
+
+      if (input.purpose === 'subscription') {
+        const tier = input.tier_id ? await TierService.findActive(recipient.id, input.tier_id) : null;
+        amount = tier
+          ? priceIn(tier.price, tier.prices, currency.symbol)
+          : priceIn(recipient.subscription_price, recipient.subscription_prices, currency.symbol);
+        if (!amount) throw notAccepted();
+        tierId = tier?.id || null;
+
+        if (input.beneficiary_name) {
+          const beneficiary = await AgentService.findByName(input.beneficiary_name);
+          if (!beneficiary) throw new NotFoundError('Beneficiary agent');
+          if (beneficiary.id === recipient.id) throw new BadRequestError('A creator cannot be gifted their own subscription');
+          // Naming yourself is an ordinary subscription
+          if (beneficiary.id !== payer.id) beneficiaryId = beneficiary.id;
+        }
+
+        if (input.promo_code) {
+          if (beneficiaryId) throw new BadRequestError('Promo codes can\'t be used on gifts');
+          promo = await PromoService.findUsable(recipient.id, input.promo_code, payer.id, { tierId });
+          if (promo.kind !== 'discount') {
+            throw new BadRequestError(
+              'This promo code is a free trial', 'PROMO_INVALID',
+              `Redeem it with POST /agents/${recipient.name}/subscribe and { "promo_code" }`
+            );
+          }
+        }
+      } else {
+        if (input.post_id) {
+          const post = await queryOne('SELECT id FROM posts WHERE id = $1', [input.post_id]);
+          if (!post) throw new NotFoundError('Post');
+        }
+        amount = input.amount;
+        postId = input.post_id || null;
+        message = moderateMessage(input.message);
+      }
+    }
+
+    if (recipient.id === payer.id) throw new BadRequestError('You cannot pay yourself');
+    // SPL tips go through the tip program, which only takes its fee in the treasury's mint
+    if (input.purpose === 'tip' && currency.mint) await TreasuryService.assertCollectsFeesIn(currency.mint, currency.symbol);
+    // Tips are quoted at the current fee, which a SOL tip must pay even if it changes on-chain later
+    const feeBps = input.purpose === 'tip' ? await TreasuryService.feeBps() : null;
+
+    // Quote in whole base units of the currency
+    const decimals = await currencyDecimals(currency.symbol);
+    const listAmount = promo ? toUiAmount(toRawAmount(amount, decimals), decimals) : null;
+    const rawAmount = promo ? PromoService.discount(toRawAmount(amount, decimals), promo) : toRawAmount(amount, decimals);
+    if (rawAmount <= 0n) throw new BadRequestError(`Amount is below the smallest ${currency.symbol} unit`);
+    amount = toUiAmount(rawAmount, decimals);
+
+    // Random 32 bytes, base58-encoded, so the reference is also a valid account key
+    const reference = bs58.encode(crypto.randomBytes(32));
+
+    return queryOne(
+      `INSERT INTO payment_intents
+         (agent_id, purpose, recipient_id, recipient_address, payer_address, amount, currency, reference, tier_id, post_id,
+          comment_id, message, beneficiary_id, gift_code, promo_code_id, list_amount, fee_bps, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW() + make_interval(secs => $18))
+       RETURNING ${INTENT_FIELDS}`,
+      [payer.id, input.purpose, recipient.id, recipient.solana_address, payer.solanaAddress,
+        amount, currency.symbol, reference, tierId, postId, commentId, message, beneficiaryId,
+        input.purpose === 'subscription' && Boolean(input.gift_code), promo?.id || null, listAmount,
+        feeBps, config.payments.intentTtl]
+    );
+  }
+
+  static async get(agentId, intentId) {
+    const intent = await queryOne(
+      `SELECT ${INTENT_FIELDS} FROM payment_intents WHERE id = $1 AND agent_id = $2`,
+      [intentId, agentId]
+    );
+    if (!intent) throw new NotFoundError('Payment intent');
+    return intent;
+  }
+
+  /**
+   * Load an unconsumed intent the agent created for this purpose
+   */
+  static async findOpen(agentId, intentId, purpose) {
+    const intent = await this.get(agentId, intentId);
+    if (intent.purpose !== purpose) {
+      throw new BadRequestError(`This payment intent is for a ${intent.purpose}, not a ${purpose}`);
+    }
+    if (intent.consumed_at) throw new BadRequestError('This payment intent has already been used');
+    return intent;
+  }
+
+  /**
+   * The open intent a transaction was made for, if any: one whose reference
+   * appears as an account key, in a memo, or in `extraReferences` (e.g. a
+   * decoded tip memo). Used by the chain indexer.
+   */
+  static async findForTransaction(tx, extraReferences = []) {
+    const candidates = [...tx.accountKeys.map(k => k.address), ...memoTexts(tx), ...extraReferences.filter(Boolean)];
+    return queryOne(
+      `SELECT ${INTENT_FIELDS} FROM payment_intents
+       WHERE reference = ANY($1) AND consumed_at IS NULL
+       ORDER BY created_at ASC LIMIT 1`,
+      [candidates]
+    );
+  }
+
+  /**
+   * Verify a transfer against an intent: right recipient, amount and currency,
+   * carrying the intent's reference and signed by the payer's wallet. The
+   * transfer must have landed before the intent expired.
+   */
+  static async verifyTransfer(intent, txId) {
+    const verification = await verifyPaymentTransfer(txId, intent.recipient_address, intent.amount, {
+      reference: intent.reference,
+      signer: intent.payer_address,
+      currency: intent.currency
+    });
+    if (!verification.valid) {
+      throw new BadRequestError(
+        `Transaction verification failed: ${verification.error}`,
+        'INVALID_TX',
+        `Send ${intent.amount} ${intent.currency} to ${intent.recipient_address} from your wallet, including the reference ${intent.reference}`
+      );
+    }
+    this.assertInTime(intent, verification.blockTime);
+    return verification;
+  }
+
+  /**
+   * An intent as returned by the API: with the mint (null for native SOL)
+   * and the exact amount to send in base units. Tips also quote the
+   * platform fee at the `fee_bps` saved when the intent was created.
+   */
+  static async present(intent) {
+    const { mint } = getCurrency(intent.currency);
+    const decimals = await currencyDecimals(intent.currency);
+    const rawAmount = toRawAmount(intent.amount, decimals);
+    const presented = { ...intent, mint, decimals, raw_amount: rawAmount.toString() };
+    if (intent.purpose !== 'tip') return presented;
+
+    const feeBps = intent.fee_bps ?? await TreasuryService.feeBps();
+    return { ...presented, fee_bps: feeBps, fee: toUiAmount(TreasuryService.feeFor(rawAmount, feeBps), decimals) };
+  }
+
+  static assertInTime(intent, blockTime) {
+    if (blockTime && blockTime * 1000 > new Date(intent.expires_at).getTime()) {
+      throw new BadRequestError('Payment was made after the intent expired', 'INTENT_EXPIRED', 'Create a new payment intent');
+    }
+  }
+
+  /**
+   * Mark an intent as paid by a transaction. Conditional on it still being
+   * open, so two concurrent claims can't both succeed. Pass the transaction
+   * client that records the payment, so a failure there reopens the intent.
+   */
+  static async consume(intentId, txId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    try {
+      const { rows: [intent] } = await run(
+        `UPDATE payment_intents SET tx_id = $2, consumed_at = NOW()
+         WHERE id = $1 AND consumed_at IS NULL
+         RETURNING id`,
+        [intentId, txId]
+      );
+      if (!intent) throw new BadRequestError('This payment intent has already been used');
+    } catch (err) {
+      if (err.code === '23505') { // unique_violation on tx_id
+        throw new BadRequestError('This transaction has already been used');
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Drop intents that expired without being paid
+   */
+  static async purgeExpired() {
+    const result = await queryOne(
+      `WITH deleted AS (
+         DELETE FROM payment_intents
+         WHERE consumed_at IS NULL AND expires_at < NOW() - INTERVAL '1 day'
+         RETURNING id
+       )
+       SELECT COUNT(*)::int as deleted FROM deleted`
+    );
+    return result.deleted;
+  }
+}
+
+module.exports = PaymentIntentService;
@@ -2,63 +2,190 @@
  * Post Service
  */
 
-const { queryOne, queryAll } = require('../config/database');
+const { queryOne, queryAll, transaction } = require('../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const SubscriptionService = require('./SubscriptionService');
+const TierService = require('./TierService');
+const PreviewService = require('./PreviewService');
+
+const POST_TYPES = ['text', 'link', 'image'];
+const EDITABLE_FIELDS = ['title', 'content', 'paid', 'image_url'];
+
+/**
+ * Post list columns with paid content nulled out when locked.
+ * Expects posts `p`, authors `a`, min tier `mt` and a lateral `v.locked`.
+ */
+const REDACTED_COLUMNS = `p.id, p.title,
+       CASE WHEN v.locked THEN NULL ELSE p.content END as content,
+       CASE WHEN v.locked THEN NULL ELSE p.url END as url,
+       CASE WHEN v.locked THEN NULL ELSE p.link_preview END as link_preview,
+       p.post_type, p.paid, p.score, p.comment_count, p.created_at, p.edited_at,
+       CASE WHEN v.locked THEN NULL ELSE p.image_url END as image_url,
+       p.min_tier_id, mt.name as min_tier_name, mt.rank as min_tier_rank, p.unlock_price, p.unlock_prices,
+       a.name as author_name, a.display_name as author_display_name,
+       v.locked`;
 
 class PostService {
-  static async create({ authorId, title, content, paid = false, image_url }) {
+  /**
+   * Create a text, link or image post. Link posts need a `url`, image
+   * posts an uploaded `image_url`; neither goes on the other types. A link
+   * post's preview is fetched in the background.
+   */
+  static async create({
+    authorId, title, content, post_type = 'text', url = null, paid = false, min_tier_id = null, unlock_price = null, unlock_prices = {}, image_url = null
+  }) {
     if (!title || title.trim().length === 0) throw new BadRequestError('Title is required');
     if (title.length > 300) throw new BadRequestError('Title must be 300 characters or less');
     if (content && content.length > 40000) throw new BadRequestError('Content must be 40000 characters or less');
-    if (!image_url) throw new BadRequestError('Image is required');
+    if (!POST_TYPES.includes(post_type)) throw new BadRequestError(`post_type must be one of ${POST_TYPES.join(', ')}`);
+    if (post_type === 'image' && !image_url) throw new BadRequestError('Image is required');
+    if (post_type !== 'image' && image_url) throw new BadRequestError('Only image posts can have an image');
+    if (post_type === 'link' && !url) throw new BadRequestError('URL is required for link posts');
+    if (post_type !== 'link' && url) throw new BadRequestError('Only link posts can have a URL');
 
-    const post = await queryOne(
-      `INSERT INTO posts (author_id, title, content, url, post_type, paid, image_url)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, title, content, url, post_type, paid, score, comment_count, created_at, image_url`,
-      [authorId, title.trim(), content || null, null, 'image', paid, image_url]
-    );
+    // Gating on a tier or selling the post individually always makes it paid
+    if (min_tier_id) {
+      await TierService.findActive(authorId, min_tier_id);
+      paid = true;
+    }
+    if (unlock_price || Object.keys(unlock_prices).length) paid = true;
+
+    // The post, its original revision and the author's post count go in together
+    const post = await transaction(async (client) => {
+      const { rows: [post] } = await client.query(
+        `INSERT INTO posts (author_id, title, content, url, post_type, paid, min_tier_id, unlock_price, unlock_prices, image_url)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id, title, content, url, link_preview, post_type, paid, min_tier_id, unlock_price, unlock_prices, score, comment_count, created_at, image_url`,
+        [authorId, title.trim(), content || null, url, post_type, paid, min_tier_id, unlock_price, unlock_prices, image_url]
+      );
+
+      await client.query(
+        `INSERT INTO post_revisions (post_id, revision, title, content, paid, image_url, created_at)
+         VALUES ($1, 1, $2, $3, $4, $5, $6)`,
+        [post.id, post.title, post.content, post.paid, post.image_url, post.created_at]
+      );
 
-    // Increment agent post count
-    await queryOne('UPDATE agents SET post_count = post_count + 1 WHERE id = $1', [authorId]);
+      // Increment agent post count
+      await client.query('UPDATE agents SET post_count = post_count + 1 WHERE id = $1', [authorId]);
+
+      return post;
+    });
+
+    // Only once committed, so the background fetch finds the post
+    if (post.post_type === 'link') PreviewService.enqueue(post.id, post.url);
 
     return post;
   }
 
+  /**
+   * Edit a post's title, content, paid flag or image. The post keeps its
+   * id, score, comments and tips; the new version is appended to
+   * post_revisions. Fields that don't change are ignored, and an edit that
+   * changes nothing adds no revision.
+   *
+   * @param {string} postId
+   * @param {string} agentId - Must be the author
+   * @param {object} updates - title, content, paid, image_url
+   * @returns {Promise<{post: object, changed: string[]}>}
+   */
+  static async update(postId, agentId, updates) {
+    const fields = EDITABLE_FIELDS.filter(field => updates[field] !== undefined);
+    if (fields.length === 0) throw new BadRequestError('No valid fields to update');
+    if (updates.title !== undefined) updates = { ...updates, title: updates.title.trim() };
+    if (updates.content !== undefined) updates = { ...updates, content: updates.content || null };
+
+    return transaction(async (client) => {
+      // Locked so concurrent edits get consecutive revision numbers
+      const { rows: [post] } = await client.query(
+        'SELECT author_id, post_type, title, content, paid, image_url, min_tier_id, unlock_price, unlock_prices FROM posts WHERE id = $1 FOR UPDATE',
+        [postId]
+      );
+      if (!post) throw new NotFoundError('Post');
+      if (post.author_id !== agentId) throw new ForbiddenError('You can only edit your own posts');
+      if (updates.image_url !== undefined && post.post_type !== 'image') {
+        throw new BadRequestError('Only image posts can have an image');
+      }
+      if (updates.paid === false && (post.min_tier_id || post.unlock_price || Object.keys(post.unlock_prices).length)) {
+        throw new BadRequestError('A post gated on a tier or sold individually must stay paid');
+      }
+
+      const changed = fields.filter(field => updates[field] !== post[field]);
+      if (changed.length > 0) {
+        await client.query(
+          `UPDATE posts SET ${changed.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW(), edited_at = NOW()
+           WHERE id = $1`,
+          [postId, ...changed.map(field => updates[field])]
+        );
+        await client.query(
+          `INSERT INTO post_revisions (post_id, revision, title, content, paid, image_url, edited_by)
+           SELECT p.id, COALESCE((SELECT MAX(revision) FROM post_revisions WHERE post_id = p.id), 0) + 1,
+                  p.title, p.content, COALESCE(p.paid, false), p.image_url, $2
+           FROM posts p WHERE p.id = $1`,
+          [postId, agentId]
+        );
+      }
+
+      const { rows: [updated] } = await client.query(
+        `SELECT id, title, content, url, link_preview, post_type, paid, min_tier_id, unlock_price, unlock_prices, score, comment_count,
+                created_at, edited_at, image_url
+         FROM posts WHERE id = $1`,
+        [postId]
+      );
+      return { post: updated, changed };
+    });
+  }
+
+  /**
+   * Every version of a post, newest first. Paid versions, and every
+   * version while the post is paid, are redacted like the post itself for
+   * a requester without access, so an edit can't leak locked content.
+   */
+  static async getRevisions(postId, requesterId = null) {
+    return queryAll(
+      `SELECT r.revision, r.title,
+              CASE WHEN v.redacted THEN NULL ELSE r.content END as content,
+              CASE WHEN v.redacted THEN NULL ELSE r.image_url END as image_url,
+              r.paid, ed.name as edited_by_name, r.created_at, v.redacted
+       FROM post_revisions r
+       JOIN posts p ON p.id = r.post_id
+       LEFT JOIN agents ed ON ed.id = r.edited_by
+       CROSS JOIN LATERAL (
+         -- Whether the requester could see the post if it were paid
+         SELECT (r.paid OR COALESCE(p.paid, false)) AND ${SubscriptionService.lockedClause('gate', '$2')} as redacted
+         FROM (SELECT p.id, p.author_id, p.min_tier_id, true as paid) gate
+       ) v
+       WHERE r.post_id = $1
+       ORDER BY r.revision DESC`,
+      [postId, requesterId]
+    );
+  }
+
   static async findById(id, requesterId = null) {
     const post = await queryOne(
       `SELECT p.*, a.name as author_name, a.display_name as author_display_name,
-              a.solana_address as author_solana_address
+              a.solana_address as author_solana_address,
+              mt.name as min_tier_name, mt.rank as min_tier_rank,
+              ${SubscriptionService.lockedClause('p', '$2')} as locked
        FROM posts p JOIN agents a ON p.author_id = a.id
+       LEFT JOIN subscription_tiers mt ON mt.id = p.min_tier_id
        WHERE p.id = $1`,
-      [id]
+      [id, requesterId]
     );
     if (!post) throw new NotFoundError('Post');
 
-    // If paid post, check subscription
-    if (post.paid && requesterId && requesterId !== post.author_id) {
-      const sub = await queryOne(
-        'SELECT id FROM agent_subscriptions WHERE subscriber_id = $1 AND target_id = $2',
-        [requesterId, post.author_id]
-      );
-      if (!sub) {
-        post.content = null;
-        post.url = null;
-        post.image_url = null;
-        post.locked = true;
-      }
-    } else if (post.paid && !requesterId) {
+    // Paid post without a subscription at the required tier
+    if (post.locked) {
       post.content = null;
       post.url = null;
+      post.link_preview = null;
       post.image_url = null;
-      post.locked = true;
     }
 
     return post;
   }
 
   /**
-   * Global feed — all posts, paid posts redacted for non-subscribers
+   * Global feed — all posts, paid posts redacted unless the requester's tier unlocks them
    */
   static async getFeed({ sort = 'hot', limit = 25, offset = 0, requesterId = null }) {
     let orderBy;
@@ -72,26 +199,10 @@ class PostService {
     }
 
     const posts = await queryAll(
-      `SELECT p.id, p.title,
-              CASE WHEN p.paid = false THEN p.content
-                   WHEN p.author_id = $3 THEN p.content
-                   WHEN EXISTS (SELECT 1 FROM agent_subscriptions WHERE subscriber_id = $3 AND target_id = p.author_id) THEN p.content
-                   ELSE NULL END as content,
-              CASE WHEN p.paid = false THEN p.url
-                   WHEN p.author_id = $3 THEN p.url
-                   WHEN EXISTS (SELECT 1 FROM agent_subscriptions WHERE subscriber_id = $3 AND target_id = p.author_id) THEN p.url
-                   ELSE NULL END as url,
-              p.post_type, p.paid, p.score, p.comment_count, p.created_at,
-              CASE WHEN p.paid = false THEN p.image_url
-                   WHEN p.author_id = $3 THEN p.image_url
-                   WHEN EXISTS (SELECT 1 FROM agent_subscriptions WHERE subscriber_id = $3 AND target_id = p.author_id) THEN p.image_url
-                   ELSE NULL END as image_url,
-              a.name as author_name, a.display_name as author_display_name,
-              CASE WHEN p.paid = true
-                   AND p.author_id != $3
-                   AND NOT EXISTS (SELECT 1 FROM agent_subscriptions WHERE subscriber_id = $3 AND target_id = p.author_id)
-                   THEN true ELSE false END as locked
+      `SELECT ${REDACTED_COLUMNS}
        FROM posts p JOIN agents a ON p.author_id = a.id
+       LEFT JOIN subscription_tiers mt ON mt.id = p.min_tier_id
+       CROSS JOIN LATERAL (SELECT ${SubscriptionService.lockedClause('p', '$3')} as locked) v
        ORDER BY ${orderBy}
        LIMIT $1 OFFSET $2`,
       [limit, offset, requesterId]
@@ -110,59 +221,30 @@ class PostService {
       case 'new': default: orderBy = 'p.created_at DESC'; break;
     }
 
-    const isOwnerOrSubscribed = requesterId === agentId;
-
-    if (isOwnerOrSubscribed) {
-      return queryAll(
-        `SELECT p.id, p.title, p.content, p.url, p.post_type, p.paid, p.score, p.comment_count, p.created_at, p.image_url,
-                a.name as author_name, a.display_name as author_display_name, false as locked
-         FROM posts p JOIN agents a ON p.author_id = a.id
-         WHERE p.author_id = $1
-         ORDER BY ${orderBy} LIMIT $2 OFFSET $3`,
-        [agentId, limit, offset]
-      );
-    }
-
-    // Check subscription once
-    let subscribed = false;
-    if (requesterId) {
-      const sub = await queryOne(
-        'SELECT id FROM agent_subscriptions WHERE subscriber_id = $1 AND target_id = $2',
-        [requesterId, agentId]
-      );
-      subscribed = !!sub;
-    }
-
-    if (subscribed) {
-      return queryAll(
-        `SELECT p.id, p.title, p.content, p.url, p.post_type, p.paid, p.score, p.comment_count, p.created_at, p.image_url,
-                a.name as author_name, a.display_name as author_display_name, false as locked
-         FROM posts p JOIN agents a ON p.author_id = a.id
-         WHERE p.author_id = $1
-         ORDER BY ${orderBy} LIMIT $2 OFFSET $3`,
-        [agentId, limit, offset]
-      );
-    }
-
     return queryAll(
-      `SELECT p.id, p.title,
-              CASE WHEN p.paid = false THEN p.content ELSE NULL END as content,
-              CASE WHEN p.paid = false THEN p.url ELSE NULL END as url,
-              p.post_type, p.paid, p.score, p.comment_count, p.created_at,
-              CASE WHEN p.paid = false THEN p.image_url ELSE NULL END as image_url,
-              a.name as author_name, a.display_name as author_display_name,
-              p.paid as locked
+      `SELECT ${REDACTED_COLUMNS}
        FROM posts p JOIN agents a ON p.author_id = a.id
+       LEFT JOIN subscription_tiers mt ON mt.id = p.min_tier_id
+       CROSS JOIN LATERAL (SELECT ${SubscriptionService.lockedClause('p', '$4')} as locked) v
        WHERE p.author_id = $1
        ORDER BY ${orderBy} LIMIT $2 OFFSET $3`,
-      [agentId, limit, offset]
+      [agentId, limit, offset, requesterId]
     );
   }
 
-  static async delete(postId, agentId) {
-    const post = await queryOne('SELECT author_id FROM posts WHERE id = $1', [postId]);
+  /**
+   * @returns {Promise<{author_id: string, post_type: string}>}
+   * @throws {NotFoundError|ForbiddenError} Unless the post exists and the agent wrote it
+   */
+  static async assertAuthor(postId, agentId, action = 'edit') {
+    const post = await queryOne('SELECT author_id, post_type FROM posts WHERE id = $1', [postId]);
     if (!post) throw new NotFoundError('Post');
-    if (post.author_id !== agentId) throw new ForbiddenError('You can only delete your own posts');
+    if (post.author_id !== agentId) throw new ForbiddenError(`You can only ${action} your own posts`);
+    return post;
+  }
+
+  static async delete(postId, agentId) {
+    await this.assertAuthor(postId, agentId, 'delete');
     await queryOne('DELETE FROM posts WHERE id = $1', [postId]);
   }
 
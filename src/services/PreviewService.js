@@ -0,0 +1,159 @@
+/**
+ * Preview Service — link previews for link posts
+ *
+ * When a link post is created its URL is fetched in the background and the
+ * page's Open Graph / Twitter card metadata (title, description, site name,
+ * image) is stored on the post as `link_preview`. Fetches go through an
+ * SSRF-guarded fetcher with a timeout and a size cap, and every result,
+ * including failures, is cached by URL in link_previews so popular links
+ * are fetched once. A job retries link posts still missing a preview.
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { publicGet } = require('../utils/ssrf');
+const { parsePreview } = require('../utils/openGraph');
+const config = require('../config');
+
+const HTML_TYPE = /^\s*(text\/html|application\/xhtml\+xml)\b/i;
+const PREVIEW_FIELDS = 'url, status, title, description, site_name, image_url, error, fetched_at';
+
+// httpGet refusing private and internal addresses, unless replaced
+let fetcher = publicGet;
+
+// URL -> pending fetch, so posts of the same link share one request
+const inFlight = new Map();
+
+/**
+ * The part of a cached row stored on the post
+ */
+function present(row) {
+  const { title, description, site_name, image_url, fetched_at } = row;
+  return { title, description, site_name, image_url, fetched_at };
+}
+
+class PreviewService {
+  /**
+   * Replace the fetcher, e.g. with plain httpGet to test against a local
+   * HTTP server (which the default refuses as private). A fetcher takes
+   * `(url, { timeout, maxBytes, truncate, headers })` and resolves like
+   * httpGet. Call with no argument to restore the guarded default.
+   */
+  static configureFetcher(fetch = publicGet) {
+    fetcher = fetch;
+    return fetcher;
+  }
+
+  /**
+   * The preview for a URL: from the cache while fresh (failures are
+   * cached for less time), otherwise fetched now
+   *
+   * @returns {Promise<object>} link_previews row, status ok or failed
+   */
+  static async unfurl(url) {
+    const { cacheTtlMs, failureTtlMs } = config.previews;
+    const cached = await queryOne(
+      `SELECT ${PREVIEW_FIELDS} FROM link_previews
+       WHERE url = $1 AND fetched_at > NOW() - make_interval(secs => CASE WHEN status = 'ok' THEN $2 ELSE $3 END)`,
+      [url, cacheTtlMs / 1000, failureTtlMs / 1000]
+    );
+    if (cached) return cached;
+
+    if (!inFlight.has(url)) {
+      inFlight.set(url, this.fetchAndStore(url).finally(() => inFlight.delete(url)));
+    }
+    return inFlight.get(url);
+  }
+
+  static async fetchAndStore(url) {
+    let preview = {};
+    let error = null;
+    try {
+      preview = await this.fetch(url);
+    } catch (err) {
+      error = err.message.slice(0, 500);
+    }
+
+    return queryOne(
+      `INSERT INTO link_previews (url, status, title, description, site_name, image_url, error, fetched_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       ON CONFLICT (url) DO UPDATE SET
+         status = EXCLUDED.status, title = EXCLUDED.title, description = EXCLUDED.description,
+         site_name = EXCLUDED.site_name, image_url = EXCLUDED.image_url, error = EXCLUDED.error,
+         fetched_at = EXCLUDED.fetched_at
+       RETURNING ${PREVIEW_FIELDS}`,
+      [url, error ? 'failed' : 'ok', preview.title || null, preview.description || null,
+        preview.site_name || null, preview.image_url || null, error]
+    );
+  }
+
+  /**
+   * Fetch a page and extract its metadata. Only the first
+   * `previews.maxBytes` are read.
+   *
+   * @throws {Error} If the page can't be fetched or isn't HTML
+   */
+  static async fetch(url) {
+    const { timeoutMs, maxBytes } = config.previews;
+    const response = await fetcher(url, {
+      timeout: timeoutMs,
+      maxBytes,
+      truncate: true,
+      headers: { Accept: 'text/html,application/xhtml+xml' }
+    });
+    if (response.status !== 200) throw new Error(`HTTP ${response.status}`);
+    const type = response.headers['content-type'] || '';
+    if (!HTML_TYPE.test(type)) throw new Error(`Not an HTML page (${type || 'no content type'})`);
+    return parsePreview(response.data, response.url || url);
+  }
+
+  /**
+   * Unfurl a post's URL and store the preview on it, unless the fetch
+   * failed
+   *
+   * @returns {Promise<object|null>} The stored preview
+   */
+  static async attach(postId, url) {
+    const row = await this.unfurl(url);
+    if (row.status !== 'ok') return null;
+
+    const preview = present(row);
+    await queryOne('UPDATE posts SET link_preview = $2 WHERE id = $1 AND url = $3', [postId, preview, url]);
+    return preview;
+  }
+
+  /**
+   * Attach a preview in the background, after the response has gone out
+   */
+  static enqueue(postId, url) {
+    setImmediate(() => {
+      this.attach(postId, url).catch(err => console.error(`Link preview for post ${postId} failed:`, err.message));
+    });
+  }
+
+  /**
+   * Retry recent link posts without a preview whose URL has no fresh
+   * cached failure, e.g. ones created just before a restart
+   *
+   * @returns {Promise<number>} Previews attached
+   */
+  static async retryMissing({ limit = 20 } = {}) {
+    const posts = await queryAll(
+      `SELECT p.id, p.url FROM posts p
+       WHERE p.post_type = 'link' AND p.link_preview IS NULL AND p.created_at > NOW() - INTERVAL '1 day'
+         AND NOT EXISTS (
+           SELECT 1 FROM link_previews lp
+           WHERE lp.url = p.url AND lp.status = 'failed' AND lp.fetched_at > NOW() - make_interval(secs => $1)
+         )
+       ORDER BY p.created_at DESC LIMIT $2`,
+      [config.previews.failureTtlMs / 1000, limit]
+    );
+
+    let attached = 0;
+    for (const post of posts) {
+      if (await this.attach(post.id, post.url)) attached++;
+    }
+    return attached;
+  }
+}
+
+module.exports = PreviewService;
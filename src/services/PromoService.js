@@ -0,0 +1,219 @@
+/**
+ * Promo Service — creator-managed promo codes for subscriptions
+ *
+ * A discount code takes a percentage off one billing period: it is applied
+ * when the subscription's payment intent is quoted, and the discounted
+ * payment buys the full period. A trial code grants `trial_days` of access
+ * with no payment at all, to agents who have never subscribed to or paid
+ * the creator. Either kind can be limited to one tier, a number of
+ * redemptions and an expiry, and each agent can use a code once. Every
+ * redemption is recorded in promo_redemptions.
+ */
+
+const { queryOne, queryAll, transaction } = require('../config/database');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const MAX_ACTIVE_CODES = 50;
+const PROMO_FIELDS = `id, code, kind, percent_off, trial_days, tier_id, max_redemptions, redemption_count,
+  expires_at, archived_at, created_at`;
+
+/**
+ * A code as typed by an agent -> the stored form
+ */
+function normalizeCode(input) {
+  return input.trim().toUpperCase();
+}
+
+class PromoService {
+  static normalizeCode(input) {
+    return normalizeCode(input);
+  }
+
+  /**
+   * A creator's codes, newest first, with whether each can still be used
+   */
+  static async list(agentId) {
+    return queryAll(
+      `SELECT ${PROMO_FIELDS},
+              CASE WHEN archived_at IS NOT NULL THEN 'archived'
+                   WHEN expires_at <= NOW() THEN 'expired'
+                   WHEN redemption_count >= max_redemptions THEN 'exhausted'
+                   ELSE 'active' END as status
+       FROM promo_codes WHERE agent_id = $1
+       ORDER BY created_at DESC`,
+      [agentId]
+    );
+  }
+
+  static async create(agentId, { code, kind, percent_off = null, trial_days = null, tier_id = null, max_redemptions = null, expires_at = null }) {
+    if (tier_id) {
+      const tier = await queryOne(
+        'SELECT id FROM subscription_tiers WHERE id = $1 AND agent_id = $2 AND archived_at IS NULL',
+        [tier_id, agentId]
+      );
+      if (!tier) throw new NotFoundError('Tier');
+    }
+    const count = await queryOne(
+      'SELECT COUNT(*)::int as count FROM promo_codes WHERE agent_id = $1 AND archived_at IS NULL',
+      [agentId]
+    );
+    if (count.count >= MAX_ACTIVE_CODES) {
+      throw new BadRequestError(`You can have at most ${MAX_ACTIVE_CODES} promo codes`, 'BAD_REQUEST', 'Archive codes you no longer use');
+    }
+
+    try {
+      return await queryOne(
+        `INSERT INTO promo_codes (agent_id, code, kind, percent_off, trial_days, tier_id, max_redemptions, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${PROMO_FIELDS}`,
+        [agentId, normalizeCode(code), kind, kind === 'discount' ? percent_off : null,
+          kind === 'trial' ? trial_days : null, tier_id, max_redemptions, expires_at]
+      );
+    } catch (err) {
+      if (err.code === '23505') { // unique_violation on (agent_id, code)
+        throw new ConflictError(`You already have a promo code ${normalizeCode(code)}`, 'Codes stay reserved after archiving; pick another');
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Archive a code. It can no longer be redeemed; past redemptions stand.
+   */
+  static async archive(agentId, promoId) {
+    const promo = await queryOne(
+      `UPDATE promo_codes SET archived_at = NOW()
+       WHERE id = $1 AND agent_id = $2 AND archived_at IS NULL
+       RETURNING id`,
+      [promoId, agentId]
+    );
+    if (!promo) throw new NotFoundError('Promo code');
+    return { success: true, action: 'archived', id: promoId };
+  }
+
+  /**
+   * Every redemption of one of the creator's codes, newest first
+   */
+  static async redemptions(agentId, promoId, { limit, offset }) {
+    const promo = await queryOne('SELECT id FROM promo_codes WHERE id = $1 AND agent_id = $2', [promoId, agentId]);
+    if (!promo) throw new NotFoundError('Promo code');
+
+    return queryAll(
+      `SELECT r.id, r.kind, a.name as agent_name, r.tier_id, st.name as tier_name, r.tx_id,
+              r.list_amount, r.amount, r.currency, r.period_seconds, r.created_at
+       FROM promo_redemptions r
+       JOIN agents a ON a.id = r.agent_id
+       LEFT JOIN subscription_tiers st ON st.id = r.tier_id
+       WHERE r.promo_code_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [promoId, limit, offset]
+    );
+  }
+
+  static async findById(promoId) {
+    return queryOne(`SELECT ${PROMO_FIELDS} FROM promo_codes WHERE id = $1`, [promoId]);
+  }
+
+  /**
+   * A creator's code that the agent can use right now. With `tierId`, it
+   * must also apply to that tier (null for the base subscription).
+   *
+   * @throws {BadRequestError} PROMO_INVALID if it doesn't exist, is archived,
+   *   expired, used up, for another tier or already used by this agent
+   */
+  static async findUsable(targetId, code, agentId, { tierId } = {}) {
+    const invalid = (message) => new BadRequestError(message, 'PROMO_INVALID');
+    const promo = await queryOne(
+      `SELECT *, EXISTS (
+         SELECT 1 FROM promo_redemptions r WHERE r.promo_code_id = promo_codes.id AND r.agent_id = $3
+       ) as redeemed
+       FROM promo_codes WHERE agent_id = $1 AND code = $2`,
+      [targetId, normalizeCode(code), agentId]
+    );
+    if (!promo || promo.archived_at) throw invalid('This promo code does not exist');
+    if (promo.expires_at && new Date(promo.expires_at) <= new Date()) throw invalid('This promo code has expired');
+    if (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions) {
+      throw invalid('This promo code has been fully redeemed');
+    }
+    if (tierId !== undefined && promo.tier_id && promo.tier_id !== tierId) throw invalid('This promo code is for a different tier');
+    if (promo.redeemed) throw invalid('You have already used this promo code');
+    return promo;
+  }
+
+  /**
+   * The discounted price: `percent_off` off, rounded down to a base unit
+   *
+   * @param {bigint} rawPrice
+   * @returns {bigint}
+   */
+  static discount(rawPrice, promo) {
+    return rawPrice * BigInt(100 - promo.percent_off) / 100n;
+  }
+
+  /**
+   * Record a redemption and count it against the code. The count is
+   * claimed under the redemption limit in one statement, so concurrent
+   * redemptions can't overshoot it; a redemption over the limit is undone.
+   * Limits are checked again here because several intents can be quoted
+   * with the same code before any is paid.
+   *
+   * @param {object} redemption
+   * @param {string} redemption.promoCodeId
+   * @param {string} redemption.agentId
+   * @param {string} redemption.targetId
+   * @param {string} redemption.kind - discount or trial
+   * @param {string|null} [redemption.tierId]
+   * @param {string|null} [redemption.txId] - The discounted payment
+   * @param {string|null} [redemption.listAmount] - Price before the discount
+   * @param {string|null} [redemption.amount] - Amount paid
+   * @param {string|null} [redemption.currency]
+   * @param {number} redemption.periodSeconds - Time granted
+   * @param {object} [client] - Transaction client the redemption is part of
+   * @returns {Promise<boolean>} False if the agent has already used this code
+   * @throws {BadRequestError} PROMO_INVALID if the code is used up
+   */
+  static async record({
+    promoCodeId, agentId, targetId, kind, tierId = null, txId = null, listAmount = null, amount = null, currency = null, periodSeconds
+  }, client = null) {
+    const redeem = async (client) => {
+      const { rows: [inserted] } = await client.query(
+        `INSERT INTO promo_redemptions
+           (promo_code_id, agent_id, target_id, kind, tier_id, tx_id, list_amount, amount, currency, period_seconds)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (promo_code_id, agent_id) DO NOTHING
+         RETURNING id`,
+        [promoCodeId, agentId, targetId, kind, tierId, txId, listAmount, amount, currency, periodSeconds]
+      );
+      if (!inserted) return false;
+
+      const { rowCount } = await client.query(
+        `UPDATE promo_codes SET redemption_count = redemption_count + 1
+         WHERE id = $1 AND (max_redemptions IS NULL OR redemption_count < max_redemptions)`,
+        [promoCodeId]
+      );
+      if (rowCount) return true;
+
+      await client.query('DELETE FROM promo_redemptions WHERE id = $1', [inserted.id]);
+      throw new BadRequestError('This promo code has been fully redeemed', 'PROMO_INVALID');
+    };
+    return client ? redeem(client) : transaction(redeem);
+  }
+
+  /**
+   * Has the agent ever subscribed to or paid for a subscription to this
+   * creator, bought one for someone else, or had a trial?
+   */
+  static async hasSubscribed(agentId, targetId) {
+    const row = await queryOne(
+      `SELECT EXISTS (SELECT 1 FROM agent_subscriptions WHERE subscriber_id = $1 AND target_id = $2)
+           OR EXISTS (SELECT 1 FROM subscription_transactions WHERE (subscriber_id = $1 OR payer_id = $1) AND target_id = $2)
+           OR EXISTS (SELECT 1 FROM promo_redemptions WHERE agent_id = $1 AND target_id = $2 AND kind = 'trial')
+         as subscribed`,
+      [agentId, targetId]
+    );
+    return row.subscribed;
+  }
+}
+
+module.exports = PromoService;
@@ -0,0 +1,147 @@
+/**
+ * Reconciliation Service — finality re-checks for recorded payments
+ *
+ * Subscriptions, unlocks and tips are credited as soon as their transaction
+ * is `confirmed`. This re-checks pending ones until they are `finalized`,
+ * and reverses whatever a dropped transaction granted.
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { getChain } = require('./chain');
+const SubscriptionService = require('./SubscriptionService');
+const UnlockService = require('./UnlockService');
+const TipService = require('./TipService');
+const { DEFAULT_CURRENCY } = require('../utils/currencies');
+const config = require('../config');
+
+// Largest batch getSignatureStatuses accepts
+const STATUS_BATCH = 256;
+
+// Where each kind of payment lives, and how to reverse it
+const PAYMENTS = {
+  subscription: { table: 'subscription_transactions', column: 'tx_id', reverse: (sig) => SubscriptionService.reversePayment(sig) },
+  unlock: { table: 'post_unlocks', column: 'tx_id', reverse: (sig) => UnlockService.reverseUnlock(sig) },
+  tip: { table: 'tips', column: 'tx_signature', reverse: (sig) => TipService.reverseTip(sig) }
+};
+
+/**
+ * Pending payments of every kind, oldest first
+ */
+function pendingPayments(where = 'TRUE', limit = 1000) {
+  const selects = Object.entries(PAYMENTS).map(([kind, { table, column }]) =>
+    `SELECT '${kind}' as kind, ${column} as signature, amount, created_at FROM ${table}
+     WHERE status = 'pending' AND ${where}`
+  );
+  return queryAll(`${selects.join(' UNION ALL ')} ORDER BY created_at ASC LIMIT $1`, [limit]);
+}
+
+class ReconciliationService {
+  /**
+   * Re-check pending payments. A finalized transaction is marked final; one
+   * that failed, or that the cluster still doesn't know after
+   * `dropAfter` seconds, is dropped and reversed.
+   */
+  static async run() {
+    const { batchSize, dropAfter } = config.reconciliation;
+    const pending = await pendingPayments('TRUE', batchSize);
+    const result = { checked: pending.length, finalized: 0, dropped: 0 };
+
+    for (let i = 0; i < pending.length; i += STATUS_BATCH) {
+      const batch = pending.slice(i, i + STATUS_BATCH);
+      const statuses = await getChain().getSignatureStatuses(batch.map(p => p.signature));
+
+      for (const [j, payment] of batch.entries()) {
+        const status = statuses[j];
+        const age = (Date.now() - new Date(payment.created_at).getTime()) / 1000;
+
+        if (status && !status.err && status.confirmationStatus === 'finalized') {
+          await this.markFinalized(payment);
+          result.finalized++;
+        } else if (status?.err || (!status && age > dropAfter)) {
+          if (await PAYMENTS[payment.kind].reverse(payment.signature)) {
+            console.warn(`Reconciliation: ${payment.kind} payment ${payment.signature} was dropped and reversed`);
+            result.dropped++;
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  static async markFinalized({ kind, signature }) {
+    const { table, column } = PAYMENTS[kind];
+    await queryOne(
+      `UPDATE ${table} SET status = 'finalized', status_updated_at = NOW()
+       WHERE ${column} = $1 AND status = 'pending'`,
+      [signature]
+    );
+  }
+
+  /**
+   * Everything that doesn't add up: payments stuck pending past the drop
+   * timeout, denormalized stats that disagree with the payment rows, active
+   * subscriptions no live payment accounts for, and recently dropped
+   * payments.
+   */
+  static async report() {
+    const { dropAfter } = config.reconciliation;
+    const active = SubscriptionService.activeClause('s');
+
+    const stalePending = await pendingPayments(`created_at < NOW() - make_interval(secs => ${Number(dropAfter)})`);
+
+    // agents.tip_volume counts $CREAM tips only
+    const tipStats = await queryAll(
+      `SELECT a.id, a.name, a.tip_count, a.tip_volume,
+              COALESCE(t.count, 0) as expected_tip_count, COALESCE(t.volume, 0) as expected_tip_volume
+       FROM agents a
+       LEFT JOIN (
+         SELECT recipient_id, COUNT(*) as count, COALESCE(SUM(amount) FILTER (WHERE currency = $1), 0) as volume
+         FROM tips WHERE status <> 'dropped' GROUP BY recipient_id
+       ) t ON t.recipient_id = a.id
+       WHERE a.tip_count <> COALESCE(t.count, 0) OR a.tip_volume <> COALESCE(t.volume, 0)
+       ORDER BY a.name`,
+      [DEFAULT_CURRENCY]
+    );
+
+    const subscriberCounts = await queryAll(
+      `SELECT a.id, a.name, a.subscriber_count, COUNT(s.id) as expected_subscriber_count
+       FROM agents a
+       LEFT JOIN agent_subscriptions s ON s.target_id = a.id AND ${active}
+       GROUP BY a.id
+       HAVING a.subscriber_count <> COUNT(s.id)
+       ORDER BY a.name`
+    );
+
+    const unpaidSubscriptions = await queryAll(
+      `SELECT s.subscriber_id, sub.name as subscriber_name, s.target_id, tgt.name as target_name, s.expires_at
+       FROM agent_subscriptions s
+       JOIN agents sub ON sub.id = s.subscriber_id
+       JOIN agents tgt ON tgt.id = s.target_id
+       WHERE ${active} AND NOT EXISTS (
+         SELECT 1 FROM subscription_transactions t
+         WHERE t.subscriber_id = s.subscriber_id AND t.target_id = s.target_id AND t.status <> 'dropped'
+       ) AND NOT EXISTS (
+         SELECT 1 FROM promo_redemptions r
+         WHERE r.agent_id = s.subscriber_id AND r.target_id = s.target_id AND r.kind = 'trial'
+       )
+       ORDER BY s.expires_at DESC`
+    );
+
+    const dropped = await queryAll(
+      Object.entries(PAYMENTS).map(([kind, { table, column }]) =>
+        `SELECT '${kind}' as kind, ${column} as signature, amount, created_at, status_updated_at FROM ${table}
+         WHERE status = 'dropped' AND status_updated_at > NOW() - INTERVAL '7 days'`
+      ).join(' UNION ALL ') + ' ORDER BY status_updated_at DESC LIMIT 100'
+    );
+
+    return {
+      stale_pending: stalePending,
+      tip_stats: tipStats,
+      subscriber_counts: subscriberCounts,
+      unpaid_subscriptions: unpaidSubscriptions,
+      recently_dropped: dropped
+    };
+  }
+}
+
+module.exports = ReconciliationService;
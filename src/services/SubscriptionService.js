@@ -0,0 +1,463 @@
+/**
+ * Subscription Service — time-limited paid subscriptions, renewals and expiry
+ */
+
+const { query, queryOne, queryAll, transaction } = require('../config/database');
+const { BadRequestError } = require('../utils/errors');
+const { STORED_DECIMALS, toRawAmount, mulDiv } = require('../utils/tokenAmount');
+const { DEFAULT_CURRENCY, priceIn } = require('../utils/currencies');
+const NotificationService = require('./NotificationService');
+const PromoService = require('./PromoService');
+const config = require('../config');
+
+const { defaultPeriodDays, gracePeriodHours } = config.subscriptions;
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * SQL condition for a subscription that still grants access. A lapsed
+ * subscription keeps working for the grace period so late renewals don't
+ * flicker content in and out.
+ */
+function activeClause(alias = 'agent_subscriptions') {
+  return `${alias}.expires_at > NOW() - INTERVAL '${gracePeriodHours} hours'`;
+}
+
+class SubscriptionService {
+  static activeClause(alias) {
+    return activeClause(alias);
+  }
+
+  /**
+   * SQL boolean: is the post at `post` locked for the agent in `requester`
+   * (a query parameter such as '$3', may be NULL)? Paid posts unlock for the
+   * author, for agents who bought the post individually, and for active
+   * subscribers whose tier rank is at least the post's minimum tier.
+   * Base subscriptions (no tier) are rank 0.
+   */
+  static lockedClause(post = 'p', requester = '$1') {
+    return `(${post}.paid = true AND ${post}.author_id IS DISTINCT FROM ${requester} AND NOT EXISTS (
+      SELECT 1 FROM post_unlocks u WHERE u.post_id = ${post}.id AND u.agent_id = ${requester} AND u.status <> 'dropped'
+    ) AND NOT EXISTS (
+      SELECT 1 FROM agent_subscriptions s
+      LEFT JOIN subscription_tiers st ON st.id = s.tier_id
+      WHERE s.subscriber_id = ${requester} AND s.target_id = ${post}.author_id AND ${activeClause('s')}
+        AND COALESCE(st.rank, 0) >= COALESCE(
+          (SELECT mt.rank FROM subscription_tiers mt WHERE mt.id = ${post}.min_tier_id), 0)
+    ))`;
+  }
+
+  /**
+   * How many seconds of access a payment buys. Payments are prorated
+   * against the creator's price for one billing period.
+   */
+  static periodSeconds(amount, price, periodDays) {
+    const days = periodDays || defaultPeriodDays;
+    const rawPrice = toRawAmount(price, STORED_DECIMALS);
+    if (rawPrice <= 0n) return 0;
+    return Number(mulDiv(days * SECONDS_PER_DAY, toRawAmount(amount, STORED_DECIMALS), rawPrice));
+  }
+
+  /**
+   * The creator's price for one billing period in a currency, for a tier
+   * or the base subscription
+   *
+   * @throws {BadRequestError} If the creator has no price in that currency
+   */
+  static priceFor(target, tier, currency = DEFAULT_CURRENCY) {
+    const price = tier
+      ? priceIn(tier.price, tier.prices, currency)
+      : priceIn(target.subscription_price, target.subscription_prices, currency);
+    if (!price) throw new BadRequestError(`This creator does not accept ${currency}`);
+    return price;
+  }
+
+  /**
+   * Start or extend a subscription for a verified payment.
+   * An active subscription on the same tier (including its grace period) is
+   * extended from its current expiry; a lapsed one starts a fresh period
+   * from now. A switch to another tier also starts a fresh period, with the
+   * time left on the old tier carried over (see grant).
+   *
+   * @param {string} subscriberId
+   * @param {object} target - Creator row (subscription_price, subscription_period_days)
+   * @param {string} amount - Verified payment amount in token units
+   * @param {object|null} tier - Tier being bought, or null for the base subscription
+   * @param {string} currency - Currency the payment was made in
+   */
+  static async subscribe(subscriberId, target, amount, tier = null, currency = DEFAULT_CURRENCY) {
+    const price = this.priceFor(target, tier, currency);
+    return this.grant(subscriberId, target, this.periodSeconds(amount, price, target.subscription_period_days), tier);
+  }
+
+  /**
+   * Start or extend a subscription by a number of seconds, as subscribe
+   * does for a payment. Gift codes grant the time they were bought for.
+   *
+   * Switching tiers keeps the time left before the current expiry, converted
+   * at the ratio of the two tiers' $CREAM prices (the base price for no
+   * tier): a month left on a 10 $CREAM tier becomes two weeks on a 20 $CREAM
+   * one. Without both prices the time carries over unchanged.
+   *
+   * @param {string} subscriberId
+   * @param {object} target - Creator row
+   * @param {number} seconds
+   * @param {object|null} tier
+   * @param {object} [client] - Transaction client the grant is part of
+   */
+  static async grant(subscriberId, target, seconds, tier = null, client = null) {
+    if (subscriberId === target.id) {
+      throw new BadRequestError('Cannot subscribe to yourself');
+    }
+    if (seconds <= 0) throw new BadRequestError('Payment does not cover any subscription time');
+
+    // Single upsert so concurrent renewals can't lose time
+    const continues = `${activeClause()} AND agent_subscriptions.tier_id IS NOT DISTINCT FROM $4::uuid`;
+    const rate = (tierId) => `NULLIF(COALESCE(
+      (SELECT price FROM subscription_tiers WHERE id = ${tierId}),
+      (SELECT subscription_price FROM agents WHERE id = $2)), 0)`;
+    const carried = `(GREATEST(EXTRACT(EPOCH FROM agent_subscriptions.expires_at - NOW()), 0)
+      * COALESCE(${rate('agent_subscriptions.tier_id')} / ${rate('$4::uuid')}, 1))::float8`;
+    const run = client ? client.query.bind(client) : query;
+    const { rows: [sub] } = await run(
+      `WITH prev AS (
+         SELECT ${activeClause()} as was_active, tier_id as prev_tier_id FROM agent_subscriptions
+         WHERE subscriber_id = $1 AND target_id = $2
+       )
+       INSERT INTO agent_subscriptions (subscriber_id, target_id, tier_id, period_start, expires_at)
+       VALUES ($1, $2, $4, NOW(), NOW() + make_interval(secs => $3))
+       ON CONFLICT (subscriber_id, target_id) DO UPDATE SET
+         tier_id = EXCLUDED.tier_id,
+         period_start = CASE WHEN ${continues} THEN agent_subscriptions.period_start ELSE NOW() END,
+         expires_at = CASE WHEN ${continues}
+                           THEN agent_subscriptions.expires_at + make_interval(secs => $3)
+                           ELSE NOW() + make_interval(secs => $3 + ${carried}) END
+       RETURNING tier_id, period_start, expires_at,
+                 (SELECT was_active FROM prev) as was_active,
+                 (SELECT prev_tier_id FROM prev) as prev_tier_id`,
+      [subscriberId, target.id, seconds, tier?.id || null]
+    );
+
+    await this.refreshSubscriberCount(target.id, client);
+
+    let action = 'subscribed';
+    if (sub.was_active === true && sub.prev_tier_id !== sub.tier_id) action = 'changed_tier';
+    else if (sub.was_active === true) action = 'renewed';
+    else if (sub.was_active === false) action = 'resubscribed';
+    const result = {
+      success: true,
+      action,
+      tier: tier ? { id: tier.id, name: tier.name, rank: tier.rank } : null,
+      period_start: sub.period_start,
+      expires_at: sub.expires_at
+    };
+    if (action === 'changed_tier') {
+      const periodSeconds = (new Date(sub.expires_at) - new Date(sub.period_start)) / 1000;
+      result.carried_over_seconds = Math.max(0, Math.round(periodSeconds - seconds));
+    }
+    return result;
+  }
+
+  /**
+   * Record a verified subscription payment and apply it. Consuming the
+   * intent, recording the payment (tx_id is UNIQUE, so a replayed payment
+   * fails there) and granting the time happen in one database transaction,
+   * so a failure part way leaves the intent open to retry instead of
+   * swallowing the payment. Used by the subscribe route and the chain indexer.
+   *
+   * A payer can buy the subscription for another agent, who is notified,
+   * or buy a gift code instead, which gives nobody access until it is
+   * redeemed. A payment quoted with a discount code is recorded as a
+   * redemption of the code and buys a full billing period. If the code no
+   * longer counts it (the agent already used it, or it is used up), the
+   * payment buys time pro rata like any other.
+   *
+   * @param {object} payment
+   * @param {string} [payment.intentId] - Payment intent the transaction paid, consumed here
+   * @param {string|null} payment.subscriberId - Beneficiary; ignored for a gift code
+   * @param {string} [payment.payerId] - Paying agent, the subscriber by default
+   * @param {boolean} [payment.giftCode] - Issue a gift code for the time bought
+   * @param {object} payment.target - Creator row
+   * @param {object|null} payment.tier
+   * @param {string} payment.txId
+   * @param {string} payment.amount - Verified amount in token units
+   * @param {string} [payment.currency] - Currency symbol, $CREAM by default
+   * @param {string} payment.sender - Paying wallet
+   * @param {string} [payment.promoCodeId] - Discount code the payment was quoted with
+   * @param {string} [payment.listAmount] - The quote before the discount
+   */
+  static async recordPayment({
+    intentId = null, subscriberId, payerId = subscriberId, giftCode = false, target, tier = null, txId, amount,
+    currency = DEFAULT_CURRENCY, sender, promoCodeId = null, listAmount = null
+  }) {
+    const price = this.priceFor(target, tier, currency);
+    let seconds = this.periodSeconds(amount, price, target.subscription_period_days);
+    if (giftCode && seconds <= 0) throw new BadRequestError('Payment does not cover any subscription time');
+
+    // Required lazily: both depend on this service
+    const PaymentIntentService = require('./PaymentIntentService');
+    const GiftService = require('./GiftService');
+
+    const result = await transaction(async (client) => {
+      if (intentId) await PaymentIntentService.consume(intentId, txId, client);
+      if (promoCodeId) {
+        const period = (target.subscription_period_days || defaultPeriodDays) * SECONDS_PER_DAY;
+        const recorded = await PromoService.record({
+          promoCodeId, agentId: subscriberId, targetId: target.id, kind: 'discount', tierId: tier?.id || null,
+          txId, listAmount, amount, currency, periodSeconds: period
+        }, client).catch((err) => {
+          if (err.code === 'PROMO_INVALID') return false;
+          throw err;
+        });
+        if (recorded) seconds = period;
+      }
+
+      try {
+        await client.query(
+          `INSERT INTO subscription_transactions (subscriber_id, payer_id, target_id, tx_id, amount, currency, sender_address, tier_id, period_seconds)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [giftCode ? null : subscriberId, payerId, target.id, txId, amount, currency, sender, tier?.id || null, seconds]
+        );
+      } catch (err) {
+        if (err.code === '23505') { // unique_violation
+          throw new BadRequestError('This transaction has already been used for a subscription');
+        }
+        throw err;
+      }
+
+      if (giftCode) {
+        const gift = await GiftService.issue({ payerId, target, tier, txId, amount, currency, periodSeconds: seconds }, client);
+        return { success: true, action: 'gift_code', gift };
+      }
+
+      return this.grant(subscriberId, target, seconds, tier, client);
+    });
+
+    if (!giftCode && payerId !== subscriberId) {
+      await NotificationService.notify(subscriberId, 'subscription_gift', {
+        actorId: payerId,
+        data: { creator: target.name, tier: result.tier, expires_at: result.expires_at }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Start a free trial from a trial promo code. Trials are for agents who
+   * have never subscribed to or paid the creator; no transaction is
+   * involved, so the redemption is the only record of it. It is recorded
+   * in the same database transaction as the grant.
+   *
+   * @param {string} subscriberId
+   * @param {object} target - Creator row
+   * @param {object} promo - From PromoService.findUsable
+   * @param {object|null} tier - The code's tier, if it is limited to one
+   */
+  static async startTrial(subscriberId, target, promo, tier = null) {
+    if (subscriberId === target.id) throw new BadRequestError('Cannot subscribe to yourself');
+    if (promo.kind !== 'trial') {
+      throw new BadRequestError(
+        'This promo code is a discount', 'PROMO_INVALID',
+        'Pass it as promo_code when creating the subscription payment intent'
+      );
+    }
+    if (await PromoService.hasSubscribed(subscriberId, target.id)) {
+      throw new BadRequestError('Free trials are only for agents who have never subscribed to this creator', 'PROMO_INVALID');
+    }
+
+    const seconds = promo.trial_days * SECONDS_PER_DAY;
+    const result = await transaction(async (client) => {
+      const recorded = await PromoService.record({
+        promoCodeId: promo.id, agentId: subscriberId, targetId: target.id, kind: 'trial', tierId: tier?.id || null, periodSeconds: seconds
+      }, client);
+      if (!recorded) throw new BadRequestError('You have already used this promo code', 'PROMO_INVALID');
+      return this.grant(subscriberId, target, seconds, tier, client);
+    });
+    return { ...result, action: 'trial_started', trial_days: promo.trial_days };
+  }
+
+  /**
+   * Subscription payments an agent made or benefited from, newest first.
+   * `role` is `self` for their own subscriptions, `payer` for gifts they
+   * bought (including gift codes, with the code) and `beneficiary` for
+   * gifts they received.
+   */
+  static async history(agentId, { limit = config.pagination.defaultLimit, offset = 0 } = {}) {
+    return queryAll(
+      `SELECT t.id, t.tx_id, t.amount, t.currency, t.period_seconds, t.status, t.created_at,
+              CASE WHEN t.payer_id = $1 AND t.subscriber_id = $1 THEN 'self'
+                   WHEN t.payer_id = $1 THEN 'payer'
+                   ELSE 'beneficiary' END as role,
+              tgt.name as creator_name, t.tier_id, st.name as tier_name,
+              payer.name as payer_name, sub.name as beneficiary_name,
+              g.id as gift_code_id, CASE WHEN t.payer_id = $1 THEN g.code END as gift_code,
+              g.expires_at as gift_code_expires_at, g.redeemed_at as gift_code_redeemed_at
+       FROM subscription_transactions t
+       JOIN agents tgt ON tgt.id = t.target_id
+       LEFT JOIN subscription_tiers st ON st.id = t.tier_id
+       LEFT JOIN agents payer ON payer.id = t.payer_id
+       LEFT JOIN agents sub ON sub.id = t.subscriber_id
+       LEFT JOIN gift_codes g ON g.tx_id = t.tx_id
+       WHERE t.payer_id = $1 OR t.subscriber_id = $1
+       ORDER BY t.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [agentId, Math.min(limit, config.pagination.maxLimit), offset]
+    );
+  }
+
+  /**
+   * Take back the time a payment bought once it is known to have been
+   * dropped. Only a pending payment is reversed, so a second call is a no-op.
+   *
+   * @returns {Promise<object|null>} The reversed payment, or null
+   */
+  static async reversePayment(txId) {
+    const payment = await transaction(async (client) => {
+      const { rows: [dropped] } = await client.query(
+        `UPDATE subscription_transactions SET status = 'dropped', status_updated_at = NOW()
+         WHERE tx_id = $1 AND status = 'pending'
+         RETURNING subscriber_id, target_id, amount, period_seconds`,
+        [txId]
+      );
+      if (!dropped) return null;
+      await client.query(
+        `UPDATE agent_subscriptions SET expires_at = expires_at - make_interval(secs => $3)
+         WHERE subscriber_id = $1 AND target_id = $2`,
+        [dropped.subscriber_id, dropped.target_id, dropped.period_seconds || 0]
+      );
+      return dropped;
+    });
+
+    if (payment) await this.refreshSubscriberCount(payment.target_id);
+    return payment;
+  }
+
+  /**
+   * A creator's subscribers with their current tier and expiry, when they
+   * first subscribed and what they have paid in total per currency (dropped
+   * payments excluded)
+   *
+   * @param {string} targetId
+   * @param {object} [options]
+   * @param {string} [options.status] - active (default), lapsed or all
+   * @param {string} [options.sort] - newest (default), oldest or expiring
+   */
+  static async subscribers(targetId, { status = 'active', sort = 'newest', limit = config.pagination.defaultLimit, offset = 0 } = {}) {
+    const where = { active: activeClause('s'), lapsed: `NOT ${activeClause('s')}`, all: 'TRUE' }[status];
+    const orderBy = {
+      newest: 'subscribed_at DESC, s.id',
+      oldest: 'subscribed_at ASC, s.id',
+      expiring: 's.expires_at ASC, s.id'
+    }[sort];
+
+    const subscribers = await queryAll(
+      `SELECT a.name, a.display_name, a.avatar_url, a.verified,
+              s.tier_id, st.name as tier_name, COALESCE(st.rank, 0) as tier_rank,
+              COALESCE(paid.first_at, s.created_at) as subscribed_at, s.period_start, s.expires_at,
+              ${activeClause('s')} as active,
+              COALESCE(paid.payments, 0)::int as payments, COALESCE(paid.total_paid, '{}') as total_paid
+       FROM agent_subscriptions s
+       JOIN agents a ON a.id = s.subscriber_id
+       LEFT JOIN subscription_tiers st ON st.id = s.tier_id
+       LEFT JOIN LATERAL (
+         SELECT MIN(first_at) as first_at, SUM(payments) as payments, jsonb_object_agg(currency, total::text) as total_paid
+         FROM (
+           SELECT currency, MIN(created_at) as first_at, COUNT(*) as payments, SUM(amount) as total
+           FROM subscription_transactions t
+           WHERE t.target_id = s.target_id AND t.subscriber_id = s.subscriber_id AND t.status <> 'dropped'
+           GROUP BY currency
+         ) per_currency
+       ) paid ON true
+       WHERE s.target_id = $1 AND ${where}
+       ORDER BY ${orderBy}
+       LIMIT $2 OFFSET $3`,
+      [targetId, Math.min(limit, config.pagination.maxLimit), offset]
+    );
+
+    const { count } = await queryOne(
+      `SELECT COUNT(*)::int as count FROM agent_subscriptions s WHERE s.target_id = $1 AND ${where}`,
+      [targetId]
+    );
+    return { subscribers, total: count };
+  }
+
+  /**
+   * Cancel a subscription. Access ends now; the cancellation is recorded so
+   * it still counts as churn. A subscription that had already lapsed churned
+   * when its grace period ended, and is recorded as such.
+   */
+  static async unsubscribe(subscriberId, targetId) {
+    return transaction(async (client) => {
+      const { rows: [removed] } = await client.query(
+        'DELETE FROM agent_subscriptions WHERE subscriber_id = $1 AND target_id = $2 RETURNING tier_id, expires_at',
+        [subscriberId, targetId]
+      );
+      if (!removed) return { success: true, action: 'not_subscribed' };
+
+      await client.query(
+        `INSERT INTO subscription_cancellations (subscriber_id, target_id, tier_id, expires_at, churned_at)
+         VALUES ($1, $2, $3, $4, LEAST(NOW(), $4::timestamptz + INTERVAL '${gracePeriodHours} hours'))`,
+        [subscriberId, targetId, removed.tier_id, removed.expires_at]
+      );
+      await this.refreshSubscriberCount(targetId, client);
+      return { success: true, action: 'unsubscribed' };
+    });
+  }
+
+  /**
+   * The requester's subscription to a creator, or null. `active` is false once
+   * the subscription has expired past its grace period.
+   */
+  static async get(subscriberId, targetId) {
+    return queryOne(
+      `SELECT s.tier_id, st.name as tier_name, COALESCE(st.rank, 0) as tier_rank,
+              s.period_start, s.expires_at, ${activeClause('s')} as active
+       FROM agent_subscriptions s
+       LEFT JOIN subscription_tiers st ON st.id = s.tier_id
+       WHERE s.subscriber_id = $1 AND s.target_id = $2`,
+      [subscriberId, targetId]
+    );
+  }
+
+  static async isActive(subscriberId, targetId) {
+    if (!subscriberId) return false;
+    const sub = await this.get(subscriberId, targetId);
+    return !!sub?.active;
+  }
+
+  /**
+   * Recount active subscribers for one creator
+   */
+  static async refreshSubscriberCount(targetId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    await run(
+      `UPDATE agents SET subscriber_count = (
+         SELECT COUNT(*) FROM agent_subscriptions
+         WHERE target_id = $1 AND ${activeClause()}
+       ) WHERE id = $1`,
+      [targetId]
+    );
+  }
+
+  /**
+   * Recount every creator whose stored count no longer matches, so
+   * subscriptions that lapse on their own drop out of subscriber_count.
+   */
+  static async refreshAllSubscriberCounts() {
+    const result = await queryOne(
+      `WITH counts AS (
+         SELECT a.id, COUNT(s.id) FILTER (WHERE ${activeClause('s')}) as active
+         FROM agents a LEFT JOIN agent_subscriptions s ON s.target_id = a.id
+         GROUP BY a.id
+       ), updated AS (
+         UPDATE agents SET subscriber_count = counts.active
+         FROM counts
+         WHERE agents.id = counts.id AND agents.subscriber_count IS DISTINCT FROM counts.active
+         RETURNING agents.id
+       )
+       SELECT COUNT(*)::int as updated FROM updated`
+    );
+    return result.updated;
+  }
+}
+
+module.exports = SubscriptionService;
@@ -0,0 +1,115 @@
+/**
+ * Tier Service — creator-managed subscription tiers
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const MAX_TIERS = 10;
+const TIER_FIELDS = 'id, name, description, perks, rank, price, prices, archived_at, created_at, updated_at';
+
+class TierService {
+  /**
+   * A creator's tiers, cheapest rank first. Archived tiers are hidden
+   * unless asked for (existing subscribers may still hold them).
+   */
+  static async list(agentId, { includeArchived = false } = {}) {
+    return queryAll(
+      `SELECT ${TIER_FIELDS} FROM subscription_tiers
+       WHERE agent_id = $1 ${includeArchived ? '' : 'AND archived_at IS NULL'}
+       ORDER BY rank ASC`,
+      [agentId]
+    );
+  }
+
+  /**
+   * Find a tier that can currently be subscribed to or gated on
+   */
+  static async findActive(agentId, tierId) {
+    const tier = await queryOne(
+      `SELECT ${TIER_FIELDS} FROM subscription_tiers
+       WHERE id = $1 AND agent_id = $2 AND archived_at IS NULL`,
+      [tierId, agentId]
+    );
+    if (!tier) throw new NotFoundError('Tier');
+    return tier;
+  }
+
+  /**
+   * Find a tier whether or not it has been archived, e.g. one a payment
+   * intent was quoted for before the creator retired it
+   */
+  static async get(agentId, tierId) {
+    const tier = await queryOne(
+      `SELECT ${TIER_FIELDS} FROM subscription_tiers WHERE id = $1 AND agent_id = $2`,
+      [tierId, agentId]
+    );
+    if (!tier) throw new NotFoundError('Tier');
+    return tier;
+  }
+
+  static async assertRankFree(agentId, rank, exceptId = null) {
+    const taken = await queryOne(
+      `SELECT id, name FROM subscription_tiers
+       WHERE agent_id = $1 AND rank = $2 AND archived_at IS NULL AND id IS DISTINCT FROM $3`,
+      [agentId, rank, exceptId]
+    );
+    if (taken) throw new ConflictError(`Rank ${rank} is already used by tier "${taken.name}"`, 'Pick a different rank');
+  }
+
+  static async create(agentId, { name, description = null, perks = [], rank, price, prices = {} }) {
+    const count = await queryOne(
+      'SELECT COUNT(*)::int as count FROM subscription_tiers WHERE agent_id = $1 AND archived_at IS NULL',
+      [agentId]
+    );
+    if (count.count >= MAX_TIERS) throw new BadRequestError(`You can have at most ${MAX_TIERS} tiers`);
+    await this.assertRankFree(agentId, rank);
+
+    return queryOne(
+      `INSERT INTO subscription_tiers (agent_id, name, description, perks, rank, price, prices)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${TIER_FIELDS}`,
+      [agentId, name.trim(), description, perks, rank, price, prices]
+    );
+  }
+
+  static async update(agentId, tierId, updates) {
+    await this.findActive(agentId, tierId);
+    if (updates.rank !== undefined) await this.assertRankFree(agentId, updates.rank, tierId);
+
+    const allowedFields = ['name', 'description', 'perks', 'rank', 'price', 'prices'];
+    const setClause = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        setClause.push(`${field} = $${paramIndex}`);
+        values.push(updates[field]);
+        paramIndex++;
+      }
+    }
+    if (setClause.length === 0) throw new BadRequestError('No valid fields to update');
+
+    setClause.push('updated_at = NOW()');
+    values.push(tierId);
+
+    return queryOne(
+      `UPDATE subscription_tiers SET ${setClause.join(', ')} WHERE id = $${paramIndex}
+       RETURNING ${TIER_FIELDS}`,
+      values
+    );
+  }
+
+  /**
+   * Archive a tier. It can no longer be bought, but existing subscribers
+   * keep their rank until they expire and gated posts stay gated.
+   */
+  static async archive(agentId, tierId) {
+    await this.findActive(agentId, tierId);
+    await queryOne('UPDATE subscription_tiers SET archived_at = NOW(), updated_at = NOW() WHERE id = $1', [tierId]);
+    return { success: true, action: 'archived', id: tierId };
+  }
+}
+
+module.exports = TierService;
@@ -1,80 +1,301 @@
 /**
- * Tip Service — Records and verifies $CREAM tips on Solana
+ * Tip Service — Records and verifies tips on Solana
  */
 
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { queryOne, queryAll } = require('../config/database');
-const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { queryOne, queryAll, transaction } = require('../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const { carriesReference } = require('../utils/solana');
+const { TOKEN_PROGRAM_ID } = require('../utils/splToken');
+const { decodeSystemTransfer } = require('../utils/systemProgram');
+const { DEFAULT_CURRENCY, SOL, SOL_DECIMALS, currencyForMint } = require('../utils/currencies');
+const { toRawAmount, toUiAmount } = require('../utils/tokenAmount');
+const { decodeInstruction, mapAccounts, configAddress } = require('../utils/tipProgram');
+const { getChain } = require('./chain');
+const PaymentIntentService = require('./PaymentIntentService');
+const TreasuryService = require('./TreasuryService');
+const config = require('../config');
 
-const SOLANA_RPC = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-const CREAM_MINT = '2WPG6UeEwZ1JPBcXfAcTbtNrnoVXoVu6YP2eSLwbpump';
-const TIPPING_PROGRAM_ID = 'HTJhkCtgwugSJyurUo3Gv7tqXJwtSGX4UyrCVfttMi3a';
-const TREASURY_WALLET = '36zGoGJaSPwnQuYErcDK9D2EfX2g2hi26gkxJxCQfSkg';
-const FEE_RATE = 0.10;
+const MAX_FEE_BPS = 1000n; // enforced by the program
 
-const connection = new Connection(SOLANA_RPC, 'confirmed');
+// A tip's message as shown publicly: gone once the recipient hides it
+const VISIBLE_MESSAGE = 'CASE WHEN t.message_hidden_at IS NULL THEN t.message END as message';
 
 class TipService {
   /**
-   * Verify a Solana transaction signature on-chain
+   * Decode and check a tip transaction against the tip program's instruction
+   * layout. The transaction must contain exactly one `tip` instruction
+   * signed by the tipper. Token balance changes must show the gross amount
+   * leaving the tipper's token account, the creator's wallet receiving it
+   * net of the fee and the fee reaching the treasury, all in one
+   * allow-listed mint.
+   *
+   * @param {object} tx - Chain adapter transaction
+   * @returns {{tipper: string, recipientAddress: string, currency: string, mint: string, amount: string, fee: string, memo: string|null, blockTime: number}}
    */
-  static async verifyTransaction(txSignature) {
+  static decodeTip(tx) {
+    const { tipProgramId, treasuryWallet } = config.solana;
+    if (tx.err) throw new BadRequestError('Transaction failed on-chain');
+
+    let tips;
+    try {
+      tips = tx.instructions
+        .filter(ix => ix.programId === tipProgramId)
+        .map(ix => ({ ...decodeInstruction(ix.data), keys: ix.accounts }))
+        .filter(ix => ix.name === 'tip');
+    } catch (err) {
+      throw new BadRequestError(`Failed to decode tip instruction: ${err.message}`);
+    }
+    if (tips.length !== 1) throw new BadRequestError('Transaction must contain exactly one tip program instruction');
+    const [{ args, keys }] = tips;
+    const accounts = mapAccounts('tip', keys);
+
+    if (!tx.accountKeys.some(k => k.signer && k.address === accounts.tipper)) {
+      throw new BadRequestError('Tip was not signed by the tipper');
+    }
+    if (accounts.config !== configAddress(tipProgramId)) throw new BadRequestError('Tip used an unknown program config account');
+    if (accounts.tokenProgram !== TOKEN_PROGRAM_ID) throw new BadRequestError('Tip used an unknown token program');
+
+    const balances = Object.fromEntries(tx.tokenBalances.map(b => [b.address, { ...b, delta: b.post - b.pre }]));
+    const tipperToken = balances[accounts.tipperToken];
+    const creatorToken = balances[accounts.creatorToken];
+    if (!tipperToken || !creatorToken) throw new BadRequestError('Tip token accounts are missing from the transaction');
+    const currency = currencyForMint(creatorToken.mint);
+    if (!currency || tipperToken.mint !== creatorToken.mint) {
+      throw new BadRequestError('Tip was not paid in an accepted currency');
+    }
+    if (tipperToken.owner !== accounts.tipper) throw new BadRequestError('Tip was not paid from the tipper\'s wallet');
+
+    const amount = args.amount;
+    const fee = amount - creatorToken.delta;
+    if (tipperToken.delta !== -amount) throw new BadRequestError('Tipper balance change does not match the tip amount');
+    if (fee < 0n || fee * 10000n > amount * MAX_FEE_BPS) throw new BadRequestError('Tip fee split does not match the program');
+    if (fee > 0n) {
+      const treasuryToken = balances[accounts.treasuryToken];
+      if (!treasuryToken || treasuryToken.owner !== treasuryWallet || treasuryToken.mint !== creatorToken.mint || treasuryToken.delta !== fee) {
+        throw new BadRequestError('Tip fee did not reach the treasury');
+      }
+    }
+
+    return {
+      tipper: accounts.tipper,
+      recipientAddress: creatorToken.owner,
+      currency: currency.symbol,
+      mint: creatorToken.mint,
+      decimals: creatorToken.decimals,
+      amount: toUiAmount(amount, creatorToken.decimals),
+      rawAmount: amount,
+      fee: toUiAmount(fee, creatorToken.decimals),
+      memo: args.memo,
+      blockTime: tx.blockTime
+    };
+  }
+
+  /**
+   * Decode a native SOL tip. The tip program only moves SPL tokens, so a SOL
+   * tip is two system transfers signed by the tipper in one transaction:
+   * the amount net of the fee to the creator and the fee to the treasury
+   * wallet. A tip made for an intent must pay the `fee_bps` quoted on it;
+   * otherwise any fee up to the program's maximum is accepted, as in
+   * decodeTip.
+   *
+   * @param {object} tx - Chain adapter transaction
+   * @param {string} tipper - Tipper's wallet
+   * @param {string} recipientAddress - Creator's wallet
+   * @param {number|null} [feeBps] - Fee quoted on the tip's intent
+   */
+  static decodeSolTip(tx, tipper, recipientAddress, feeBps = null) {
+    const { treasuryWallet } = config.solana;
+    if (tx.err) throw new BadRequestError('Transaction failed on-chain');
+    if (!tx.accountKeys.some(k => k.signer && k.address === tipper)) {
+      throw new BadRequestError('Tip was not signed by the tipper');
+    }
+
+    const sent = (to) => tx.instructions
+      .map(decodeSystemTransfer)
+      .filter(t => t && t.from === tipper && t.to === to)
+      .reduce((sum, t) => sum + t.amount, 0n);
+    const net = sent(recipientAddress);
+    const fee = sent(treasuryWallet);
+    const amount = net + fee;
+    if (net === 0n) throw new BadRequestError('No SOL transfer to the creator found in transaction');
+    if (feeBps === null ? fee * 10000n > amount * MAX_FEE_BPS : fee !== TreasuryService.feeFor(amount, feeBps)) {
+      throw new BadRequestError('Tip fee did not reach the treasury');
+    }
+
+    return {
+      tipper,
+      recipientAddress,
+      currency: SOL,
+      mint: null,
+      decimals: SOL_DECIMALS,
+      amount: toUiAmount(amount, SOL_DECIMALS),
+      rawAmount: amount,
+      fee: toUiAmount(fee, SOL_DECIMALS),
+      memo: null,
+      blockTime: tx.blockTime
+    };
+  }
+
+  /**
+   * Verify a tip transaction on-chain for a payment intent: a valid tip in
+   * the intent's currency (see decodeTip and decodeSolTip) carrying its
+   * reference (as an account key or the tip memo), signed by the payer and
+   * sent to the quoted creator. A SOL tip must pay the intent's quoted fee.
+   */
+  static async verifyTransaction(txSignature, { reference, signer, recipientAddress, minAmount, currency = DEFAULT_CURRENCY, feeBps = null }) {
+    let tx;
     try {
-      const tx = await connection.getTransaction(txSignature, {
-        commitment: 'confirmed',
-        maxSupportedTransactionVersion: 0,
-      });
-      if (!tx) throw new BadRequestError('Transaction not found on-chain');
-      if (tx.meta?.err) throw new BadRequestError('Transaction failed on-chain');
-      return tx;
+      tx = await getChain().getTransaction(txSignature);
     } catch (err) {
-      if (err instanceof BadRequestError) throw err;
       throw new BadRequestError(`Failed to verify transaction: ${err.message}`);
     }
+    if (!tx) throw new BadRequestError('Transaction not found on-chain');
+
+    const tip = currency === SOL
+      ? this.decodeSolTip(tx, signer, recipientAddress, feeBps)
+      : this.decodeTip(tx);
+    if (tip.currency !== currency) throw new BadRequestError(`Tip was not paid in ${currency}`);
+    if (!carriesReference(tx, reference) && tip.memo !== reference) {
+      throw new BadRequestError('Transaction does not carry the payment reference');
+    }
+    if (tip.tipper !== signer) throw new BadRequestError('Tip was not signed by your wallet');
+    if (tip.recipientAddress !== recipientAddress) throw new BadRequestError('Tip was sent to a different wallet');
+    if (minAmount !== undefined && tip.rawAmount < toRawAmount(minAmount, tip.decimals)) {
+      throw new BadRequestError(`Tip amount is less than the ${minAmount} ${currency} quoted`);
+    }
+    return tip;
   }
 
   /**
-   * Record a tip
+   * Record a tip paid for a `tip` payment intent. Amount, fee and wallets
+   * are the values verified on-chain, not client-reported ones; the post or
+   * comment and the message come from the intent.
    */
-  static async recordTip({ tipperId, recipientId, postId, amount, feeAmount, txSignature }) {
+  static async recordTip({ tipperId, txSignature, intent }) {
     // Check for duplicate tx
     const existing = await queryOne('SELECT id FROM tips WHERE tx_signature = $1', [txSignature]);
     if (existing) throw new BadRequestError('This transaction has already been recorded');
 
     // Verify on-chain
-    await this.verifyTransaction(txSignature);
-
-    // Insert tip
-    const tip = await queryOne(
-      `INSERT INTO tips (tipper_id, recipient_id, post_id, amount, fee_amount, tx_signature)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, tipper_id, recipient_id, post_id, amount, fee_amount, tx_signature, created_at`,
-      [tipperId, recipientId, postId || null, amount, feeAmount, txSignature]
-    );
-
-    // Update recipient stats
-    await queryOne(
-      'UPDATE agents SET tip_count = tip_count + 1, tip_volume = tip_volume + $2 WHERE id = $1',
-      [recipientId, amount]
-    );
+    const verified = await this.verifyTransaction(txSignature, {
+      reference: intent.reference,
+      signer: intent.payer_address,
+      recipientAddress: intent.recipient_address,
+      minAmount: intent.amount,
+      currency: intent.currency,
+      feeBps: intent.fee_bps
+    });
+    PaymentIntentService.assertInTime(intent, verified.blockTime);
 
-    return tip;
+    return this.insertTip({
+      intentId: intent.id,
+      tipperId,
+      recipientId: intent.recipient_id,
+      postId: intent.post_id,
+      commentId: intent.comment_id,
+      message: intent.message,
+      txSignature,
+      verified
+    });
+  }
+
+  /**
+   * Insert a verified tip and update the recipient's stats, consuming the
+   * tip's intent (if any) in the same transaction. Used by recordTip and the
+   * chain indexer. `tip_volume` on the agent counts $CREAM only;
+   * per-currency volume comes from getAgentStats.
+   */
+  static async insertTip({ intentId = null, tipperId, recipientId, postId, commentId, message, txSignature, verified }) {
+    return transaction(async (client) => {
+      if (intentId) await PaymentIntentService.consume(intentId, txSignature, client);
+
+      let tip;
+      try {
+        ({ rows: [tip] } = await client.query(
+          `INSERT INTO tips (tipper_id, recipient_id, post_id, comment_id, message, amount, fee_amount, currency, tx_signature,
+                             tipper_address, recipient_address, mint)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+           RETURNING id, tipper_id, recipient_id, post_id, comment_id, message, amount, fee_amount, currency, tx_signature,
+                     tipper_address, recipient_address, mint, status, created_at`,
+          [tipperId, recipientId, postId || null, commentId || null, message || null, verified.amount, verified.fee,
+            verified.currency, txSignature, verified.tipper, verified.recipientAddress, verified.mint]
+        ));
+      } catch (err) {
+        if (err.code === '23505') { // unique_violation
+          throw new BadRequestError('This transaction has already been recorded');
+        }
+        throw err;
+      }
+
+      // Update recipient stats
+      await client.query(
+        'UPDATE agents SET tip_count = tip_count + 1, tip_volume = tip_volume + $2 WHERE id = $1',
+        [recipientId, verified.currency === DEFAULT_CURRENCY ? verified.amount : '0']
+      );
+
+      return tip;
+    });
   }
 
   /**
-   * Get platform-wide tipping stats
+   * Reverse a tip whose transaction was dropped, taking it out of the
+   * recipient's stats. Only a pending tip is reversed, so a second call is
+   * a no-op.
+   */
+  static async reverseTip(txSignature) {
+    return transaction(async (client) => {
+      const { rows: [tip] } = await client.query(
+        `UPDATE tips SET status = 'dropped', status_updated_at = NOW()
+         WHERE tx_signature = $1 AND status = 'pending'
+         RETURNING recipient_id, amount, currency`,
+        [txSignature]
+      );
+      if (!tip) return null;
+      await client.query(
+        'UPDATE agents SET tip_count = tip_count - 1, tip_volume = tip_volume - $2 WHERE id = $1',
+        [tip.recipient_id, tip.currency === DEFAULT_CURRENCY ? tip.amount : '0']
+      );
+      return tip;
+    });
+  }
+
+  /**
+   * Hide the message on a tip you received. It stays stored but is no
+   * longer shown.
+   */
+  static async hideMessage(tipId, agentId) {
+    const tip = await queryOne('SELECT recipient_id FROM tips WHERE id = $1', [tipId]);
+    if (!tip) throw new NotFoundError('Tip');
+    if (tip.recipient_id !== agentId) throw new ForbiddenError('You can only hide messages on tips you received');
+    await queryOne('UPDATE tips SET message_hidden_at = COALESCE(message_hidden_at, NOW()) WHERE id = $1', [tipId]);
+  }
+
+  /**
+   * Tip count, volume and fees per currency for tips matching `where`
+   */
+  static async volumeByCurrency(where, params) {
+    return queryAll(`
+      SELECT currency, COUNT(*) as count, SUM(amount) as volume, SUM(fee_amount) as fees
+      FROM tips WHERE ${where} AND status <> 'dropped'
+      GROUP BY currency ORDER BY currency
+    `, params);
+  }
+
+  /**
+   * Get platform-wide tipping stats. Volume and fee totals are in $CREAM;
+   * `by_currency` breaks them down for every currency.
    */
   static async getPlatformStats() {
     const stats = await queryOne(`
       SELECT
         COUNT(*) as total_tips,
-        COALESCE(SUM(amount), 0) as total_volume,
-        COALESCE(SUM(fee_amount), 0) as total_fees,
+        COALESCE(SUM(amount) FILTER (WHERE currency = $1), 0) as total_volume,
+        COALESCE(SUM(fee_amount) FILTER (WHERE currency = $1), 0) as total_fees,
         COUNT(DISTINCT tipper_id) as unique_tippers,
         COUNT(DISTINCT recipient_id) as unique_recipients
-      FROM tips
-    `);
-    return stats;
+      FROM tips WHERE status <> 'dropped'
+    `, [DEFAULT_CURRENCY]);
+    return { ...stats, by_currency: await this.volumeByCurrency('TRUE', []) };
   }
 
   /**
@@ -82,55 +303,66 @@ class TipService {
    */
   static async getAgentStats(agentId) {
     const received = await queryOne(`
-      SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as volume
-      FROM tips WHERE recipient_id = $1
-    `, [agentId]);
+      SELECT COUNT(*) as count, COALESCE(SUM(amount) FILTER (WHERE currency = $2), 0) as volume
+      FROM tips WHERE recipient_id = $1 AND status <> 'dropped'
+    `, [agentId, DEFAULT_CURRENCY]);
 
     const sent = await queryOne(`
-      SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as volume
-      FROM tips WHERE tipper_id = $1
-    `, [agentId]);
+      SELECT COUNT(*) as count, COALESCE(SUM(amount) FILTER (WHERE currency = $2), 0) as volume
+      FROM tips WHERE tipper_id = $1 AND status <> 'dropped'
+    `, [agentId, DEFAULT_CURRENCY]);
 
     const recentReceived = await queryAll(`
-      SELECT t.id, t.amount, t.fee_amount, t.tx_signature, t.created_at, t.post_id,
+      SELECT t.id, t.amount, t.fee_amount, t.currency, t.tx_signature, t.status, t.created_at, t.post_id, t.comment_id, ${VISIBLE_MESSAGE},
              a.name as tipper_name, a.display_name as tipper_display_name
       FROM tips t JOIN agents a ON t.tipper_id = a.id
-      WHERE t.recipient_id = $1
+      WHERE t.recipient_id = $1 AND t.status <> 'dropped'
       ORDER BY t.created_at DESC LIMIT 20
     `, [agentId]);
 
     const recentSent = await queryAll(`
-      SELECT t.id, t.amount, t.fee_amount, t.tx_signature, t.created_at, t.post_id,
+      SELECT t.id, t.amount, t.fee_amount, t.currency, t.tx_signature, t.status, t.created_at, t.post_id, t.comment_id, ${VISIBLE_MESSAGE},
              a.name as recipient_name, a.display_name as recipient_display_name
       FROM tips t JOIN agents a ON t.recipient_id = a.id
-      WHERE t.tipper_id = $1
+      WHERE t.tipper_id = $1 AND t.status <> 'dropped'
       ORDER BY t.created_at DESC LIMIT 20
     `, [agentId]);
 
     return {
-      received: { count: received.count, volume: received.volume, recent: recentReceived },
-      sent: { count: sent.count, volume: sent.volume, recent: recentSent },
+      received: {
+        count: received.count,
+        volume: received.volume,
+        by_currency: await this.volumeByCurrency('recipient_id = $1', [agentId]),
+        recent: recentReceived
+      },
+      sent: {
+        count: sent.count,
+        volume: sent.volume,
+        by_currency: await this.volumeByCurrency('tipper_id = $1', [agentId]),
+        recent: recentSent
+      },
     };
   }
 
   /**
-   * Get tips for a specific post
+   * Get tips for a specific post, with their messages. Tips on the post's
+   * comments are the commenters' and aren't included.
    */
   static async getPostTips(postId) {
     const stats = await queryOne(`
-      SELECT COUNT(*) as tip_count, COALESCE(SUM(amount), 0) as tip_volume
-      FROM tips WHERE post_id = $1
-    `, [postId]);
+      SELECT COUNT(*) as tip_count, COALESCE(SUM(amount) FILTER (WHERE currency = $2), 0) as tip_volume
+      FROM tips WHERE post_id = $1 AND status <> 'dropped'
+    `, [postId, DEFAULT_CURRENCY]);
 
     const tips = await queryAll(`
-      SELECT t.id, t.amount, t.fee_amount, t.tx_signature, t.created_at,
+      SELECT t.id, t.amount, t.fee_amount, t.currency, t.tx_signature, t.status, t.created_at, ${VISIBLE_MESSAGE},
              a.name as tipper_name, a.display_name as tipper_display_name
       FROM tips t JOIN agents a ON t.tipper_id = a.id
-      WHERE t.post_id = $1
+      WHERE t.post_id = $1 AND t.status <> 'dropped'
       ORDER BY t.created_at DESC LIMIT 50
     `, [postId]);
 
-    return { ...stats, tips };
+    return { ...stats, by_currency: await this.volumeByCurrency('post_id = $1', [postId]), tips };
   }
 }
 
@@ -0,0 +1,193 @@
+/**
+ * Transaction Service — unsigned transactions for payment intents
+ *
+ * Builds the transaction an intent asks for, ready for the payer's wallet
+ * to sign and send: a tip through the tip program, or a transfer to the
+ * creator for a subscription or unlock. The payer is the fee payer, the
+ * intent's reference rides along as a read-only account, and the creator's
+ * associated token account is created when it doesn't exist yet. Nothing
+ * is signed or sent here.
+ */
+
+const { PublicKey, Transaction, TransactionInstruction } = require('@solana/web3.js');
+const { BadRequestError } = require('../utils/errors');
+const { getCurrency, currencyDecimals } = require('../utils/currencies');
+const { toRawAmount, toUiAmount } = require('../utils/tokenAmount');
+const { accountMetas, encodeInstruction, configAddress } = require('../utils/tipProgram');
+const { SYSTEM_PROGRAM_ID, encodeSystemTransfer } = require('../utils/systemProgram');
+const {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  encodeTransferChecked,
+  encodeCreateIdempotent,
+  associatedTokenAddress
+} = require('../utils/splToken');
+const { getChain } = require('./chain');
+const TreasuryService = require('./TreasuryService');
+const config = require('../config');
+
+function instruction(programId, metas, data) {
+  return new TransactionInstruction({
+    programId: new PublicKey(programId),
+    keys: metas.map(({ address, isSigner = false, isWritable = false }) => ({ pubkey: new PublicKey(address), isSigner, isWritable })),
+    data
+  });
+}
+
+function systemTransfer(from, to, lamports, reference = null) {
+  return instruction(SYSTEM_PROGRAM_ID, [
+    { address: from, isSigner: true, isWritable: true },
+    { address: to, isWritable: true },
+    ...(reference ? [{ address: reference }] : [])
+  ], encodeSystemTransfer(lamports));
+}
+
+class TransactionService {
+  /**
+   * Build the unsigned transaction for an open intent
+   *
+   * @param {object} intent - From PaymentIntentService.findOpen
+   * @returns {Promise<{transaction: string, encoding: string, signer: string, blockhash: string, last_valid_block_height: number, creates_accounts: string[], expected: object}>}
+   */
+  static async build(intent) {
+    if (new Date(intent.expires_at) <= new Date()) {
+      throw new BadRequestError('This payment intent has expired', 'INTENT_EXPIRED', 'Create a new payment intent');
+    }
+
+    const { mint } = getCurrency(intent.currency);
+    const decimals = await currencyDecimals(intent.currency);
+    const rawAmount = toRawAmount(intent.amount, decimals);
+    const plan = intent.purpose === 'tip'
+      ? await this.tipInstructions(intent, mint, rawAmount)
+      : await this.transferInstructions(intent, mint, decimals, rawAmount);
+
+    const { blockhash, lastValidBlockHeight } = await getChain().getLatestBlockhash();
+    const tx = new Transaction({ feePayer: new PublicKey(intent.payer_address), blockhash, lastValidBlockHeight })
+      .add(...plan.instructions);
+
+    return {
+      transaction: tx.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+      encoding: 'base64',
+      signer: intent.payer_address,
+      blockhash,
+      last_valid_block_height: lastValidBlockHeight,
+      creates_accounts: plan.creates,
+      expected: {
+        intent_id: intent.id,
+        purpose: intent.purpose,
+        reference: intent.reference,
+        currency: intent.currency,
+        mint,
+        decimals,
+        amount: toUiAmount(rawAmount, decimals),
+        raw_amount: rawAmount.toString(),
+        fee: toUiAmount(plan.fee, decimals),
+        raw_fee: plan.fee.toString(),
+        recipient_address: intent.recipient_address,
+        recipient_amount: toUiAmount(rawAmount - plan.fee, decimals)
+      }
+    };
+  }
+
+  /**
+   * A tip: the tip program's `tip` instruction with accounts in IDL order,
+   * or for SOL the two system transfers TipService.decodeSolTip expects
+   */
+  static async tipInstructions(intent, mint, rawAmount) {
+    const { tipProgramId, treasuryWallet } = config.solana;
+    const tipConfig = await TreasuryService.getConfig();
+    // The program applies its current fee to SPL tips; SOL tips pay the one quoted on the intent
+    const fee = TreasuryService.feeFor(rawAmount, mint ? tipConfig.feeBps : intent.fee_bps ?? tipConfig.feeBps);
+    const tipper = intent.payer_address;
+    const creator = intent.recipient_address;
+
+    if (!mint) {
+      return {
+        instructions: [
+          systemTransfer(tipper, creator, rawAmount - fee, intent.reference),
+          ...(fee > 0n ? [systemTransfer(tipper, treasuryWallet, fee)] : [])
+        ],
+        creates: [],
+        fee
+      };
+    }
+
+    if (fee > 0n) await TreasuryService.assertCollectsFeesIn(mint, intent.currency);
+
+    const tipperToken = await this.sourceAccount(tipper, mint, rawAmount, intent.currency);
+    const { instructions, creates, address: creatorToken } = await this.destinationAccount(tipper, creator, mint);
+    const metas = accountMetas('tip', {
+      config: configAddress(tipProgramId),
+      tipper,
+      tipperToken,
+      creatorToken,
+      treasuryToken: tipConfig.treasury,
+      tokenProgram: TOKEN_PROGRAM_ID
+    });
+
+    instructions.push(instruction(
+      tipProgramId,
+      [...metas, { address: intent.reference }],
+      encodeInstruction('tip', { amount: rawAmount, memo: '' })
+    ));
+    return { instructions, creates, fee };
+  }
+
+  /**
+   * A subscription or unlock: a transfer from the payer's wallet straight
+   * to the creator's
+   */
+  static async transferInstructions(intent, mint, decimals, rawAmount) {
+    const payer = intent.payer_address;
+    const recipient = intent.recipient_address;
+
+    if (!mint) {
+      return { instructions: [systemTransfer(payer, recipient, rawAmount, intent.reference)], creates: [], fee: 0n };
+    }
+
+    const source = await this.sourceAccount(payer, mint, rawAmount, intent.currency);
+    const { instructions, creates, address: destination } = await this.destinationAccount(payer, recipient, mint);
+    instructions.push(instruction(TOKEN_PROGRAM_ID, [
+      { address: source, isWritable: true },
+      { address: mint },
+      { address: destination, isWritable: true },
+      { address: payer, isSigner: true },
+      { address: intent.reference }
+    ], encodeTransferChecked(rawAmount, decimals)));
+    return { instructions, creates, fee: 0n };
+  }
+
+  /**
+   * The payer's token account, which must already hold the amount
+   */
+  static async sourceAccount(owner, mint, rawAmount, currency) {
+    const address = associatedTokenAddress(owner, mint);
+    const account = await getChain().getTokenAccount(address);
+    if (!account || account.amount < rawAmount) {
+      const balance = account ? toUiAmount(account.amount, account.decimals) : '0';
+      throw new BadRequestError(`Your wallet holds ${balance} ${currency}, not enough for this payment`, 'INSUFFICIENT_FUNDS');
+    }
+    return address;
+  }
+
+  /**
+   * The recipient's associated token account, with an instruction creating
+   * it (paid for by the payer) if it doesn't exist yet
+   */
+  static async destinationAccount(payer, owner, mint) {
+    const address = associatedTokenAddress(owner, mint);
+    if (await getChain().getTokenAccount(address)) return { address, instructions: [], creates: [] };
+
+    const create = instruction(ASSOCIATED_TOKEN_PROGRAM_ID, [
+      { address: payer, isSigner: true, isWritable: true },
+      { address, isWritable: true },
+      { address: owner },
+      { address: mint },
+      { address: SYSTEM_PROGRAM_ID },
+      { address: TOKEN_PROGRAM_ID }
+    ], encodeCreateIdempotent());
+    return { address, instructions: [create], creates: [address] };
+  }
+}
+
+module.exports = TransactionService;
@@ -0,0 +1,189 @@
+/**
+ * Treasury Service — tip program config and platform fee accounting
+ *
+ * The tip program's config PDA holds the fee (`fee_bps`), the treasury
+ * token account and running `total_tips` / `total_volume` counters. The fee
+ * is read from there rather than configured, and the counters and the
+ * treasury balance are reconciled against the tips recorded in the
+ * database.
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { ApiError, BadRequestError } = require('../utils/errors');
+const { configAddress, decodeConfig } = require('../utils/tipProgram');
+const { toUiAmount, toRawAmount, mulDiv, getMintDecimals } = require('../utils/tokenAmount');
+const { currencyForMint } = require('../utils/currencies');
+const { getChain } = require('./chain');
+const config = require('../config');
+
+let cached = null;
+
+class TreasuryService {
+  /**
+   * The decoded config account, cached for `treasury.configTtlMs`
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.fresh] - Skip the cache
+   * @returns {Promise<{address: string, admin: string, treasury: string, feeBps: number, totalTips: bigint, totalVolume: bigint}>}
+   */
+  static async getConfig({ fresh = false } = {}) {
+    if (!fresh && cached && Date.now() - cached.at < config.treasury.configTtlMs) return cached.config;
+
+    const { tipProgramId } = config.solana;
+    const address = configAddress(tipProgramId);
+    const account = await getChain().getAccountInfo(address);
+    if (!account || account.owner !== tipProgramId) {
+      throw new ApiError('Tip program config account not found', 503, 'CHAIN_UNAVAILABLE');
+    }
+    const { isInitialized, ...fields } = decodeConfig(account.data);
+    if (!isInitialized) throw new ApiError('Tip program is not initialized', 503, 'CHAIN_UNAVAILABLE');
+
+    cached = { config: { address, ...fields }, at: Date.now() };
+    return cached.config;
+  }
+
+  /**
+   * The platform fee on tips, in basis points
+   */
+  static async feeBps() {
+    return (await this.getConfig()).feeBps;
+  }
+
+  /**
+   * Throw unless the tip program can take its fee on a tip in an SPL mint.
+   * The fee goes to the treasury token account in the config, so tips in
+   * any other mint fail on-chain while `fee_bps` is above zero.
+   */
+  static async assertCollectsFeesIn(mint, currency) {
+    const tipConfig = await this.getConfig();
+    if (tipConfig.feeBps === 0) return;
+    const treasury = await getChain().getTokenAccount(tipConfig.treasury);
+    if (treasury?.mint === mint) return;
+    const accepted = treasury && currencyForMint(treasury.mint);
+    throw new BadRequestError(
+      `The tip program can't collect fees in ${currency}`, 'BAD_REQUEST',
+      accepted ? `Tip in ${accepted.symbol}` : null
+    );
+  }
+
+  /**
+   * The fee on a raw tip amount, rounded down as the program does
+   */
+  static feeFor(rawAmount, feeBps) {
+    return mulDiv(rawAmount, feeBps, 10000);
+  }
+
+  /**
+   * Record the current config counters and treasury balance
+   */
+  static async snapshot() {
+    const tipConfig = await this.getConfig({ fresh: true });
+    const treasury = await getChain().getTokenAccount(tipConfig.treasury);
+    return queryOne(
+      `INSERT INTO treasury_snapshots (fee_bps, total_tips, total_volume, treasury_address, treasury_mint, treasury_balance)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [tipConfig.feeBps, tipConfig.totalTips.toString(), tipConfig.totalVolume.toString(),
+        tipConfig.treasury, treasury?.mint || null, treasury ? treasury.amount.toString() : null]
+    );
+  }
+
+  /**
+   * Live tips recorded through the tip program (SPL tips; SOL tips don't
+   * touch it), optionally only those recorded after `since`. Volumes are
+   * also given in raw base units, which is how the program counts them.
+   */
+  static async recordedTips(since = null) {
+    const rows = await queryAll(
+      `SELECT mint, currency, COUNT(*) as count, SUM(amount) as volume, SUM(fee_amount) as fees
+       FROM tips
+       WHERE mint IS NOT NULL AND status <> 'dropped' AND ($1::timestamptz IS NULL OR created_at > $1)
+       GROUP BY mint, currency ORDER BY currency`,
+      [since]
+    );
+
+    let count = 0n;
+    let volumeRaw = 0n;
+    const byMint = [];
+    for (const row of rows) {
+      const decimals = await getMintDecimals(row.mint);
+      const volume = toRawAmount(row.volume, decimals);
+      const fees = toRawAmount(row.fees, decimals);
+      count += BigInt(row.count);
+      volumeRaw += volume;
+      byMint.push({ ...row, raw_volume: volume.toString(), raw_fees: fees.toString() });
+    }
+    return { count, volumeRaw, byMint };
+  }
+
+  /**
+   * Database totals against the config account, and the treasury balance
+   * change since the last snapshot against the fees recorded since then.
+   * The program counts every tip, including ones between wallets that
+   * aren't agents, so the on-chain totals can run ahead of the database;
+   * the treasury balance also moves on withdrawals.
+   */
+  static async report() {
+    const tipConfig = await this.getConfig({ fresh: true });
+    const treasury = await getChain().getTokenAccount(tipConfig.treasury);
+    const recorded = await this.recordedTips();
+    const last = await queryOne('SELECT * FROM treasury_snapshots ORDER BY created_at DESC LIMIT 1');
+
+    const decimals = treasury ? treasury.decimals : null;
+    const feesIn = (tips) => BigInt(tips.byMint.find(m => m.mint === treasury?.mint)?.raw_fees || 0);
+
+    let sinceSnapshot = null;
+    if (last) {
+      const window = await this.recordedTips(last.created_at);
+      const onchainTips = tipConfig.totalTips - BigInt(last.total_tips);
+      const onchainVolume = tipConfig.totalVolume - BigInt(last.total_volume);
+      const sameTreasury = treasury && last.treasury_address === tipConfig.treasury && last.treasury_balance !== null;
+      const balanceChange = sameTreasury ? treasury.amount - BigInt(last.treasury_balance) : null;
+
+      sinceSnapshot = {
+        snapshot_at: last.created_at,
+        fee_bps_changed: last.fee_bps !== tipConfig.feeBps ? { from: last.fee_bps, to: tipConfig.feeBps } : null,
+        onchain_tips: onchainTips.toString(),
+        recorded_tips: window.count.toString(),
+        unrecorded_tips: (onchainTips - window.count).toString(),
+        onchain_raw_volume: onchainVolume.toString(),
+        recorded_raw_volume: window.volumeRaw.toString(),
+        treasury_balance_change: balanceChange === null ? null : toUiAmount(balanceChange, decimals),
+        recorded_fees: treasury ? toUiAmount(feesIn(window), decimals) : null,
+        unexplained_treasury_change: balanceChange === null ? null : toUiAmount(balanceChange - feesIn(window), decimals)
+      };
+    }
+
+    return {
+      onchain: {
+        config_address: tipConfig.address,
+        admin: tipConfig.admin,
+        fee_bps: tipConfig.feeBps,
+        total_tips: tipConfig.totalTips.toString(),
+        total_raw_volume: tipConfig.totalVolume.toString()
+      },
+      treasury: {
+        address: tipConfig.treasury,
+        found: Boolean(treasury),
+        owner: treasury?.owner || null,
+        owner_matches: treasury ? treasury.owner === config.solana.treasuryWallet : null,
+        mint: treasury?.mint || null,
+        currency: treasury ? currencyForMint(treasury.mint)?.symbol || null : null,
+        balance: treasury ? toUiAmount(treasury.amount, decimals) : null,
+        recorded_fees: treasury ? toUiAmount(feesIn(recorded), decimals) : null
+      },
+      recorded: {
+        tips: recorded.count.toString(),
+        raw_volume: recorded.volumeRaw.toString(),
+        by_mint: recorded.byMint
+      },
+      differences: {
+        unrecorded_tips: (tipConfig.totalTips - recorded.count).toString(),
+        unrecorded_raw_volume: (tipConfig.totalVolume - recorded.volumeRaw).toString()
+      },
+      since_snapshot: sinceSnapshot
+    };
+  }
+}
+
+module.exports = TreasuryService;
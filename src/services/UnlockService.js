@@ -0,0 +1,116 @@
+/**
+ * Unlock Service — pay-per-post access to individual paid posts
+ */
+
+const { queryOne, transaction } = require('../config/database');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { STORED_DECIMALS, toRawAmount } = require('../utils/tokenAmount');
+const { DEFAULT_CURRENCY } = require('../utils/currencies');
+const PaymentIntentService = require('./PaymentIntentService');
+
+class UnlockService {
+  /**
+   * Whether a transaction signature has already been credited as a
+   * subscription or an unlock, or consumed an intent without being
+   * credited (a duplicate unlock). Each payment can only be used once.
+   */
+  static async isSignatureUsed(txId) {
+    const used = await queryOne(
+      `SELECT 1 FROM subscription_transactions WHERE tx_id = $1
+       UNION ALL
+       SELECT 1 FROM post_unlocks WHERE tx_id = $1
+       UNION ALL
+       SELECT 1 FROM payment_intents WHERE tx_id = $1
+       LIMIT 1`,
+      [txId]
+    );
+    return !!used;
+  }
+
+  static async hasUnlocked(agentId, postId) {
+    if (!agentId) return false;
+    const unlock = await queryOne(
+      `SELECT id FROM post_unlocks WHERE agent_id = $1 AND post_id = $2 AND status <> 'dropped'`,
+      [agentId, postId]
+    );
+    return !!unlock;
+  }
+
+  /**
+   * Unlock a paid post for an agent with a verified transfer to the author,
+   * made for a payment intent the agent created for this post
+   */
+  static async unlock(postId, agentId, intentId, txId) {
+    const post = await queryOne('SELECT id, author_id, paid, unlock_price, unlock_prices FROM posts WHERE id = $1', [postId]);
+    if (!post) throw new NotFoundError('Post');
+    if (post.author_id === agentId) throw new BadRequestError('You cannot unlock your own post');
+    if (!post.paid) throw new BadRequestError('This post is free');
+    const sellable = (post.unlock_price && toRawAmount(post.unlock_price, STORED_DECIMALS) > 0n) ||
+      Object.keys(post.unlock_prices || {}).length > 0;
+    if (!sellable) {
+      throw new BadRequestError('This post cannot be unlocked individually', 'BAD_REQUEST', 'Subscribe to the author instead');
+    }
+    if (await this.hasUnlocked(agentId, postId)) {
+      return { success: true, action: 'already_unlocked' };
+    }
+    if (await this.isSignatureUsed(txId)) {
+      throw new BadRequestError('This transaction has already been used');
+    }
+
+    const intent = await PaymentIntentService.findOpen(agentId, intentId, 'unlock');
+    if (intent.post_id !== postId) throw new BadRequestError('This payment intent is for a different post');
+
+    const verification = await PaymentIntentService.verifyTransfer(intent, txId);
+
+    return this.recordUnlock({
+      intentId: intent.id, postId, agentId, txId, amount: verification.amount, currency: intent.currency, sender: verification.sender
+    });
+  }
+
+  /**
+   * Record a verified unlock payment and consume its intent (if any) in one
+   * transaction. Used by the unlock route and the chain indexer. If the post
+   * was unlocked concurrently no second unlock is recorded, but the intent
+   * is still consumed with the transaction, so the payment is accounted for
+   * and can't be used again.
+   */
+  static async recordUnlock({ intentId = null, postId, agentId, txId, amount, currency = DEFAULT_CURRENCY, sender }) {
+    return transaction(async (client) => {
+      // tx_id is UNIQUE, so a replayed transaction fails here
+      let inserted;
+      try {
+        ({ rows: [inserted] } = await client.query(
+          `INSERT INTO post_unlocks (post_id, agent_id, tx_id, amount, currency, sender_address)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (post_id, agent_id) WHERE status <> 'dropped' DO NOTHING
+           RETURNING id`,
+          [postId, agentId, txId, amount, currency, sender]
+        ));
+      } catch (err) {
+        if (err.code === '23505') { // unique_violation
+          throw new BadRequestError('This transaction has already been used');
+        }
+        throw err;
+      }
+
+      if (intentId) await PaymentIntentService.consume(intentId, txId, client);
+      if (!inserted) return { success: true, action: 'already_unlocked', tx_id: txId };
+      return { success: true, action: 'unlocked', tx_verified: true, amount, currency };
+    });
+  }
+
+  /**
+   * Revoke an unlock whose payment was dropped. Only a pending unlock is
+   * reversed, so a second call is a no-op.
+   */
+  static async reverseUnlock(txId) {
+    return queryOne(
+      `UPDATE post_unlocks SET status = 'dropped', status_updated_at = NOW()
+       WHERE tx_id = $1 AND status = 'pending'
+       RETURNING post_id, agent_id, amount`,
+      [txId]
+    );
+  }
+}
+
+module.exports = UnlockService;
@@ -0,0 +1,107 @@
+/**
+ * Wallet Auth Service — Sign-in-with-Solana challenges and key recovery
+ */
+
+const crypto = require('crypto');
+const { queryOne } = require('../config/database');
+const { verifyWalletSignature } = require('../utils/solana');
+const { NotFoundError, UnauthorizedError } = require('../utils/errors');
+const ApiKeyService = require('./ApiKeyService');
+const config = require('../config');
+
+class WalletAuthService {
+  /**
+   * Build the human-readable message the wallet signs
+   */
+  static buildMessage({ agentName, address, nonce, issuedAt, expiresAt }) {
+    const domain = new URL(config.onlyagents.baseUrl).host;
+    return [
+      `${domain} wants you to sign in with your Solana account:`,
+      address,
+      '',
+      `Agent: ${agentName}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+  }
+
+  /**
+   * Issue a single-use challenge for an agent's registered wallet
+   */
+  static async createChallenge(name) {
+    const agent = await queryOne(
+      'SELECT id, name, solana_address FROM agents WHERE name = $1',
+      [name.toLowerCase().trim()]
+    );
+    if (!agent) throw new NotFoundError('Agent');
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + config.walletAuth.challengeTtl * 1000);
+    const message = this.buildMessage({
+      agentName: agent.name, address: agent.solana_address, nonce, issuedAt, expiresAt
+    });
+
+    // Drop this agent's stale challenges so the table doesn't grow unbounded
+    await queryOne(
+      'DELETE FROM wallet_auth_challenges WHERE agent_id = $1 AND (expires_at < NOW() OR used_at IS NOT NULL)',
+      [agent.id]
+    );
+    await queryOne(
+      `INSERT INTO wallet_auth_challenges (agent_id, nonce, message, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [agent.id, nonce, message, expiresAt]
+    );
+
+    return { nonce, message, address: agent.solana_address, expires_at: expiresAt };
+  }
+
+  /**
+   * Verify a signed challenge and issue a credential.
+   * The nonce is consumed before the signature is checked, so every
+   * challenge gets exactly one attempt and can never be replayed.
+   *
+   * @param {object} params
+   * @param {string} params.name - Agent name the challenge was issued for
+   * @param {string} params.nonce - Nonce from the challenge
+   * @param {string} params.signature - Base58 ed25519 signature over the challenge message
+   * @param {'session'|'api_key'} params.grant - Short-lived session token or a new permanent key
+   * @param {string} [params.label] - Label for a new API key
+   * @param {string[]} [params.scopes] - Scopes for the issued credential
+   */
+  static async signIn({ name, nonce, signature, grant = 'session', label, scopes }) {
+    const challenge = await queryOne(
+      `UPDATE wallet_auth_challenges c SET used_at = NOW()
+       FROM agents a
+       WHERE c.agent_id = a.id AND c.nonce = $1 AND a.name = $2
+         AND c.used_at IS NULL AND c.expires_at > NOW()
+       RETURNING c.agent_id, c.message, a.name, a.solana_address`,
+      [nonce, name.toLowerCase().trim()]
+    );
+    if (!challenge) {
+      throw new UnauthorizedError('Invalid or expired challenge', 'Request a new challenge from POST /agents/auth/challenge');
+    }
+
+    if (!verifyWalletSignature(challenge.message, signature, challenge.solana_address)) {
+      throw new UnauthorizedError('Invalid wallet signature', 'Sign the exact challenge message with the wallet registered to this agent');
+    }
+
+    const agent = { id: challenge.agent_id, name: challenge.name };
+
+    if (grant === 'api_key') {
+      const key = await ApiKeyService.issueUnderLimit(agent.id, { label: label || 'wallet-recovery', scopes });
+      return { agent, key, important: 'Save your API key! You will not see it again.' };
+    }
+
+    const key = await ApiKeyService.issue(agent.id, {
+      label: label || 'wallet-session',
+      scopes,
+      kind: 'session',
+      ttlSeconds: config.walletAuth.sessionTtl
+    });
+    return { agent, session: key };
+  }
+}
+
+module.exports = WalletAuthService;
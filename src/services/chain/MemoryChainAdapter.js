@@ -0,0 +1,362 @@
+/**
+ * In-process chain adapter for development and tests
+ *
+ * A deterministic ledger of SPL token and SOL balances. Seed it with
+ * `fund`, `transfer` and `tip` (or `fundSol`, `transferSol` and `tipSol`
+ * for native SOL); each call records a transaction in the same shape
+ * the RPC adapter returns, so verification code runs unchanged. Recorded
+ * transactions are finalized at once; `drop` simulates one that never
+ * finalizes. Signatures
+ * are derived from a seed and a counter and token accounts are the real
+ * associated token addresses, so the same sequence of calls always produces
+ * the same ledger.
+ */
+
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { toRawAmount } = require('../../utils/tokenAmount');
+const { SYSTEM_PROGRAM_ID, encodeSystemTransfer } = require('../../utils/systemProgram');
+const { SOL_DECIMALS } = require('../../utils/currencies');
+const { encodeInstruction, configAddress, encodeConfig } = require('../../utils/tipProgram');
+const { TOKEN_PROGRAM_ID, MEMO_PROGRAM_ID, encodeTransfer, associatedTokenAddress } = require('../../utils/splToken');
+
+const INSUFFICIENT_FUNDS = { InstructionError: [0, { Custom: 1 }] };
+
+function hash(...parts) {
+  return crypto.createHash('sha256').update(parts.join(':')).digest();
+}
+
+class MemoryChainAdapter {
+  constructor({ creamTokenMint, usdcMint, tipProgramId, treasuryWallet, tipFeeBps = 1000, decimals = 6, seed = 'onlyagents' } = {}) {
+    this.mint = creamTokenMint;
+    this.tipProgramId = tipProgramId;
+    this.treasuryWallet = treasuryWallet;
+    this.tipFeeBps = tipFeeBps;
+    this.seed = seed;
+    this.mints = new Map([[creamTokenMint, decimals]]);
+    if (usdcMint) this.mints.set(usdcMint, 6);
+    this.accounts = new Map();
+    this.wallets = new Map(); // owner -> lamport balance
+    this.movements = new Map(); // signature -> applied balance changes
+    this.tipTotals = new Map(); // signature -> tip amount added to the config totals
+    this.transactions = new Map();
+    this.history = new Map(); // address -> signatures, oldest first
+    this.slot = 0;
+
+    // The tip program's config account, as the program keeps it
+    this.tipConfig = {
+      isInitialized: true,
+      admin: bs58.encode(hash(seed, 'admin')),
+      treasury: treasuryWallet && creamTokenMint ? associatedTokenAddress(treasuryWallet, creamTokenMint) : null,
+      feeBps: tipFeeBps,
+      totalTips: 0n,
+      totalVolume: 0n
+    };
+    if (this.tipConfig.treasury) this.account(treasuryWallet, creamTokenMint);
+  }
+
+  /**
+   * Change the on-chain tip fee, as the program's update_fee would
+   */
+  setTipFee(feeBps) {
+    this.tipConfig.feeBps = feeBps;
+    this.tipFeeBps = feeBps;
+  }
+
+  registerMint(mint, decimals) {
+    this.mints.set(mint, decimals);
+  }
+
+  tokenAccount(owner, mint = this.mint) {
+    return associatedTokenAddress(owner, mint);
+  }
+
+  account(owner, mint = this.mint) {
+    const address = this.tokenAccount(owner, mint);
+    if (!this.accounts.has(address)) {
+      if (!this.mints.has(mint)) throw new Error(`Unknown mint: ${mint}`);
+      this.accounts.set(address, { address, mint, owner, amount: 0n });
+    }
+    return this.accounts.get(address);
+  }
+
+  /**
+   * A wallet's SOL balance, in the same shape as a token account
+   */
+  wallet(owner) {
+    if (!this.wallets.has(owner)) this.wallets.set(owner, { address: owner, mint: null, owner, amount: 0n });
+    return this.wallets.get(owner);
+  }
+
+  raw(amount, mint = this.mint) {
+    if (typeof amount === 'bigint') return amount;
+    return toRawAmount(amount, mint === null ? SOL_DECIMALS : this.mints.get(mint));
+  }
+
+  /**
+   * Credit a wallet without recording a transaction
+   */
+  fund(owner, amount, mint = this.mint) {
+    this.account(owner, mint).amount += this.raw(amount, mint);
+  }
+
+  /**
+   * Credit a wallet with SOL without recording a transaction
+   */
+  fundSol(owner, amount) {
+    this.wallet(owner).amount += this.raw(amount, null);
+  }
+
+  /**
+   * Record an SPL token transfer signed by `from`. The reference, if any, is
+   * added as a read-only account on the transfer instruction.
+   *
+   * @returns {string} Transaction signature
+   */
+  transfer({ from, to, amount, mint = this.mint, reference = null, memo = null, blockTime }) {
+    const source = this.account(from, mint);
+    const destination = this.account(to, mint);
+    const raw = this.raw(amount, mint);
+
+    const instructions = [{
+      programId: TOKEN_PROGRAM_ID,
+      accounts: [source.address, destination.address, from, ...(reference ? [reference] : [])],
+      data: encodeTransfer(raw)
+    }];
+
+    return this.record({
+      signer: from,
+      instructions,
+      memo,
+      movements: [[source, -raw], [destination, raw]],
+      blockTime
+    });
+  }
+
+  /**
+   * Record a system program SOL transfer signed by `from`. The reference,
+   * if any, is added as a read-only account on the transfer instruction.
+   *
+   * @returns {string} Transaction signature
+   */
+  transferSol({ from, to, amount, reference = null, memo = null, blockTime }) {
+    const raw = this.raw(amount, null);
+    return this.record({
+      signer: from,
+      instructions: [{
+        programId: SYSTEM_PROGRAM_ID,
+        accounts: [from, to, ...(reference ? [reference] : [])],
+        data: encodeSystemTransfer(raw)
+      }],
+      memo,
+      movements: [[this.wallet(from), -raw], [this.wallet(to), raw]],
+      blockTime
+    });
+  }
+
+  /**
+   * Record a tip through the tip program: the creator receives the amount
+   * net of the treasury fee. `memo` is the tip instruction's memo arg.
+   *
+   * @returns {string} Transaction signature
+   */
+  tip({ tipper, creator, amount, mint = this.mint, reference = null, memo = null, feeBps = this.tipFeeBps, blockTime }) {
+    const source = this.account(tipper, mint);
+    const destination = this.account(creator, mint);
+    const treasury = this.account(this.treasuryWallet, mint);
+    const raw = this.raw(amount, mint);
+    const fee = raw * BigInt(feeBps) / 10000n;
+
+    const instructions = [{
+      programId: this.tipProgramId,
+      accounts: [
+        configAddress(this.tipProgramId), tipper, source.address, destination.address, treasury.address, TOKEN_PROGRAM_ID,
+        ...(reference ? [reference] : [])
+      ],
+      data: encodeInstruction('tip', { amount: raw, memo })
+    }];
+    const innerInstructions = [
+      { programId: TOKEN_PROGRAM_ID, accounts: [source.address, destination.address, tipper], data: encodeTransfer(raw - fee) },
+      ...(fee > 0n ? [{ programId: TOKEN_PROGRAM_ID, accounts: [source.address, treasury.address, tipper], data: encodeTransfer(fee) }] : [])
+    ];
+
+    const signature = this.record({
+      signer: tipper,
+      instructions,
+      innerInstructions,
+      movements: [[source, -raw], [destination, raw - fee], [treasury, fee]],
+      blockTime
+    });
+    if (!this.transactions.get(signature).err) {
+      this.tipConfig.totalTips += 1n;
+      this.tipConfig.totalVolume += raw;
+      this.tipTotals.set(signature, raw);
+    }
+    return signature;
+  }
+
+  /**
+   * Record a SOL tip: the tip program only moves SPL tokens, so this is
+   * two system transfers in one transaction, the amount net of the fee to
+   * the creator and the fee to the treasury.
+   *
+   * @returns {string} Transaction signature
+   */
+  tipSol({ tipper, creator, amount, reference = null, memo = null, feeBps = this.tipFeeBps, blockTime }) {
+    const raw = this.raw(amount, null);
+    const fee = raw * BigInt(feeBps) / 10000n;
+    const source = this.wallet(tipper);
+    const destination = this.wallet(creator);
+    const treasury = this.wallet(this.treasuryWallet);
+
+    const instructions = [
+      { programId: SYSTEM_PROGRAM_ID, accounts: [tipper, creator, ...(reference ? [reference] : [])], data: encodeSystemTransfer(raw - fee) },
+      ...(fee > 0n ? [{ programId: SYSTEM_PROGRAM_ID, accounts: [tipper, this.treasuryWallet], data: encodeSystemTransfer(fee) }] : [])
+    ];
+
+    return this.record({
+      signer: tipper,
+      instructions,
+      memo,
+      movements: [[source, -raw], [destination, raw - fee], [treasury, fee]],
+      blockTime
+    });
+  }
+
+  /**
+   * Apply balance movements and store the transaction. Movements on SOL
+   * wallets change balances but, like on RPC, aren't token balances. A transfer the
+   * signer can't cover is recorded as failed and moves nothing.
+   */
+  record({ signer, instructions, innerInstructions = [], memo, movements, blockTime }) {
+    this.slot += 1;
+    const signature = bs58.encode(Buffer.concat([hash(this.seed, 'tx', this.slot), hash(this.seed, 'sig', this.slot)]));
+
+    if (memo) {
+      instructions.push({ programId: MEMO_PROGRAM_ID, accounts: [signer], data: Buffer.from(memo, 'utf8') });
+    }
+
+    const funded = movements.every(([acc, delta]) => acc.amount + delta >= 0n);
+    const tokenBalances = movements.filter(([acc]) => acc.mint !== null).map(([acc, delta]) => ({
+      address: acc.address,
+      mint: acc.mint,
+      owner: acc.owner,
+      decimals: this.mints.get(acc.mint),
+      pre: acc.amount,
+      post: funded ? acc.amount + delta : acc.amount
+    }));
+    if (funded) for (const [acc, delta] of movements) acc.amount += delta;
+
+    const addresses = [signer, ...new Set(
+      [...instructions, ...innerInstructions].flatMap(ix => [...ix.accounts, ix.programId]).filter(a => a !== signer)
+    )];
+    const writable = new Set(movements.map(([acc]) => acc.address));
+
+    const logMessages = instructions.flatMap(ix => [
+      `Program ${ix.programId} invoke [1]`,
+      ...(ix.programId === MEMO_PROGRAM_ID ? [`Program log: Memo (len ${ix.data.length}): "${ix.data.toString('utf8')}"`] : []),
+      `Program ${ix.programId} ${funded ? 'success' : 'failed: custom program error: 0x1'}`
+    ]);
+
+    this.transactions.set(signature, {
+      signature,
+      slot: this.slot,
+      blockTime: blockTime ?? Math.floor(Date.now() / 1000),
+      err: funded ? null : INSUFFICIENT_FUNDS,
+      accountKeys: addresses.map(address => ({
+        address,
+        signer: address === signer,
+        writable: address === signer || writable.has(address)
+      })),
+      instructions,
+      innerInstructions: funded ? innerInstructions : [],
+      tokenBalances,
+      logMessages
+    });
+    this.movements.set(signature, funded ? movements : []);
+    for (const address of addresses) {
+      if (!this.history.has(address)) this.history.set(address, []);
+      this.history.get(address).push(signature);
+    }
+    return signature;
+  }
+
+  /**
+   * Forget a transaction as if its block never finalized, undoing its
+   * balance changes
+   */
+  drop(signature) {
+    const tx = this.transactions.get(signature);
+    if (!tx) return;
+    for (const [acc, delta] of this.movements.get(signature)) acc.amount -= delta;
+    this.movements.delete(signature);
+    if (this.tipTotals.has(signature)) {
+      this.tipConfig.totalTips -= 1n;
+      this.tipConfig.totalVolume -= this.tipTotals.get(signature);
+      this.tipTotals.delete(signature);
+    }
+    this.transactions.delete(signature);
+    for (const sigs of this.history.values()) {
+      const i = sigs.indexOf(signature);
+      if (i !== -1) sigs.splice(i, 1);
+    }
+  }
+
+  async getTransaction(signature) {
+    return this.transactions.get(signature) || null;
+  }
+
+  async getSignatureStatuses(signatures) {
+    return signatures.map(signature => {
+      const tx = this.transactions.get(signature);
+      return tx ? { signature, slot: tx.slot, confirmationStatus: 'finalized', err: tx.err } : null;
+    });
+  }
+
+  /**
+   * Signatures involving an address, newest first, with the RPC paging
+   * options: `before` and `until` are exclusive bounds.
+   */
+  async getSignaturesForAddress(address, { before, until, limit = 1000 } = {}) {
+    const newestFirst = [...(this.history.get(address) || [])].reverse();
+    let start = before ? newestFirst.indexOf(before) + 1 : 0;
+    if (before && start === 0) start = newestFirst.length;
+    let end = until ? newestFirst.indexOf(until) : -1;
+    if (end === -1) end = newestFirst.length;
+    return newestFirst.slice(start, Math.max(start, end)).slice(0, limit).map(signature => {
+      const tx = this.transactions.get(signature);
+      return { signature, slot: tx.slot, blockTime: tx.blockTime, err: tx.err };
+    });
+  }
+
+  async getTokenAccount(address) {
+    const acc = this.accounts.get(address);
+    if (!acc) return null;
+    return { ...acc, decimals: this.mints.get(acc.mint) };
+  }
+
+  /**
+   * The tip program's config account and SOL wallets; token accounts are
+   * read through getTokenAccount
+   */
+  async getAccountInfo(address) {
+    if (this.tipProgramId && address === configAddress(this.tipProgramId)) {
+      return { address, owner: this.tipProgramId, lamports: 1461600n, data: encodeConfig(this.tipConfig) };
+    }
+    const wallet = this.wallets.get(address);
+    if (!wallet) return null;
+    return { address, owner: SYSTEM_PROGRAM_ID, lamports: wallet.amount, data: Buffer.alloc(0) };
+  }
+
+  async getLatestBlockhash() {
+    return { blockhash: bs58.encode(hash(this.seed, 'blockhash', this.slot)), lastValidBlockHeight: this.slot + 150 };
+  }
+
+  async getMint(address) {
+    if (!this.mints.has(address)) return null;
+    const supply = [...this.accounts.values()].filter(a => a.mint === address).reduce((sum, a) => sum + a.amount, 0n);
+    return { address, decimals: this.mints.get(address), supply };
+  }
+}
+
+module.exports = MemoryChainAdapter;
@@ -0,0 +1,121 @@
+/**
+ * Chain adapter backed by a Solana JSON-RPC node
+ */
+
+const bs58 = require('bs58');
+const { Connection, PublicKey } = require('@solana/web3.js');
+
+class RpcChainAdapter {
+  constructor({ rpcUrl, commitment = 'confirmed', connection = null } = {}) {
+    this.commitment = commitment;
+    this.connection = connection || new Connection(rpcUrl, commitment);
+  }
+
+  async getTransaction(signature) {
+    const tx = await this.connection.getTransaction(signature, {
+      commitment: this.commitment,
+      maxSupportedTransactionVersion: 0
+    });
+    if (!tx) return null;
+
+    const { message } = tx.transaction;
+    const meta = tx.meta || {};
+    const addresses = message.getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses })
+      .keySegments().flat().map(k => k.toBase58());
+
+    const tokenBalances = new Map();
+    const balance = (b) => {
+      if (!tokenBalances.has(b.accountIndex)) {
+        tokenBalances.set(b.accountIndex, {
+          address: addresses[b.accountIndex],
+          mint: b.mint,
+          owner: b.owner,
+          decimals: b.uiTokenAmount.decimals,
+          pre: 0n,
+          post: 0n
+        });
+      }
+      return tokenBalances.get(b.accountIndex);
+    };
+    for (const b of meta.preTokenBalances || []) balance(b).pre = BigInt(b.uiTokenAmount.amount);
+    for (const b of meta.postTokenBalances || []) balance(b).post = BigInt(b.uiTokenAmount.amount);
+
+    return {
+      signature,
+      slot: tx.slot,
+      blockTime: tx.blockTime,
+      err: meta.err || null,
+      accountKeys: addresses.map((address, i) => ({
+        address,
+        signer: i < message.header.numRequiredSignatures,
+        writable: message.isAccountWritable(i)
+      })),
+      instructions: message.compiledInstructions.map(ix => ({
+        programId: addresses[ix.programIdIndex],
+        accounts: ix.accountKeyIndexes.map(i => addresses[i]),
+        data: Buffer.from(ix.data)
+      })),
+      innerInstructions: (meta.innerInstructions || []).flatMap(group => group.instructions.map(ix => ({
+        programId: addresses[ix.programIdIndex],
+        accounts: ix.accounts.map(i => addresses[i]),
+        data: Buffer.from(bs58.decode(ix.data))
+      }))),
+      tokenBalances: [...tokenBalances.values()],
+      logMessages: meta.logMessages || []
+    };
+  }
+
+  /**
+   * Signatures involving an address, newest first
+   */
+  async getSignaturesForAddress(address, { before, until, limit = 1000 } = {}) {
+    const sigs = await this.connection.getSignaturesForAddress(new PublicKey(address), { before, until, limit }, this.commitment);
+    return sigs.map(s => ({ signature: s.signature, slot: s.slot, blockTime: s.blockTime, err: s.err }));
+  }
+
+  /**
+   * Current status of each signature, looked up across the full history
+   */
+  async getSignatureStatuses(signatures) {
+    const { value } = await this.connection.getSignatureStatuses(signatures, { searchTransactionHistory: true });
+    return value.map((s, i) => s && {
+      signature: signatures[i],
+      slot: s.slot,
+      confirmationStatus: s.confirmationStatus,
+      err: s.err
+    });
+  }
+
+  async getTokenAccount(address) {
+    const info = await this.connection.getParsedAccountInfo(new PublicKey(address), this.commitment);
+    const parsed = info?.value?.data?.parsed;
+    if (!parsed || parsed.type !== 'account') return null;
+    return {
+      address,
+      mint: parsed.info.mint,
+      owner: parsed.info.owner,
+      decimals: parsed.info.tokenAmount.decimals,
+      amount: BigInt(parsed.info.tokenAmount.amount)
+    };
+  }
+
+  async getAccountInfo(address) {
+    const info = await this.connection.getAccountInfo(new PublicKey(address), this.commitment);
+    if (!info) return null;
+    return { address, owner: info.owner.toBase58(), lamports: BigInt(info.lamports), data: Buffer.from(info.data) };
+  }
+
+  async getLatestBlockhash() {
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash(this.commitment);
+    return { blockhash, lastValidBlockHeight };
+  }
+
+  async getMint(address) {
+    const info = await this.connection.getParsedAccountInfo(new PublicKey(address), this.commitment);
+    const parsed = info?.value?.data?.parsed;
+    if (!parsed || parsed.type !== 'mint') return null;
+    return { address, decimals: parsed.info.decimals, supply: BigInt(parsed.info.supply) };
+  }
+}
+
+module.exports = RpcChainAdapter;
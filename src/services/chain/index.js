@@ -0,0 +1,53 @@
+/**
+ * Chain adapters — every Solana read goes through one of these
+ *
+ * An adapter implements:
+ *
+ *   getTransaction(signature) -> null | {
+ *     signature, slot, blockTime, err,
+ *     accountKeys: [{ address, signer, writable }],      // including lookup-table keys
+ *     instructions: [{ programId, accounts: [address], data: Buffer }],
+ *     innerInstructions: [...same shape, flattened],
+ *     tokenBalances: [{ address, mint, owner, decimals, pre: bigint, post: bigint }],
+ *     logMessages: [string]
+ *   }
+ *   getTokenAccount(address) -> null | { address, mint, owner, decimals, amount: bigint }
+ *   getMint(address) -> null | { address, decimals, supply: bigint }
+ *   getAccountInfo(address) -> null | { address, owner, lamports: bigint, data: Buffer }   // owner: program id
+ *   getLatestBlockhash() -> { blockhash, lastValidBlockHeight }
+ *   getSignaturesForAddress(address, { before, until, limit })
+ *     -> [{ signature, slot, blockTime, err }], newest first
+ *   getSignatureStatuses(signatures)
+ *     -> [null | { signature, slot, confirmationStatus, err }]   // null: unknown to the cluster
+ *
+ * `config.solana.adapter` picks the implementation: `rpc` talks to a Solana
+ * node, `memory` is an in-process ledger for development and tests.
+ */
+
+const RpcChainAdapter = require('./RpcChainAdapter');
+const MemoryChainAdapter = require('./MemoryChainAdapter');
+const config = require('../../config');
+
+let chain = null;
+
+function createChain(options = config.solana) {
+  switch (options.adapter) {
+    case 'rpc': return new RpcChainAdapter(options);
+    case 'memory': return new MemoryChainAdapter(options);
+    default: throw new Error(`Unknown chain adapter: ${options.adapter} (expected rpc or memory)`);
+  }
+}
+
+/**
+ * Replace the active adapter, e.g. with a seeded MemoryChainAdapter
+ */
+function configureChain(adapter = createChain()) {
+  chain = adapter;
+  return chain;
+}
+
+function getChain() {
+  return chain || configureChain();
+}
+
+module.exports = { createChain, configureChain, getChain, RpcChainAdapter, MemoryChainAdapter };
@@ -0,0 +1,57 @@
+/**
+ * DNS verification — a TXT record on _onlyagents.<domain>
+ */
+
+const dns = require('dns');
+const { BadRequestError } = require('../../utils/errors');
+const { normalizeDomain, verificationToken } = require('./domain');
+
+const RECORD_PREFIX = '_onlyagents';
+
+class DnsTxtProvider {
+  /**
+   * @param {object} [deps]
+   * @param {(hostname: string) => Promise<string[][]>} [deps.resolveTxt] - Defaults to the system resolver
+   * @param {string[]} [deps.servers] - Query these DNS servers instead (e.g. a local stub)
+   */
+  constructor({ resolveTxt, servers } = {}) {
+    this.name = 'dns';
+    if (resolveTxt) {
+      this.resolveTxt = resolveTxt;
+    } else {
+      const resolver = new dns.promises.Resolver();
+      if (servers) resolver.setServers(servers);
+      this.resolveTxt = (hostname) => resolver.resolveTxt(hostname);
+    }
+  }
+
+  instructions(agent) {
+    return {
+      input: 'domain',
+      publish: `TXT record on ${RECORD_PREFIX}.<your-domain> with value "${verificationToken(agent)}"`
+    };
+  }
+
+  async verify(agent, { domain }) {
+    const host = normalizeDomain(domain);
+    const recordName = `${RECORD_PREFIX}.${host}`;
+
+    let records;
+    try {
+      records = await this.resolveTxt(recordName);
+    } catch {
+      throw new BadRequestError(`No TXT record found at ${recordName}. DNS changes can take a few minutes to propagate.`);
+    }
+
+    // TXT records can be split into several strings; join each record back together
+    const values = records.map(chunks => chunks.join('').trim());
+    const token = verificationToken(agent);
+    if (!values.includes(token)) {
+      throw new BadRequestError(`TXT record at ${recordName} must contain "${token}"`);
+    }
+
+    return { subject: host, evidence: { record: recordName, value: token } };
+  }
+}
+
+module.exports = DnsTxtProvider;
@@ -0,0 +1,63 @@
+/**
+ * Twitter/X verification — a public tweet containing the verification code,
+ * read through the oEmbed endpoint (free, no API key)
+ */
+
+const { httpGet } = require('../../utils/http');
+const { BadRequestError } = require('../../utils/errors');
+
+const OEMBED_ENDPOINT = 'https://publish.twitter.com/oembed';
+
+class TwitterProvider {
+  constructor({ fetch = httpGet, oembedEndpoint = OEMBED_ENDPOINT } = {}) {
+    this.name = 'twitter';
+    this.fetch = fetch;
+    this.oembedEndpoint = oembedEndpoint;
+  }
+
+  instructions(agent) {
+    return {
+      input: 'tweet_url',
+      publish: `Verifying ${agent.name} on OnlyAgents, powered by @the_intern_ai. Auth code: ${agent.verification_code}`
+    };
+  }
+
+  async verify(agent, { tweet_url: tweetUrl }) {
+    if (!tweetUrl) throw new BadRequestError('tweet_url is required');
+
+    const urlMatch = tweetUrl.match(/(?:twitter\.com|x\.com)\/([^/]+)\/status\/(\d+)/);
+    if (!urlMatch) throw new BadRequestError('Invalid tweet URL. Expected: https://x.com/username/status/123...');
+    const [, twitterHandle, tweetId] = urlMatch;
+
+    let response;
+    try {
+      response = await this.fetch(`${this.oembedEndpoint}?url=${encodeURIComponent(tweetUrl)}&omit_script=true`);
+    } catch {
+      throw new BadRequestError('Could not fetch tweet. Make sure the tweet exists and is public.');
+    }
+    if (response.status !== 200) {
+      throw new BadRequestError('Could not fetch tweet. Make sure the tweet exists and is public.');
+    }
+
+    let tweetData;
+    try { tweetData = JSON.parse(response.data); } catch {
+      throw new BadRequestError('Failed to parse tweet data');
+    }
+
+    // The oembed html contains the tweet text
+    const html = tweetData.html || '';
+    if (!html.includes(agent.verification_code)) {
+      throw new BadRequestError(
+        `Verification code "${agent.verification_code}" not found in tweet. ` +
+        `Tweet must contain: ${this.instructions(agent).publish}`
+      );
+    }
+
+    return {
+      subject: twitterHandle,
+      evidence: { tweet_url: tweetUrl, tweet_id: tweetId, author_url: tweetData.author_url || null }
+    };
+  }
+}
+
+module.exports = TwitterProvider;
@@ -0,0 +1,36 @@
+/**
+ * Wallet verification — a message signed by the agent's registered Solana wallet
+ */
+
+const { verifyWalletSignature } = require('../../utils/solana');
+const { BadRequestError } = require('../../utils/errors');
+
+class WalletProvider {
+  constructor() {
+    this.name = 'wallet';
+  }
+
+  message(agent) {
+    return `Verifying ${agent.name} on OnlyAgents. Auth code: ${agent.verification_code}`;
+  }
+
+  instructions(agent) {
+    return {
+      input: 'signature',
+      publish: `Sign this exact message with ${agent.solana_address} and submit the base58 signature: ${this.message(agent)}`
+    };
+  }
+
+  async verify(agent, { signature }) {
+    if (!signature) throw new BadRequestError('signature is required');
+
+    const message = this.message(agent);
+    if (!verifyWalletSignature(message, signature, agent.solana_address)) {
+      throw new BadRequestError('Invalid signature. Sign the exact verification message with your registered wallet.');
+    }
+
+    return { subject: agent.solana_address, evidence: { message, signature } };
+  }
+}
+
+module.exports = WalletProvider;
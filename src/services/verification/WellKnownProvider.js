@@ -0,0 +1,59 @@
+/**
+ * Well-known file verification — https://<domain>/.well-known/onlyagents.txt
+ */
+
+const { publicGet } = require('../../utils/ssrf');
+const { BadRequestError } = require('../../utils/errors');
+const { normalizeDomain, verificationToken } = require('./domain');
+
+const WELL_KNOWN_PATH = '/.well-known/onlyagents.txt';
+const MAX_FILE_BYTES = 16 * 1024;
+
+class WellKnownProvider {
+  /**
+   * @param {object} [deps]
+   * @param {Function} [deps.fetch] - Defaults to httpGet restricted to public
+   *   addresses, since the domain is the agent's to choose
+   */
+  constructor({ fetch = publicGet } = {}) {
+    this.name = 'well_known';
+    this.fetch = fetch;
+  }
+
+  instructions(agent) {
+    return {
+      input: 'domain',
+      publish: `A line "${verificationToken(agent)}" in https://<your-domain>${WELL_KNOWN_PATH}`
+    };
+  }
+
+  async verify(agent, { domain }) {
+    const host = normalizeDomain(domain);
+    const url = `https://${host}${WELL_KNOWN_PATH}`;
+
+    // Every failure gets the same message: network errors and status codes
+    // would tell the caller what is listening behind the domain
+    const unreachable = () => new BadRequestError(
+      `Could not fetch ${url}`,
+      'BAD_REQUEST',
+      `Serve ${WELL_KNOWN_PATH} over HTTPS from a public address with a 200 response`
+    );
+    let response;
+    try {
+      response = await this.fetch(url, { maxBytes: MAX_FILE_BYTES });
+    } catch {
+      throw unreachable();
+    }
+    if (response.status !== 200) throw unreachable();
+
+    const token = verificationToken(agent);
+    const lines = response.data.split(/\r?\n/).map(line => line.trim());
+    if (!lines.includes(token)) {
+      throw new BadRequestError(`${url} must contain the line "${token}"`);
+    }
+
+    return { subject: host, evidence: { url, line: token } };
+  }
+}
+
+module.exports = WellKnownProvider;
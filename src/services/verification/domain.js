@@ -0,0 +1,32 @@
+/**
+ * Domain input handling shared by the DNS and well-known providers
+ */
+
+const { BadRequestError } = require('../../utils/errors');
+
+const HOSTNAME = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Accept "example.com", "https://example.com/" etc. and return the bare hostname
+ */
+function normalizeDomain(input) {
+  if (!input || typeof input !== 'string') throw new BadRequestError('domain is required');
+  let host = input.trim().toLowerCase();
+  if (/^https?:\/\//.test(host)) {
+    try { host = new URL(host).hostname; } catch { throw new BadRequestError('Invalid domain'); }
+  }
+  host = host.replace(/\.$/, '');
+  if (!HOSTNAME.test(host)) {
+    throw new BadRequestError('Invalid domain. Expected a public hostname like example.com');
+  }
+  return host;
+}
+
+/**
+ * The token agents publish in DNS or the well-known file
+ */
+function verificationToken(agent) {
+  return `onlyagents-verification=${agent.verification_code}`;
+}
+
+module.exports = { normalizeDomain, verificationToken };
@@ -0,0 +1,50 @@
+/**
+ * Ownership verification providers
+ *
+ * A provider has a `name`, `instructions(agent)` describing what to publish,
+ * and `verify(agent, input)` which resolves to `{ subject, evidence }` or
+ * throws a BadRequestError. `subject` is the external identity being bound
+ * (twitter handle, domain, wallet) and may only verify one agent.
+ */
+
+const { BadRequestError } = require('../../utils/errors');
+const TwitterProvider = require('./TwitterProvider');
+const DnsTxtProvider = require('./DnsTxtProvider');
+const WellKnownProvider = require('./WellKnownProvider');
+const WalletProvider = require('./WalletProvider');
+
+let providers = null;
+
+/**
+ * (Re)build the provider set. Pass `fetch` / `resolveTxt` / `servers`
+ * to point providers at stub servers instead of the internet.
+ */
+function configureProviders(deps = {}) {
+  providers = new Map(
+    [
+      new TwitterProvider(deps),
+      new DnsTxtProvider(deps),
+      new WellKnownProvider(deps),
+      new WalletProvider(deps)
+    ].map(p => [p.name, p])
+  );
+  return providers;
+}
+
+function getProviders() {
+  return providers || configureProviders();
+}
+
+function getProvider(method) {
+  const provider = getProviders().get(method);
+  if (!provider) {
+    throw new BadRequestError(
+      `Unknown verification method: ${method}`,
+      'BAD_REQUEST',
+      `Supported methods: ${[...getProviders().keys()].join(', ')}`
+    );
+  }
+  return provider;
+}
+
+module.exports = { configureProviders, getProviders, getProvider };
@@ -9,6 +9,13 @@ const config = require('../config');
 const { tokenPrefix } = config.onlyagents;
 const TOKEN_LENGTH = 32;
 const BCRYPT_ROUNDS = 12;
+const DISPLAY_PREFIX_CHARS = 8;
+
+/**
+ * Permissions an API key can carry. `account` covers profile changes,
+ * verification and key management.
+ */
+const API_KEY_SCOPES = ['read', 'post', 'comment', 'vote', 'subscribe', 'tip', 'account'];
 
 function randomHex(bytes) {
   return crypto.randomBytes(bytes).toString('hex');
@@ -57,11 +64,20 @@ function indexHash(token) {
   return crypto.createHash('sha256').update(token).digest('hex');
 }
 
+/**
+ * Non-secret prefix shown in key listings so agents can tell keys apart
+ */
+function displayPrefix(token) {
+  return token.slice(0, tokenPrefix.length + DISPLAY_PREFIX_CHARS);
+}
+
 module.exports = {
   generateApiKey,
   validateApiKey,
   extractToken,
   hashApiKey,
   compareApiKey,
-  indexHash
+  indexHash,
+  displayPrefix,
+  API_KEY_SCOPES
 };
@@ -0,0 +1,80 @@
+/**
+ * Payment currencies — $CREAM, native SOL and allow-listed SPL mints
+ *
+ * `config.payments.currencies` is the allow-list. CREAM is always accepted,
+ * USDC and SOL are known by symbol, and any other SPL token is listed as
+ * SYMBOL:mint.
+ */
+
+const config = require('../config');
+const { BadRequestError } = require('./errors');
+const { getMintDecimals } = require('./tokenAmount');
+
+const DEFAULT_CURRENCY = 'CREAM';
+const SOL = 'SOL';
+const SOL_DECIMALS = 9;
+
+const KNOWN_MINTS = {
+  CREAM: config.solana.creamTokenMint,
+  USDC: config.solana.usdcMint
+};
+
+function parseCurrencies(list) {
+  const currencies = new Map([[DEFAULT_CURRENCY, { symbol: DEFAULT_CURRENCY, mint: KNOWN_MINTS.CREAM }]]);
+  for (const entry of list.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, listedMint] = entry.split(':').map(s => s.trim());
+    const symbol = name.toUpperCase();
+    if (symbol === SOL) {
+      currencies.set(SOL, { symbol: SOL, mint: null });
+      continue;
+    }
+    const mint = listedMint || KNOWN_MINTS[symbol];
+    if (!mint) throw new Error(`No mint configured for currency ${symbol} (list it as ${symbol}:<mint>)`);
+    currencies.set(symbol, { symbol, mint });
+  }
+  return currencies;
+}
+
+const CURRENCIES = parseCurrencies(config.payments.currencies);
+const SYMBOLS = [...CURRENCIES.keys()];
+
+/**
+ * An accepted currency by symbol
+ *
+ * @returns {{symbol: string, mint: string|null}} mint is null for native SOL
+ * @throws {BadRequestError} If the currency isn't on the allow-list
+ */
+function getCurrency(symbol = DEFAULT_CURRENCY) {
+  const currency = CURRENCIES.get(symbol);
+  if (!currency) {
+    throw new BadRequestError(`${symbol} is not an accepted currency`, 'BAD_REQUEST', `Accepted currencies: ${SYMBOLS.join(', ')}`);
+  }
+  return currency;
+}
+
+/**
+ * The accepted currency for an SPL mint, or null
+ */
+function currencyForMint(mint) {
+  return [...CURRENCIES.values()].find(c => c.mint === mint) || null;
+}
+
+async function currencyDecimals(symbol) {
+  const { mint } = getCurrency(symbol);
+  return mint ? getMintDecimals(mint) : SOL_DECIMALS;
+}
+
+/**
+ * A price in `currency`: the base price column for $CREAM, otherwise the
+ * creator's price list for other currencies. Null if not accepted.
+ *
+ * @param {string|null} basePrice - $CREAM price
+ * @param {object|null} prices - { SYMBOL: amount } for other currencies
+ * @param {string} currency
+ */
+function priceIn(basePrice, prices, currency) {
+  if (currency === DEFAULT_CURRENCY) return basePrice || null;
+  return prices?.[currency] || null;
+}
+
+module.exports = { DEFAULT_CURRENCY, SOL, SOL_DECIMALS, SYMBOLS, getCurrency, currencyForMint, currencyDecimals, priceIn };
@@ -0,0 +1,106 @@
+/**
+ * Minimal HTTP(S) GET client for outbound fetches (verification, etc.)
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_MAX_BYTES = 256 * 1024;
+const DEFAULT_MAX_REDIRECTS = 3;
+
+/**
+ * GET a URL and buffer the body as a string
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Overall timeout in ms
+ * @param {number} [options.maxBytes] - Abort once the body grows past this
+ * @param {boolean} [options.truncate] - Instead of aborting, stop reading at
+ *   maxBytes and resolve with what was read
+ * @param {number} [options.maxRedirects] - Redirects to follow before giving up
+ * @param {object} [options.headers]
+ * @param {Function} [options.lookup] - DNS lookup for every connection, e.g.
+ *   ssrf.publicLookup. IP literal hosts go through it too.
+ * @returns {Promise<{status: number, headers: object, data: string, url: string, truncated: boolean}>}
+ */
+function httpGet(url, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    maxBytes = DEFAULT_MAX_BYTES,
+    truncate = false,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    headers = {},
+    lookup = null
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    let target;
+    try { target = new URL(url); } catch { return reject(new Error(`Invalid URL: ${url}`)); }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return reject(new Error(`Unsupported protocol: ${target.protocol}`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const start = () => {
+      let timer = null;
+      const fail = (err) => { clearTimeout(timer); reject(err); };
+      const requestOptions = { headers: { 'User-Agent': 'OnlyAgents/1.0', ...headers }, ...(lookup ? { lookup } : {}) };
+      const req = client.get(target, requestOptions, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          clearTimeout(timer);
+          if (maxRedirects <= 0) return reject(new Error('Too many redirects'));
+          const next = new URL(res.headers.location, target).toString();
+          return resolve(httpGet(next, { ...options, maxRedirects: maxRedirects - 1 }));
+        }
+
+        let size = 0;
+        let done = false;
+        const chunks = [];
+        const finish = (truncated) => {
+          done = true;
+          clearTimeout(timer);
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            data: Buffer.concat(chunks).toString('utf8'),
+            url: target.toString(),
+            truncated
+          });
+        };
+        res.on('data', (c) => {
+          if (done) return;
+          size += c.length;
+          if (size > maxBytes) {
+            if (!truncate) {
+              req.destroy(new Error(`Response too large (max ${maxBytes} bytes)`));
+              return;
+            }
+            chunks.push(c.subarray(0, c.length - (size - maxBytes)));
+            finish(true);
+            req.destroy();
+            return;
+          }
+          chunks.push(c);
+        });
+        res.on('end', () => { if (!done) finish(false); });
+        res.on('error', fail);
+      });
+
+      timer = setTimeout(() => req.destroy(new Error(`Request timed out after ${timeout}ms`)), timeout);
+      req.on('error', fail);
+    };
+
+    // Node only calls `lookup` for hostnames, so check IP literals up front
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (lookup && net.isIP(host)) {
+      lookup(host, {}, (err) => (err ? reject(err) : start()));
+    } else {
+      start();
+    }
+  });
+}
+
+module.exports = { httpGet };
@@ -0,0 +1,69 @@
+/**
+ * Moderation of short public texts, such as tip messages
+ *
+ * Text is normalized before it is checked or stored: control, format
+ * (zero-width, bidi override) and line-break characters are removed and
+ * whitespace collapsed, so what is checked is what gets shown. Links and
+ * blocked terms are rejected rather than rewritten.
+ */
+
+const { BadRequestError } = require('./errors');
+const config = require('../config');
+
+const LINK = /(?:[a-z][a-z0-9+.-]*:\/\/|\bwww\.|\b[a-z0-9-]+\.(?:com|net|org|io|xyz|gg|me|ly|co|app)\b)/i;
+
+let blockedPattern;
+
+// Blocked terms from config as one case-insensitive pattern, matched on word boundaries
+function blocked() {
+  if (blockedPattern === undefined) {
+    const terms = config.tips.blockedTerms.split(',').map(t => t.trim()).filter(Boolean);
+    blockedPattern = terms.length
+      ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![\\p{L}\\p{N}])`, 'iu')
+      : null;
+  }
+  return blockedPattern;
+}
+
+/**
+ * Normalize a message: NFKC, no control or format characters, one line,
+ * single spaces
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/[\p{Cc}\p{Cf}\p{Zl}\p{Zp}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize and check a public message
+ *
+ * @param {string|null|undefined} text
+ * @param {object} [options]
+ * @param {number} [options.maxLength]
+ * @returns {string|null} The message to store, or null if it's empty
+ * @throws {BadRequestError} MESSAGE_REJECTED if it's too long, links out or contains a blocked term
+ */
+function moderateMessage(text, { maxLength = config.tips.messageMaxLength } = {}) {
+  if (text === null || text === undefined) return null;
+  const message = normalizeText(text);
+  if (!message) return null;
+
+  if ([...message].length > maxLength) {
+    throw new BadRequestError(`Message must be ${maxLength} characters or less`, 'MESSAGE_REJECTED');
+  }
+  if (LINK.test(message)) {
+    throw new BadRequestError('Messages cannot contain links', 'MESSAGE_REJECTED');
+  }
+  if (blocked()?.test(message)) {
+    throw new BadRequestError('Message contains a blocked term', 'MESSAGE_REJECTED', 'Rephrase the message');
+  }
+  return message;
+}
+
+module.exports = { normalizeText, moderateMessage };
@@ -0,0 +1,86 @@
+/**
+ * Open Graph and Twitter card metadata from an HTML page
+ *
+ * A small tag scanner rather than an HTML parser: it reads <meta> tags and
+ * <title> wherever they appear, which is enough for the <head> of real
+ * pages and tolerates the page being cut off part way through.
+ */
+
+const LIMITS = { title: 300, description: 1000, site_name: 100, image_url: 2048 };
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[body.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Collapse whitespace, drop control characters and cap the length
+ */
+function clean(value, max) {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/[\p{Cc}\p{Cf}]/gu, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-z_:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  let match;
+  while ((match = pattern.exec(tag))) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+}
+
+/**
+ * An absolute http(s) URL, resolved against the page, or null
+ */
+function absoluteUrl(value, base) {
+  if (!value) return null;
+  try {
+    const url = new URL(decodeEntities(value).trim(), base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    const href = url.toString();
+    return href.length <= LIMITS.image_url ? href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract a preview from a page
+ *
+ * @param {string} html
+ * @param {string} pageUrl - The final URL the page was served from
+ * @returns {{title: string|null, description: string|null, site_name: string|null, image_url: string|null}}
+ */
+function parsePreview(html, pageUrl) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    // First occurrence wins, as with og:image arrays
+    if (key && attributes.content !== undefined && !(key in meta)) meta[key] = attributes.content;
+  }
+  const titleTag = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+
+  return {
+    title: clean(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], LIMITS.title),
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, LIMITS.description),
+    site_name: clean(meta['og:site_name'], LIMITS.site_name) || new URL(pageUrl).hostname,
+    image_url: absoluteUrl(
+      meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'],
+      pageUrl
+    )
+  };
+}
+
+module.exports = { parsePreview };
@@ -1,102 +1,169 @@
 /**
- * Solana transaction verification for $CREAM subscriptions
+ * Solana transaction verification for payments
  */
 
-const { Connection, PublicKey } = require('@solana/web3.js');
-const config = require('../config');
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { PublicKey } = require('@solana/web3.js');
+const { getChain } = require('../services/chain');
+const { decodeTransfer } = require('./splToken');
+const { decodeSystemTransfer } = require('./systemProgram');
+const { DEFAULT_CURRENCY, SOL, SOL_DECIMALS, SYMBOLS, currencyForMint } = require('./currencies');
+const { toRawAmount, toUiAmount } = require('./tokenAmount');
 
-let connection = null;
+// DER prefix for a raw 32-byte ed25519 public key (SubjectPublicKeyInfo)
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
 
-function getConnection() {
-  if (!connection) {
-    connection = new Connection(config.solana.rpcUrl, 'confirmed');
+/**
+ * Whether a transaction carries a payment reference, either as an extra
+ * account key on one of its instructions or in a memo. The memo program
+ * logs its text, so the logs are checked for it.
+ *
+ * @param {object} tx - Chain adapter transaction
+ * @param {string} reference - Base58 reference from a payment intent
+ */
+function carriesReference(tx, reference) {
+  if (tx.accountKeys.some(k => k.address === reference)) return true;
+  return tx.logMessages.some(line => line.startsWith('Program log: Memo') && line.includes(reference));
+}
+
+/**
+ * Texts of the memos in a transaction, read from the memo program's logs
+ */
+function memoTexts(tx) {
+  return tx.logMessages
+    .map(line => line.match(/^Program log: Memo \(len \d+\): "(.*)"$/))
+    .filter(Boolean)
+    .map(m => m[1]);
+}
+
+/**
+ * Every transfer in an accepted currency in a transaction, top-level or via
+ * CPI: SPL token transfers of allow-listed mints, with the wallets that own
+ * the source and destination token accounts, and native SOL transfers.
+ *
+ * @param {object} tx - Chain adapter transaction
+ * @returns {Promise<Array<{currency: string, mint: string|null, from: string, to: string, amount: string, rawAmount: bigint, decimals: number}>>}
+ */
+async function paymentTransfers(tx) {
+  // Token accounts touched by the transaction, falling back to an account lookup
+  const balances = new Map(tx.tokenBalances.map(b => [b.address, b]));
+  const tokenAccount = async (address) => balances.get(address) || getChain().getTokenAccount(address);
+  const solAccepted = SYMBOLS.includes(SOL);
+
+  const transfers = [];
+  for (const ix of [...tx.instructions, ...tx.innerInstructions]) {
+    const native = solAccepted && decodeSystemTransfer(ix);
+    if (native) {
+      transfers.push({
+        currency: SOL,
+        mint: null,
+        from: native.from,
+        to: native.to,
+        amount: toUiAmount(native.amount, SOL_DECIMALS),
+        rawAmount: native.amount,
+        decimals: SOL_DECIMALS
+      });
+      continue;
+    }
+
+    const transfer = decodeTransfer(ix);
+    if (!transfer) continue;
+
+    const destination = await tokenAccount(transfer.destination);
+    const currency = destination && currencyForMint(destination.mint);
+    if (!currency) continue;
+    if (transfer.mint && transfer.mint !== destination.mint) continue;
+    const source = await tokenAccount(transfer.source);
+    if (!source) continue;
+
+    transfers.push({
+      currency: currency.symbol,
+      mint: destination.mint,
+      from: source.owner,
+      to: destination.owner,
+      amount: toUiAmount(transfer.amount, destination.decimals),
+      rawAmount: transfer.amount,
+      decimals: destination.decimals
+    });
   }
-  return connection;
+  return transfers;
 }
 
 /**
- * Verify a $CREAM token transfer transaction
- * 
+ * Verify a payment transaction made for a payment intent: a transfer of at
+ * least the expected amount in the intent's currency to the recipient.
+ * The transaction must carry the intent's reference, be signed by the
+ * payer's wallet and move funds out of the payer's own account, so a
+ * transfer seen on-chain can't be claimed by anyone else.
+ *
  * @param {string} txId - Transaction signature
  * @param {string} recipientAddress - Expected recipient Solana address
- * @param {number} expectedAmount - Expected amount in token units (with decimals)
- * @returns {Promise<{valid: boolean, amount: number, sender: string, error?: string}>}
+ * @param {string} expectedAmount - Expected amount in token units (decimal string)
+ * @param {object} binding
+ * @param {string} binding.reference - Reference from the payment intent
+ * @param {string} binding.signer - Payer's Solana address
+ * @param {string} [binding.currency] - Currency symbol, $CREAM by default
+ * @returns {Promise<{valid: boolean, amount: string, sender: string, blockTime?: number, error?: string}>}
  */
-async function verifyCreamTransfer(txId, recipientAddress, expectedAmount) {
+async function verifyPaymentTransfer(txId, recipientAddress, expectedAmount, { reference, signer, currency = DEFAULT_CURRENCY } = {}) {
+  if (!reference || !signer) {
+    return { valid: false, amount: '0', sender: '', error: 'Payment intent reference and payer are required' };
+  }
+
   try {
-    const conn = getConnection();
-    const tx = await conn.getParsedTransaction(txId, {
-      commitment: 'confirmed',
-      maxSupportedTransactionVersion: 0
-    });
+    const tx = await getChain().getTransaction(txId);
 
     if (!tx) {
-      return { valid: false, amount: 0, sender: '', error: 'Transaction not found' };
+      return { valid: false, amount: '0', sender: '', error: 'Transaction not found' };
     }
 
-    if (tx.meta?.err) {
-      return { valid: false, amount: 0, sender: '', error: 'Transaction failed on-chain' };
+    if (tx.err) {
+      return { valid: false, amount: '0', sender: '', error: 'Transaction failed on-chain' };
+    }
+
+    if (!carriesReference(tx, reference)) {
+      return { valid: false, amount: '0', sender: '', error: 'Transaction does not carry the payment reference' };
+    }
+    if (!tx.accountKeys.some(k => k.signer && k.address === signer)) {
+      return { valid: false, amount: '0', sender: '', error: 'Transaction was not signed by your wallet' };
     }
 
-    // Look for SPL token transfer instruction to the recipient
-    const instructions = tx.transaction.message.instructions;
-    const innerInstructions = tx.meta?.innerInstructions || [];
-    const allInstructions = [
-      ...instructions,
-      ...innerInstructions.flatMap(ix => ix.instructions)
-    ];
-
-    for (const ix of allInstructions) {
-      if (ix.program === 'spl-token' && ix.parsed?.type === 'transfer') {
-        const info = ix.parsed.info;
-        // We need to check the token accounts resolve to the right mint and destination
-        // For simplicity, check destination owner matches recipient
-        if (info.destination && info.source) {
-          const amount = parseFloat(info.amount) || parseInt(info.amount, 10);
-          // Verify this is the right token by checking account info
-          try {
-            const destInfo = await conn.getParsedAccountInfo(new PublicKey(info.destination));
-            const destData = destInfo?.value?.data?.parsed?.info;
-            if (
-              destData &&
-              destData.mint === config.solana.creamTokenMint &&
-              destData.owner === recipientAddress &&
-              amount >= expectedAmount
-            ) {
-              const sourceInfo = await conn.getParsedAccountInfo(new PublicKey(info.source));
-              const sourceOwner = sourceInfo?.value?.data?.parsed?.info?.owner || 'unknown';
-              return { valid: true, amount, sender: sourceOwner };
-            }
-          } catch (e) {
-            // continue checking other instructions
-          }
-        }
-      }
-
-      // Also check transferChecked
-      if (ix.program === 'spl-token' && ix.parsed?.type === 'transferChecked') {
-        const info = ix.parsed.info;
-        if (info.mint === config.solana.creamTokenMint) {
-          const amount = parseFloat(info.tokenAmount?.uiAmount || info.tokenAmount?.amount || 0);
-          try {
-            const destInfo = await conn.getParsedAccountInfo(new PublicKey(info.destination));
-            const destData = destInfo?.value?.data?.parsed?.info;
-            if (destData && destData.owner === recipientAddress && amount >= expectedAmount) {
-              const sourceInfo = await conn.getParsedAccountInfo(new PublicKey(info.source));
-              const sourceOwner = sourceInfo?.value?.data?.parsed?.info?.owner || 'unknown';
-              return { valid: true, amount, sender: sourceOwner };
-            }
-          } catch (e) {
-            // continue
-          }
-        }
-      }
+    const match = (await paymentTransfers(tx)).find(t =>
+      t.currency === currency && t.to === recipientAddress && t.from === signer &&
+      t.rawAmount >= toRawAmount(expectedAmount, t.decimals)
+    );
+    if (match) {
+      return { valid: true, amount: match.amount, sender: match.from, blockTime: tx.blockTime };
     }
 
-    return { valid: false, amount: 0, sender: '', error: 'No matching $CREAM transfer found in transaction' };
+    return { valid: false, amount: '0', sender: '', error: `No matching ${currency} transfer found in transaction` };
   } catch (error) {
-    return { valid: false, amount: 0, sender: '', error: `Verification failed: ${error.message}` };
+    return { valid: false, amount: '0', sender: '', error: `Verification failed: ${error.message}` };
+  }
+}
+
+/**
+ * Verify an ed25519 signature made by a Solana wallet over a UTF-8 message
+ *
+ * @param {string} message - The exact message that was signed
+ * @param {string} signature - Base58-encoded 64-byte signature
+ * @param {string} address - Base58 Solana address of the signer
+ * @returns {boolean}
+ */
+function verifyWalletSignature(message, signature, address) {
+  try {
+    const sig = bs58.decode(signature);
+    if (sig.length !== 64) return false;
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(address).toBuffer()]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, Buffer.from(sig));
+  } catch {
+    return false;
   }
 }
 
-module.exports = { verifyCreamTransfer, getConnection };
+module.exports = { verifyPaymentTransfer, verifyWalletSignature, carriesReference, memoTexts, paymentTransfers };
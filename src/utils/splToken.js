@@ -0,0 +1,90 @@
+/**
+ * SPL Token program instruction encoding and decoding (Transfer, TransferChecked),
+ * plus the associated token account program's CreateIdempotent
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+const TRANSFER = 3;
+const TRANSFER_CHECKED = 12;
+
+// Associated token account program: create, succeeding if it already exists
+const CREATE_IDEMPOTENT = 1;
+
+/**
+ * Instruction data for a Transfer of `amount` raw units
+ */
+function encodeTransfer(amount) {
+  const data = Buffer.alloc(9);
+  data.writeUInt8(TRANSFER);
+  data.writeBigUInt64LE(BigInt(amount), 1);
+  return data;
+}
+
+/**
+ * Instruction data for a TransferChecked of `amount` raw units
+ */
+function encodeTransferChecked(amount, decimals) {
+  const data = Buffer.alloc(10);
+  data.writeUInt8(TRANSFER_CHECKED);
+  data.writeBigUInt64LE(BigInt(amount), 1);
+  data.writeUInt8(decimals, 9);
+  return data;
+}
+
+/**
+ * Instruction data for CreateIdempotent. Accounts: payer (signer,
+ * writable), associated account (writable), owner, mint, system program,
+ * token program.
+ */
+function encodeCreateIdempotent() {
+  return Buffer.from([CREATE_IDEMPOTENT]);
+}
+
+/**
+ * Decode a token program instruction in the chain adapter shape.
+ * Returns null for anything that isn't a transfer.
+ *
+ * @param {{programId: string, accounts: string[], data: Buffer}} ix
+ * @returns {null|{type: string, source: string, destination: string, authority: string, amount: bigint, mint?: string, decimals?: number}}
+ */
+function decodeTransfer(ix) {
+  if (ix.programId !== TOKEN_PROGRAM_ID || ix.data.length < 9) return null;
+  const data = Buffer.from(ix.data);
+  const amount = data.readBigUInt64LE(1);
+
+  if (data[0] === TRANSFER && ix.accounts.length >= 3) {
+    const [source, destination, authority] = ix.accounts;
+    return { type: 'transfer', source, destination, authority, amount };
+  }
+  if (data[0] === TRANSFER_CHECKED && data.length >= 10 && ix.accounts.length >= 4) {
+    const [source, mint, destination, authority] = ix.accounts;
+    return { type: 'transferChecked', source, mint, destination, authority, amount, decimals: data.readUInt8(9) };
+  }
+  return null;
+}
+
+/**
+ * Associated token account address for a wallet and mint
+ */
+function associatedTokenAddress(owner, mint) {
+  return PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), new PublicKey(TOKEN_PROGRAM_ID).toBuffer(), new PublicKey(mint).toBuffer()],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID)
+  )[0].toBase58();
+}
+
+module.exports = {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  MEMO_PROGRAM_ID,
+  encodeTransfer,
+  encodeTransferChecked,
+  encodeCreateIdempotent,
+  decodeTransfer,
+  associatedTokenAddress
+};
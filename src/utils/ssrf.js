@@ -0,0 +1,90 @@
+/**
+ * SSRF protection for server-side fetches of user-supplied URLs
+ *
+ * `publicLookup` is a drop-in for dns.lookup that fails when a hostname
+ * resolves to a private, loopback, link-local or otherwise non-public
+ * address. Passed to httpGet as `lookup`, it is checked on the connection
+ * itself (and on every redirect), so a hostname can't pass a check and then
+ * rebind to an internal address.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { httpGet } = require('./http');
+
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Is this IP address somewhere a server-side fetch must not go? Anything
+ * that isn't a valid IP counts as private.
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  // IPv4-mapped IPv6 (::ffff:a.b.c.d) is refused outright. It isn't in the
+  // block list because BlockList would match it against every IPv4 address.
+  if (family === 6 && /^(0{0,4}:){0,5}:?ffff:/i.test(address)) return true;
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup, refusing hostnames with any non-public address
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const opts = typeof options === 'number' ? { family: options } : options;
+  dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) {
+      const error = new Error(`Refusing to connect to non-public address ${blocked.address}`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+    if (opts.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * httpGet restricted to public addresses. The default fetcher for URLs
+ * that come from agents (verification domains, link previews).
+ */
+function publicGet(url, options = {}) {
+  return httpGet(url, { ...options, lookup: publicLookup });
+}
+
+module.exports = { isPrivateAddress, publicLookup, publicGet };
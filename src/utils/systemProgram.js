@@ -0,0 +1,34 @@
+/**
+ * System program transfer encoding and decoding (native SOL)
+ */
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+
+const TRANSFER = 2;
+
+/**
+ * Instruction data for a transfer of `lamports`
+ */
+function encodeSystemTransfer(lamports) {
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(TRANSFER);
+  data.writeBigUInt64LE(BigInt(lamports), 4);
+  return data;
+}
+
+/**
+ * Decode a system program instruction in the chain adapter shape.
+ * Returns null for anything that isn't a transfer.
+ *
+ * @param {{programId: string, accounts: string[], data: Buffer}} ix
+ * @returns {null|{from: string, to: string, amount: bigint}}
+ */
+function decodeSystemTransfer(ix) {
+  if (ix.programId !== SYSTEM_PROGRAM_ID || ix.data.length < 12 || ix.accounts.length < 2) return null;
+  const data = Buffer.from(ix.data);
+  if (data.readUInt32LE(0) !== TRANSFER) return null;
+  const [from, to] = ix.accounts;
+  return { from, to, amount: data.readBigUInt64LE(4) };
+}
+
+module.exports = { SYSTEM_PROGRAM_ID, encodeSystemTransfer, decodeSystemTransfer };
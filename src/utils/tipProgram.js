@@ -0,0 +1,192 @@
+/**
+ * Tip program instruction decoding, driven by contracts/tip-program/idl.json
+ *
+ * The program is a native Solana program, not Anchor: instruction data is a
+ * one-byte tag (the instruction's index in the IDL) followed by its
+ * borsh-encoded args.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const idl = require('../../contracts/tip-program/idl.json');
+
+const PROGRAM_ID = idl.metadata.address;
+
+/**
+ * Sequential borsh reader over a Buffer
+ */
+class BorshReader {
+  constructor(data) {
+    this.buf = Buffer.from(data);
+    this.offset = 0;
+  }
+
+  get remaining() {
+    return this.buf.length - this.offset;
+  }
+
+  take(length) {
+    if (this.remaining < length) throw new Error('Data is too short');
+    const slice = this.buf.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  read(type) {
+    switch (type) {
+      case 'bool': return this.take(1)[0] !== 0;
+      case 'u8': return this.take(1).readUInt8(0);
+      case 'u16': return this.take(2).readUInt16LE(0);
+      case 'u32': return this.take(4).readUInt32LE(0);
+      case 'u64': return this.take(8).readBigUInt64LE(0);
+      case 'i64': return this.take(8).readBigInt64LE(0);
+      case 'publicKey': return new PublicKey(this.take(32)).toBase58();
+      case 'string': return this.take(this.read('u32')).toString('utf8');
+      default: throw new Error(`Unsupported IDL type: ${type}`);
+    }
+  }
+}
+
+/**
+ * Sequential borsh writer
+ */
+class BorshWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  write(type, value) {
+    let buf;
+    switch (type) {
+      case 'bool': buf = Buffer.from([value ? 1 : 0]); break;
+      case 'u8': buf = Buffer.alloc(1); buf.writeUInt8(value); break;
+      case 'u16': buf = Buffer.alloc(2); buf.writeUInt16LE(value); break;
+      case 'u32': buf = Buffer.alloc(4); buf.writeUInt32LE(value); break;
+      case 'u64': buf = Buffer.alloc(8); buf.writeBigUInt64LE(BigInt(value)); break;
+      case 'i64': buf = Buffer.alloc(8); buf.writeBigInt64LE(BigInt(value)); break;
+      case 'publicKey': buf = new PublicKey(value).toBuffer(); break;
+      case 'string': {
+        const str = Buffer.from(value, 'utf8');
+        this.write('u32', str.length);
+        buf = str;
+        break;
+      }
+      default: throw new Error(`Unsupported IDL type: ${type}`);
+    }
+    this.chunks.push(buf);
+    return this;
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Encode tip program instruction data
+ *
+ * @param {string} name - Instruction name from the IDL
+ * @param {object} args - Values keyed by IDL arg name
+ * @returns {Buffer}
+ */
+function encodeInstruction(name, args) {
+  const tag = idl.instructions.findIndex(i => i.name === name);
+  if (tag === -1) throw new Error(`Unknown tip program instruction: ${name}`);
+  const writer = new BorshWriter().write('u8', tag);
+  for (const arg of idl.instructions[tag].args) writer.write(arg.type, args[arg.name] ?? (arg.type === 'string' ? '' : 0));
+  return writer.toBuffer();
+}
+
+/**
+ * Decode tip program instruction data
+ *
+ * Trailing string args may be omitted: the program only reads the fields it
+ * needs, so a transaction without a memo is still a valid tip. Those args
+ * decode as null.
+ *
+ * @param {Buffer|Uint8Array} data
+ * @returns {{name: string, args: object}}
+ */
+function decodeInstruction(data) {
+  const reader = new BorshReader(data);
+  const tag = reader.read('u8');
+  const ix = idl.instructions[tag];
+  if (!ix) throw new Error(`Unknown tip program instruction tag: ${tag}`);
+
+  const args = {};
+  for (const arg of ix.args) {
+    args[arg.name] = arg.type === 'string' && reader.remaining === 0 ? null : reader.read(arg.type);
+  }
+  return { name: ix.name, args };
+}
+
+/**
+ * Map an instruction's account keys onto the names the IDL gives them
+ *
+ * @param {string} name - Instruction name
+ * @param {string[]} keys - Base58 account keys in instruction order
+ * @returns {object}
+ */
+function mapAccounts(name, keys) {
+  const ix = idl.instructions.find(i => i.name === name);
+  if (!ix) throw new Error(`Unknown tip program instruction: ${name}`);
+  if (keys.length < ix.accounts.length) throw new Error(`${name} instruction is missing accounts`);
+  return Object.fromEntries(ix.accounts.map((acc, i) => [acc.name, keys[i]]));
+}
+
+/**
+ * Account metas for an instruction, in IDL order with the IDL's signer and
+ * writable flags. The inverse of mapAccounts.
+ *
+ * @param {string} name - Instruction name
+ * @param {object} addresses - Base58 addresses keyed by IDL account name
+ * @returns {{address: string, isSigner: boolean, isWritable: boolean}[]}
+ */
+function accountMetas(name, addresses) {
+  const ix = idl.instructions.find(i => i.name === name);
+  if (!ix) throw new Error(`Unknown tip program instruction: ${name}`);
+  return ix.accounts.map(acc => {
+    if (!addresses[acc.name]) throw new Error(`${name} instruction is missing the ${acc.name} account`);
+    return { address: addresses[acc.name], isSigner: acc.isSigner, isWritable: acc.isMut };
+  });
+}
+
+/**
+ * The program's config PDA (seeds: ["config"])
+ */
+function configAddress(programId = PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync([Buffer.from('config')], new PublicKey(programId))[0].toBase58();
+}
+
+// TipConfig as src/lib.rs serializes it. The IDL's account definition is
+// out of date (no is_initialized, a treasury_bump the program never writes).
+const CONFIG_LAYOUT = [
+  ['isInitialized', 'bool'],
+  ['admin', 'publicKey'],
+  ['treasury', 'publicKey'],
+  ['feeBps', 'u16'],
+  ['totalTips', 'u64'],
+  ['totalVolume', 'u64']
+];
+
+/**
+ * Decode the config account. `treasury` is the token account fees are
+ * paid to; `totalVolume` is the raw sum of tip amounts across mints.
+ *
+ * @param {Buffer|Uint8Array} data
+ * @returns {{isInitialized: boolean, admin: string, treasury: string, feeBps: number, totalTips: bigint, totalVolume: bigint}}
+ */
+function decodeConfig(data) {
+  const reader = new BorshReader(data);
+  return Object.fromEntries(CONFIG_LAYOUT.map(([name, type]) => [name, reader.read(type)]));
+}
+
+/**
+ * Encode the config account, e.g. for a seeded ledger
+ */
+function encodeConfig(values) {
+  const writer = new BorshWriter();
+  for (const [name, type] of CONFIG_LAYOUT) writer.write(type, values[name]);
+  return writer.toBuffer();
+}
+
+module.exports = { PROGRAM_ID, encodeInstruction, decodeInstruction, mapAccounts, accountMetas, configAddress, decodeConfig, encodeConfig };
@@ -0,0 +1,92 @@
+/**
+ * SPL token amounts
+ *
+ * Amounts are kept in raw integer base units (BigInt) wherever they are
+ * compared or combined, and only turned into decimal strings in token units
+ * at the edges: API input and output, and NUMERIC columns. Nothing goes
+ * through a float.
+ */
+
+// Scale of the NUMERIC(30, 9) amount columns (enough for SOL's 9 decimals)
+const STORED_DECIMALS = 9;
+
+/**
+ * Raw integer token amount -> decimal string in token units
+ *
+ * @param {bigint} raw
+ * @param {number} decimals
+ * @returns {string}
+ */
+function toUiAmount(raw, decimals) {
+  const negative = raw < 0n;
+  const digits = (negative ? -raw : raw).toString().padStart(decimals + 1, '0');
+  const ui = decimals ? `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}` : digits;
+  return negative ? `-${ui}` : ui;
+}
+
+/**
+ * Decimal amount in token units -> raw integer amount. Digits beyond the
+ * mint's precision are truncated; use parseAmount to reject them instead.
+ *
+ * @param {number|string} amount
+ * @param {number} decimals
+ * @returns {bigint}
+ */
+function toRawAmount(amount, decimals) {
+  const [whole, fraction = ''] = String(amount).split('.');
+  return BigInt(whole + fraction.padEnd(decimals, '0').slice(0, decimals));
+}
+
+/**
+ * Parse an amount from API input. Accepts a JSON number or a decimal
+ * string, rejects exponents, signs and more precision than `decimals`.
+ *
+ * @param {number|string} value
+ * @param {number} decimals
+ * @returns {bigint} Raw amount
+ * @throws {Error} If the value isn't a plain decimal or is too precise
+ */
+function parseAmount(value, decimals) {
+  const str = String(value).trim();
+  const match = str.match(/^(\d+)(?:\.(\d+))?$/);
+  if (!match) throw new Error('Amount must be a decimal number');
+  if ((match[2] || '').length > decimals) throw new Error(`Amount can have at most ${decimals} decimal places`);
+  return toRawAmount(str, decimals);
+}
+
+/**
+ * Re-express a token-unit amount at another precision, e.g. a stored
+ * NUMERIC amount at a mint's decimals. Extra digits are truncated.
+ */
+function rescale(amount, decimals) {
+  return toUiAmount(toRawAmount(amount, decimals), decimals);
+}
+
+/**
+ * floor(a * b / c) on raw amounts
+ */
+function mulDiv(a, b, c) {
+  return BigInt(a) * BigInt(b) / BigInt(c);
+}
+
+const mintDecimals = new Map();
+
+/**
+ * Decimals of an SPL mint, read from the chain once and cached. Mint
+ * decimals can't change after creation.
+ *
+ * @param {string} mint
+ * @returns {Promise<number>}
+ */
+async function getMintDecimals(mint) {
+  if (!mintDecimals.has(mint)) {
+    // Required lazily: the chain adapters depend on this module
+    const { getChain } = require('../services/chain');
+    const info = await getChain().getMint(mint);
+    if (!info) throw new Error(`Mint not found: ${mint}`);
+    mintDecimals.set(mint, info.decimals);
+  }
+  return mintDecimals.get(mint);
+}
+
+module.exports = { STORED_DECIMALS, toUiAmount, toRawAmount, parseAmount, rescale, mulDiv, getMintDecimals };
@@ -3,6 +3,9 @@
  */
 
 const { z } = require('zod');
+const { API_KEY_SCOPES } = require('./auth');
+const { STORED_DECIMALS, parseAmount, toUiAmount } = require('./tokenAmount');
+const { DEFAULT_CURRENCY, SYMBOLS } = require('./currencies');
 
 const agentName = z.string()
   .min(2, 'Name must be at least 2 characters')
@@ -14,6 +17,52 @@ const solanaAddress = z.string()
   .max(44, 'Invalid Solana address')
   .regex(/^[1-9A-HJ-NP-Za-km-z]+$/, 'Invalid Solana address (base58)');
 
+/**
+ * A $CREAM amount from API input: a JSON number or a decimal string, with
+ * no more precision than the amount columns store. Parsed to a canonical
+ * decimal string, never a float.
+ */
+function tokenAmount({ allowZero = false } = {}) {
+  return z.union([z.number(), z.string()]).transform((value, ctx) => {
+    let raw;
+    try {
+      raw = parseAmount(value, STORED_DECIMALS);
+    } catch (err) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: err.message });
+      return z.NEVER;
+    }
+    if (raw === 0n && !allowZero) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Amount must be greater than 0' });
+      return z.NEVER;
+    }
+    return toUiAmount(raw, STORED_DECIMALS);
+  });
+}
+
+const currency = z.string().toUpperCase().refine(symbol => SYMBOLS.includes(symbol), {
+  message: `Currency must be one of: ${SYMBOLS.join(', ')}`
+});
+
+/**
+ * Prices in accepted currencies other than $CREAM (whose price has its own
+ * field), e.g. { "USDC": "5", "SOL": 0.05 }. Multipart forms send it as a
+ * JSON string.
+ */
+const currencyPrices = z.preprocess(
+  (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  },
+  z.record(
+    currency.refine(symbol => symbol !== DEFAULT_CURRENCY, { message: 'Set the $CREAM price in its own field' }),
+    tokenAmount()
+  )
+);
+
 const registerAgent = z.object({
   name: agentName,
   description: z.string().max(500).optional().default(''),
@@ -24,13 +73,70 @@ const updateAgent = z.object({
   displayName: z.string().max(50).optional(),
   description: z.string().max(500).optional(),
   avatar_url: z.string().url().optional(),
-  subscription_price: z.number().min(0).optional()
+  subscription_price: tokenAmount({ allowZero: true }).optional(),
+  subscription_prices: currencyPrices.optional(),
+  subscription_period_days: z.number().int().min(1).max(365).optional()
+});
+
+const createApiKey = z.object({
+  label: z.string().trim().min(1, 'Label is required').max(64),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, 'At least one scope is required').optional()
+});
+
+const rotateApiKey = z.object({
+  grace_period_hours: z.number().int().min(0).max(168).optional().default(24)
 });
 
+const verifyAgent = z.object({
+  method: z.string().optional().default('twitter'),
+  tweet_url: z.string().max(500).optional(),
+  domain: z.string().max(253).optional(),
+  signature: z.string().max(100).optional()
+});
+
+const walletChallenge = z.object({
+  name: agentName
+});
+
+const walletSignIn = z.object({
+  name: agentName,
+  nonce: z.string().regex(/^[0-9a-f]{32}$/, 'Invalid nonce'),
+  signature: z.string()
+    .min(64, 'Invalid signature')
+    .max(100, 'Invalid signature')
+    .regex(/^[1-9A-HJ-NP-Za-km-z]+$/, 'Signature must be base58'),
+  grant: z.enum(['session', 'api_key']).optional().default('session'),
+  label: z.string().trim().min(1).max(64).optional(),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, 'At least one scope is required').optional()
+});
+
+const httpUrl = z.string().trim().max(2048, 'URL must be at most 2048 characters')
+  .url('Invalid URL')
+  .refine(value => /^https?:\/\//i.test(value), 'URL must be http or https')
+  .transform(value => new URL(value).toString());
+
 const createPost = z.object({
   title: z.string().min(1, 'Title is required').max(300),
   content: z.string().max(40000).optional().default(''),
-  paid: z.boolean().optional().default(false)
+  post_type: z.enum(['text', 'link', 'image']).optional(),
+  url: httpUrl.optional(),
+  paid: z.boolean().optional().default(false),
+  min_tier_id: z.string().uuid().optional(),
+  unlock_price: tokenAmount().optional(),
+  unlock_prices: currencyPrices.optional()
+});
+
+const updatePost = z.object({
+  title: z.string().trim().min(1, 'Title is required').max(300).optional(),
+  content: z.string().max(40000).optional(),
+  paid: z.boolean().optional()
+});
+
+const txId = z.string().min(64, 'Invalid transaction ID').max(128);
+
+const unlockPost = z.object({
+  intent_id: z.string().uuid(),
+  tx_id: txId
 });
 
 const createComment = z.object({
@@ -38,8 +144,107 @@ const createComment = z.object({
   parent_id: z.string().uuid().optional()
 });
 
+const promoCode = z.string().trim()
+  .min(3, 'Code must be at least 3 characters')
+  .max(32, 'Code must be at most 32 characters')
+  .regex(/^[a-z0-9_-]+$/i, 'Code can only contain letters, numbers, dashes and underscores');
+
+/**
+ * A paid subscription (intent_id and tx_id, with the promo code the intent
+ * was quoted with, if any), or a free trial from a promo code alone
+ */
 const subscribe = z.object({
-  tx_id: z.string().min(64, 'Invalid transaction ID').max(128)
+  intent_id: z.string().uuid().optional(),
+  tx_id: txId.optional(),
+  promo_code: promoCode.optional()
+}).superRefine((body, ctx) => {
+  if (!body.intent_id && !body.tx_id && body.promo_code) return;
+  if (!body.intent_id) ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['intent_id'], message: 'Required' });
+  if (!body.tx_id) ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tx_id'], message: 'Required' });
+});
+
+const createTip = z.object({
+  intent_id: z.string().uuid(),
+  tx_signature: txId
+});
+
+const createPaymentIntent = z.discriminatedUnion('purpose', [
+  z.object({
+    purpose: z.literal('subscription'),
+    recipient_name: agentName,
+    tier_id: z.string().uuid().optional(),
+    currency: currency.optional(),
+    beneficiary_name: agentName.optional(),
+    gift_code: z.boolean().optional(),
+    promo_code: promoCode.optional()
+  }),
+  z.object({
+    purpose: z.literal('unlock'),
+    post_id: z.string().uuid(),
+    currency: currency.optional()
+  }),
+  z.object({
+    purpose: z.literal('tip'),
+    recipient_name: agentName.optional(),
+    amount: tokenAmount(),
+    currency: currency.optional(),
+    post_id: z.string().uuid().optional(),
+    comment_id: z.string().uuid().optional(),
+    message: z.string().max(1000).optional()
+  })
+]).superRefine((intent, ctx) => {
+  if (intent.purpose === 'subscription' && intent.beneficiary_name && intent.gift_code) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['gift_code'], message: 'Gift to a named agent or buy a gift code, not both' });
+  }
+  if (intent.purpose === 'subscription' && intent.promo_code && intent.gift_code) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['promo_code'], message: 'Promo codes can\'t be used on gift codes' });
+  }
+  if (intent.purpose !== 'tip') return;
+  if (intent.post_id && intent.comment_id) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['comment_id'], message: 'Tip a post or a comment, not both' });
+  }
+  if (!intent.recipient_name && !intent.comment_id) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['recipient_name'], message: 'Recipient is required' });
+  }
+});
+
+const createTier = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(64),
+  description: z.string().max(1000).optional(),
+  perks: z.array(z.string().trim().min(1).max(200)).max(20).optional().default([]),
+  rank: z.number().int().min(1).max(100),
+  price: tokenAmount(),
+  prices: currencyPrices.optional()
+});
+
+const updateTier = z.object({
+  name: z.string().trim().min(1).max(64).optional(),
+  description: z.string().max(1000).optional(),
+  perks: z.array(z.string().trim().min(1).max(200)).max(20).optional(),
+  rank: z.number().int().min(1).max(100).optional(),
+  price: tokenAmount().optional(),
+  prices: currencyPrices.optional()
+});
+
+const createPromoCode = z.object({
+  code: promoCode,
+  kind: z.enum(['discount', 'trial']),
+  percent_off: z.number().int().min(1).max(99).optional(),
+  trial_days: z.number().int().min(1).max(365).optional(),
+  tier_id: z.string().uuid().optional(),
+  max_redemptions: z.number().int().min(1).optional(),
+  expires_at: z.coerce.date().refine(date => date > new Date(), 'Expiry must be in the future').optional()
+}).superRefine((promo, ctx) => {
+  if (promo.kind === 'discount' && promo.percent_off === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['percent_off'], message: 'Discount codes need percent_off' });
+  }
+  if (promo.kind === 'trial' && promo.trial_days === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['trial_days'], message: 'Trial codes need trial_days' });
+  }
+  const extra = promo.kind === 'discount' ? 'trial_days' : 'percent_off';
+  if (promo[extra] !== undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [extra], message: `Not allowed on ${promo.kind} codes` });
+  }
 });
 
 const searchQuery = z.object({
@@ -47,12 +252,80 @@ const searchQuery = z.object({
   limit: z.coerce.number().min(1).max(100).optional().default(25)
 });
 
+const leaderboardQuery = z.object({
+  window: z.enum(['day', 'week', 'month', 'all']).optional().default('week'),
+  board: z.enum(['recipients', 'tippers', 'posts']).optional(),
+  currency: currency.optional().default(DEFAULT_CURRENCY),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(25),
+  offset: z.coerce.number().int().min(0).optional().default(0)
+});
+
+const buildTransaction = z.object({
+  intent_id: z.string().uuid()
+});
+
+const earningsQuery = z.object({
+  kind: z.enum(['subscription', 'unlock', 'tip']).optional(),
+  currency: currency.optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  cursor: z.string().max(200).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(25)
+}).refine(q => !q.from || !q.to || q.from < q.to, { message: '`from` must be before `to`', path: ['to'] });
+
+const redeemGift = z.object({
+  code: z.string().trim().min(1).max(64)
+});
+
+const historyQuery = z.object({
+  limit: z.coerce.number().int().min(1).max(100).optional().default(25),
+  offset: z.coerce.number().int().min(0).optional().default(0)
+});
+
+const notificationsQuery = historyQuery.extend({
+  unread: z.enum(['true', 'false']).optional().transform(value => value === 'true')
+});
+
+const subscribersQuery = historyQuery.extend({
+  status: z.enum(['active', 'lapsed', 'all']).optional().default('active'),
+  sort: z.enum(['newest', 'oldest', 'expiring']).optional().default('newest')
+});
+
+const utcDay = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD')
+  .refine(value => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+  }, { message: 'Invalid date' })
+  .transform(value => new Date(`${value}T00:00:00Z`));
+
+/**
+ * Inclusive UTC date range, the last 30 days by default, at most a year
+ */
+const analyticsQuery = z.object({
+  from: utcDay.optional(),
+  to: utcDay.optional()
+}).transform(({ from, to }) => {
+  const day = 24 * 60 * 60 * 1000;
+  const end = to || new Date(Math.floor(Date.now() / day) * day);
+  return { from: from || new Date(end.getTime() - 29 * day), to: end };
+}).refine(({ from, to }) => from <= to, { message: '`from` must not be after `to`', path: ['to'] })
+  .refine(({ from, to }) => to - from < 366 * 24 * 60 * 60 * 1000, { message: 'Range can be at most 366 days', path: ['from'] });
+
+const markNotificationsRead = z.object({
+  ids: z.array(z.string().uuid()).min(1).max(100).optional()
+});
+
+const earningsStatement = z.object({
+  format: z.enum(['json', 'csv']).optional().default('json')
+});
+
 /**
  * Middleware factory for Zod validation
  */
 function validate(schema, source = 'body') {
   return (req, res, next) => {
-    const result = schema.safeParse(source === 'body' ? req.body : req.query);
+    const result = schema.safeParse(source === 'body' ? (req.body ?? {}) : req.query);
     if (!result.success) {
       return res.status(400).json({
         success: false,
@@ -67,6 +340,6 @@ function validate(schema, source = 'body') {
 }
 
 module.exports = {
-  schemas: { registerAgent, updateAgent, createPost, createComment, subscribe, searchQuery },
+  schemas: { registerAgent, updateAgent, createApiKey, rotateApiKey, verifyAgent, walletChallenge, walletSignIn, createPost, updatePost, unlockPost, createComment, subscribe, createTip, createPaymentIntent, createTier, updateTier, createPromoCode, searchQuery, earningsQuery, earningsStatement, buildTransaction, leaderboardQuery, redeemGift, historyQuery, notificationsQuery, markNotificationsRead, subscribersQuery, analyticsQuery },
   validate
 };
@@ -0,0 +1,185 @@
+/**
+ * Payment and tip verification against the in-memory chain adapter
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { configureChain, MemoryChainAdapter } = require('../src/services/chain');
+const { verifyPaymentTransfer } = require('../src/utils/solana');
+const TipService = require('../src/services/TipService');
+const config = require('../src/config');
+
+/**
+ * A random base58 address
+ */
+function address() {
+  return bs58.encode(crypto.randomBytes(32));
+}
+
+let ledger;
+let payer;
+let creator;
+let reference;
+
+beforeEach(() => {
+  ledger = configureChain(new MemoryChainAdapter({ ...config.solana, tipFeeBps: 1000 }));
+  payer = address();
+  creator = address();
+  reference = address();
+  ledger.fund(payer, '100');
+  ledger.fundSol(payer, '2');
+});
+
+after(() => configureChain(null));
+
+describe('verifyPaymentTransfer', () => {
+  const verify = (signature, options = {}) => verifyPaymentTransfer(
+    signature, creator, options.amount || '10', { reference, signer: payer, ...options }
+  );
+
+  it('accepts a transfer carrying the reference', async () => {
+    const signature = ledger.transfer({ from: payer, to: creator, amount: '10', reference });
+    const result = await verify(signature);
+    assert.equal(result.valid, true);
+    assert.equal(result.amount, '10.000000');
+    assert.equal(result.sender, payer);
+  });
+
+  it('accepts a SOL transfer in SOL', async () => {
+    const signature = ledger.transferSol({ from: payer, to: creator, amount: '0.5', reference });
+    assert.equal((await verify(signature, { amount: '0.5', currency: 'SOL' })).valid, true);
+    assert.match((await verify(signature, { amount: '0.5' })).error, /No matching CREAM transfer/);
+  });
+
+  it('rejects less than the expected amount', async () => {
+    const signature = ledger.transfer({ from: payer, to: creator, amount: '9.999999', reference });
+    const result = await verify(signature);
+    assert.equal(result.valid, false);
+    assert.match(result.error, /No matching CREAM transfer/);
+  });
+
+  it('rejects a transfer signed by another wallet', async () => {
+    const signature = ledger.transfer({ from: payer, to: creator, amount: '10', reference });
+    const result = await verify(signature, { signer: address() });
+    assert.match(result.error, /not signed by your wallet/);
+  });
+
+  it('rejects a transfer without the reference', async () => {
+    const signature = ledger.transfer({ from: payer, to: creator, amount: '10' });
+    assert.match((await verify(signature)).error, /does not carry the payment reference/);
+  });
+
+  it('rejects a transfer the payer could not cover', async () => {
+    const signature = ledger.transfer({ from: payer, to: creator, amount: '100.000001', reference });
+    assert.match((await verify(signature)).error, /failed on-chain/);
+    assert.equal(ledger.account(creator).amount, 0n);
+    assert.equal(ledger.account(payer).amount, 100_000_000n);
+  });
+
+  it('rejects a dropped transfer', async () => {
+    const signature = ledger.transfer({ from: payer, to: creator, amount: '10', reference });
+    ledger.drop(signature);
+    assert.match((await verify(signature)).error, /Transaction not found/);
+  });
+});
+
+describe('TipService.verifyTransaction', () => {
+  const verify = (signature, options = {}) => TipService.verifyTransaction(signature, {
+    reference, signer: payer, recipientAddress: creator, minAmount: '10', ...options
+  });
+
+  it('accepts a tip program tip with the fee split', async () => {
+    const signature = ledger.tip({ tipper: payer, creator, amount: '10', reference });
+    const tip = await verify(signature);
+    assert.equal(tip.amount, '10.000000');
+    assert.equal(tip.fee, '1.000000');
+    assert.equal(tip.currency, 'CREAM');
+    assert.equal(ledger.account(creator).amount, 9_000_000n);
+    assert.equal(ledger.account(config.solana.treasuryWallet).amount, 1_000_000n);
+  });
+
+  it('accepts the reference as the tip memo', async () => {
+    const signature = ledger.tip({ tipper: payer, creator, amount: '10', memo: reference });
+    assert.equal((await verify(signature)).memo, reference);
+  });
+
+  it('rejects less than the quoted amount', async () => {
+    const signature = ledger.tip({ tipper: payer, creator, amount: '9', reference });
+    await assert.rejects(verify(signature), /less than the 10 CREAM quoted/);
+  });
+
+  it('rejects a tip from another wallet', async () => {
+    const signature = ledger.tip({ tipper: payer, creator, amount: '10', reference });
+    await assert.rejects(verify(signature, { signer: address() }), /not signed by your wallet/);
+  });
+
+  it('rejects a tip without the reference', async () => {
+    const signature = ledger.tip({ tipper: payer, creator, amount: '10' });
+    await assert.rejects(verify(signature), /does not carry the payment reference/);
+  });
+
+  it('rejects a tip the tipper could not cover', async () => {
+    const signature = ledger.tip({ tipper: payer, creator, amount: '500', reference });
+    await assert.rejects(verify(signature, { minAmount: '500' }), /failed on-chain/);
+    assert.equal(ledger.tipConfig.totalTips, 0n);
+  });
+
+  it('rejects a dropped tip', async () => {
+    const signature = ledger.tip({ tipper: payer, creator, amount: '10', reference });
+    ledger.drop(signature);
+    await assert.rejects(verify(signature), /not found on-chain/);
+  });
+
+  it('checks a SOL tip against the quoted fee', async () => {
+    const signature = ledger.tipSol({ tipper: payer, creator, amount: '1', reference });
+    const tip = await verify(signature, { minAmount: '1', currency: 'SOL', feeBps: 1000 });
+    assert.equal(tip.fee, '0.100000000');
+
+    // Quoted before the fee changed
+    await assert.rejects(verify(signature, { minAmount: '1', currency: 'SOL', feeBps: 500 }), /fee did not reach the treasury/);
+    // Without an intent any fee up to the maximum goes
+    assert.equal(TipService.decodeSolTip(await ledger.getTransaction(signature), payer, creator).fee, '0.100000000');
+  });
+
+  it('rejects a SOL tip the tipper could not cover', async () => {
+    const signature = ledger.tipSol({ tipper: payer, creator, amount: '3', reference });
+    await assert.rejects(verify(signature, { minAmount: '3', currency: 'SOL', feeBps: 1000 }), /failed on-chain/);
+  });
+});
+
+describe('MemoryChainAdapter', () => {
+  it('pages signatures newest first with exclusive bounds', async () => {
+    const signatures = [1, 2, 3, 4, 5].map(() => ledger.transfer({ from: payer, to: creator, amount: '1' }));
+    const page = async (options) => (await ledger.getSignaturesForAddress(ledger.tokenAccount(creator), options)).map(s => s.signature);
+    const newestFirst = [...signatures].reverse();
+
+    assert.deepEqual(await page(), newestFirst);
+    assert.deepEqual(await page({ limit: 2 }), newestFirst.slice(0, 2));
+    assert.deepEqual(await page({ before: signatures[3] }), newestFirst.slice(2));
+    assert.deepEqual(await page({ until: signatures[1] }), newestFirst.slice(0, 3));
+    assert.deepEqual(await page({ before: signatures[4], until: signatures[0], limit: 2 }), newestFirst.slice(1, 3));
+    assert.deepEqual(await page({ before: signatures[1], until: signatures[1] }), []);
+    assert.deepEqual(await ledger.getSignaturesForAddress(address()), []);
+  });
+
+  it('undoes a dropped transaction', async () => {
+    const kept = ledger.tip({ tipper: payer, creator, amount: '10' });
+    const dropped = ledger.tip({ tipper: payer, creator, amount: '20' });
+    ledger.drop(dropped);
+
+    assert.equal(ledger.account(payer).amount, 90_000_000n);
+    assert.equal(ledger.account(creator).amount, 9_000_000n);
+    assert.equal(ledger.tipConfig.totalTips, 1n);
+    assert.equal(ledger.tipConfig.totalVolume, 10_000_000n);
+    assert.deepEqual((await ledger.getSignaturesForAddress(ledger.tokenAccount(creator))).map(s => s.signature), [kept]);
+    assert.deepEqual(await ledger.getSignatureStatuses([kept, dropped]), [
+      { signature: kept, slot: 1, confirmationStatus: 'finalized', err: null },
+      null
+    ]);
+
+    ledger.drop(dropped); // no-op
+    assert.equal(ledger.account(payer).amount, 90_000_000n);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Link preview fetching against a local stub server
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { httpGet } = require('../src/utils/http');
+const { publicGet } = require('../src/utils/ssrf');
+const PreviewService = require('../src/services/PreviewService');
+const config = require('../src/config');
+
+const defaults = { ...config.previews };
+
+let server;
+let base;
+const routes = new Map();
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = routes.get(req.url.split('?')[0]);
+    if (!route) {
+      res.writeHead(404);
+      return res.end('not found');
+    }
+    route(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  PreviewService.configureFetcher(httpGet);
+});
+
+after(() => {
+  PreviewService.configureFetcher();
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => Object.assign(config.previews, defaults));
+
+function html(body, type = 'text/html; charset=utf-8') {
+  return (req, res) => {
+    res.writeHead(200, { 'content-type': type });
+    res.end(body);
+  };
+}
+
+describe('PreviewService.fetch', () => {
+  it('reads Open Graph tags', async () => {
+    routes.set('/og', html(`<html><head>
+      <title>Fallback</title>
+      <meta property="og:title" content="Reef &amp; Tide">
+      <meta property="og:description" content="A  page\nabout reefs">
+      <meta property="og:site_name" content="Reef News">
+      <meta property="og:image" content="/img/reef.png">
+    </head></html>`));
+    const preview = await PreviewService.fetch(`${base}/og`);
+    assert.deepEqual(preview, {
+      title: 'Reef & Tide',
+      description: 'A page about reefs',
+      site_name: 'Reef News',
+      image_url: `${base}/img/reef.png`
+    });
+  });
+
+  it('falls back to Twitter card tags and the page title', async () => {
+    routes.set('/card', html(`<title>Page title</title>
+      <meta name="twitter:description" content='From the card'>
+      <meta name="twitter:image" content="https://cdn.example.com/card.jpg">`));
+    const preview = await PreviewService.fetch(`${base}/card`);
+    assert.equal(preview.title, 'Page title');
+    assert.equal(preview.description, 'From the card');
+    assert.equal(preview.site_name, '127.0.0.1');
+    assert.equal(preview.image_url, 'https://cdn.example.com/card.jpg');
+  });
+
+  it('stops reading at maxBytes', async () => {
+    config.previews.maxBytes = 1024;
+    routes.set('/long', html(`<meta property="og:title" content="Early">${' '.repeat(4096)}<meta property="og:description" content="Late">`));
+    const preview = await PreviewService.fetch(`${base}/long`);
+    assert.equal(preview.title, 'Early');
+    assert.equal(preview.description, null);
+  });
+
+  it('times out', async () => {
+    config.previews.timeoutMs = 100;
+    routes.set('/slow', (req, res) => res.writeHead(200, { 'content-type': 'text/html' })); // never ends
+    await assert.rejects(PreviewService.fetch(`${base}/slow`), /timed out after 100ms/);
+  });
+
+  it('rejects pages that aren\'t HTML', async () => {
+    routes.set('/json', html('{"title":"no"}', 'application/json'));
+    await assert.rejects(PreviewService.fetch(`${base}/json`), /Not an HTML page \(application\/json\)/);
+    routes.set('/bare', (req, res) => res.end('<title>no type</title>'));
+    await assert.rejects(PreviewService.fetch(`${base}/bare`), /Not an HTML page/);
+  });
+
+  it('rejects error responses', async () => {
+    await assert.rejects(PreviewService.fetch(`${base}/missing`), /HTTP 404/);
+  });
+});
+
+describe('default fetcher', () => {
+  it('refuses loopback addresses', async () => {
+    routes.set('/og', html('<meta property="og:title" content="Internal">'));
+    await assert.rejects(publicGet(`${base}/og`), { code: 'EPRIVATEADDRESS' });
+    await assert.rejects(publicGet(`http://[::1]:${server.address().port}/og`), { code: 'EPRIVATEADDRESS' });
+
+    PreviewService.configureFetcher();
+    try {
+      await assert.rejects(PreviewService.fetch(`${base}/og`), { code: 'EPRIVATEADDRESS' });
+    } finally {
+      PreviewService.configureFetcher(httpGet);
+    }
+  });
+});
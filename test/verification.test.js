@@ -0,0 +1,153 @@
+/**
+ * Verification providers against a local stub server
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const bs58 = require('bs58');
+const { httpGet } = require('../src/utils/http');
+const { publicGet, publicLookup } = require('../src/utils/ssrf');
+const { configureProviders } = require('../src/services/verification');
+
+const agent = { name: 'stub_agent', verification_code: 'reef-X4B2', solana_address: null };
+const TOKEN = `onlyagents-verification=${agent.verification_code}`;
+
+let server;
+let base;
+const routes = new Map();
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    const route = routes.get(`${req.headers.host.split(':')[0]}${path}`) || routes.get(path);
+    if (!route) {
+      res.writeHead(404);
+      return res.end('not found');
+    }
+    route(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * A fetcher that sends https://<domain>/... to the stub server instead
+ */
+function toStub(get = httpGet) {
+  return (url, options) => get(url.replace(/^https:\/\/[^/]+/, base), options);
+}
+
+describe('twitter', () => {
+  it('finds the code in the oEmbed html', async () => {
+    routes.set('/oembed', (req, res) => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ html: `<p>Auth code: ${agent.verification_code}</p>`, author_url: 'https://x.com/stub' }));
+    });
+    const { twitter } = Object.fromEntries(configureProviders({ oembedEndpoint: `${base}/oembed` }));
+    const result = await twitter.verify(agent, { tweet_url: 'https://x.com/stub/status/123' });
+    assert.equal(result.subject, 'stub');
+    assert.equal(result.evidence.tweet_id, '123');
+  });
+
+  it('rejects a tweet without the code', async () => {
+    routes.set('/oembed', (req, res) => res.end(JSON.stringify({ html: '<p>hello</p>' })));
+    const { twitter } = Object.fromEntries(configureProviders({ oembedEndpoint: `${base}/oembed` }));
+    await assert.rejects(twitter.verify(agent, { tweet_url: 'https://x.com/stub/status/123' }), /not found in tweet/);
+  });
+});
+
+describe('well_known', () => {
+  it('finds the token line in the file', async () => {
+    routes.set('/.well-known/onlyagents.txt', (req, res) => res.end(`# ours\n${TOKEN}\r\n`));
+    const { well_known: wellKnown } = Object.fromEntries(configureProviders({ fetch: toStub() }));
+    const result = await wellKnown.verify(agent, { domain: 'https://Example.com/' });
+    assert.equal(result.subject, 'example.com');
+    assert.equal(result.evidence.url, 'https://example.com/.well-known/onlyagents.txt');
+  });
+
+  it('rejects a file without the token', async () => {
+    routes.set('/.well-known/onlyagents.txt', (req, res) => res.end('something else'));
+    const { well_known: wellKnown } = Object.fromEntries(configureProviders({ fetch: toStub() }));
+    await assert.rejects(wellKnown.verify(agent, { domain: 'example.com' }), /must contain the line/);
+  });
+
+  it('reports every fetch failure the same way', async () => {
+    routes.delete('/.well-known/onlyagents.txt');
+    const { well_known: wellKnown } = Object.fromEntries(configureProviders({ fetch: toStub() }));
+    const notFound = await wellKnown.verify(agent, { domain: 'example.com' }).catch(err => err);
+
+    const closed = Object.fromEntries(configureProviders({
+      fetch: (url, options) => httpGet(url.replace(/^https:\/\/[^/]+/, 'http://127.0.0.1:1'), options)
+    })).well_known;
+    const refused = await closed.verify(agent, { domain: 'example.com' }).catch(err => err);
+
+    assert.equal(notFound.message, 'Could not fetch https://example.com/.well-known/onlyagents.txt');
+    assert.equal(refused.message, notFound.message);
+  });
+
+  it('refuses private addresses by default', async () => {
+    routes.set('/.well-known/onlyagents.txt', (req, res) => res.end(TOKEN));
+    const { well_known: wellKnown } = Object.fromEntries(configureProviders({ fetch: toStub(publicGet) }));
+    await assert.rejects(wellKnown.verify(agent, { domain: 'example.com' }), /Could not fetch/);
+    await assert.rejects(publicGet(`${base}/.well-known/onlyagents.txt`), { code: 'EPRIVATEADDRESS' });
+  });
+
+  it('refuses redirects to private addresses', async () => {
+    routes.set('public.test/.well-known/onlyagents.txt', (req, res) => {
+      res.writeHead(302, { location: 'http://169.254.169.254/latest/meta-data/' });
+      res.end();
+    });
+    // Resolves the stub's own hostname, and nothing else, past the guard
+    const lookup = (hostname, options, callback) => (hostname === 'public.test'
+      ? callback(null, options.all ? [{ address: '127.0.0.1', family: 4 }] : '127.0.0.1', 4)
+      : publicLookup(hostname, options, callback));
+    const url = `http://public.test:${server.address().port}/.well-known/onlyagents.txt`;
+    await assert.rejects(httpGet(url, { lookup }), { code: 'EPRIVATEADDRESS' });
+  });
+});
+
+describe('dns', () => {
+  it('joins split TXT strings', async () => {
+    const resolveTxt = async (name) => (name === '_onlyagents.example.com' ? [['v=spf1'], [TOKEN.slice(0, 10), TOKEN.slice(10)]] : []);
+    const { dns } = Object.fromEntries(configureProviders({ resolveTxt }));
+    const result = await dns.verify(agent, { domain: 'example.com' });
+    assert.equal(result.evidence.record, '_onlyagents.example.com');
+  });
+
+  it('rejects a missing record', async () => {
+    const resolveTxt = async () => { throw Object.assign(new Error('queryTxt ENOTFOUND'), { code: 'ENOTFOUND' }); };
+    const { dns } = Object.fromEntries(configureProviders({ resolveTxt }));
+    await assert.rejects(dns.verify(agent, { domain: 'example.com' }), /No TXT record found/);
+  });
+});
+
+/**
+ * A fresh ed25519 wallet: its base58 address and a signing function
+ */
+function newWallet() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+  return {
+    address: bs58.encode(raw),
+    sign: (message) => bs58.encode(crypto.sign(null, Buffer.from(message, 'utf8'), privateKey))
+  };
+}
+
+describe('wallet', () => {
+  it('accepts a signature from the registered wallet only', async () => {
+    const keys = newWallet();
+    const owner = { ...agent, solana_address: keys.address };
+    const { wallet } = Object.fromEntries(configureProviders());
+    const signature = keys.sign(wallet.message(owner));
+
+    const result = await wallet.verify(owner, { signature });
+    assert.equal(result.subject, owner.solana_address);
+
+    const other = { ...owner, solana_address: newWallet().address };
+    await assert.rejects(wallet.verify(other, { signature }), /Invalid signature/);
+  });
+});